@@ -0,0 +1,23 @@
+const DeGiro = require('..');
+
+// You can run as:
+// DEGIRO_USER=your-username DEGIRO_PASS=your-pass node examples/quote-stream.js
+
+const degiro = DeGiro.create({
+    // username: 'your-username',
+    // password: 'your-password',
+});
+
+const ids = ['350009261', '360114899']; // you can get these ids by using searchProduct()
+
+degiro.login().then(() => {
+    const {bid, ask, last} = DeGiro.QuoteFields;
+    const stream = degiro.createQuoteStream({fields: [bid, ask, last]});
+
+    stream.on('quote', ({issueId, quote}) => console.log(issueId, quote));
+    stream.on('error', console.error);
+    stream.subscribe(ids);
+
+    // stop after a minute
+    setTimeout(stream.close, 60 * 1000);
+}).catch(console.error);
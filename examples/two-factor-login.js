@@ -3,6 +3,8 @@ const DeGiro = require('..');
 // Set your username, password and oneTimePassword (google
 // authenticator token) below or run from terminal as:
 // DEGIRO_USER=username DEGIRO_PASS=password DEGIRO_ONE_TIME_PASS=token node examples/two-factor-login.js
+// or, to generate the token from the 2FA secret:
+// DEGIRO_USER=username DEGIRO_PASS=password DEGIRO_TOTP_SECRET=secret node examples/two-factor-login.js
 
  const degiro = DeGiro.create({
    //     username: 'john',
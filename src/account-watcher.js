@@ -0,0 +1,180 @@
+const EventEmitter = require('events');
+const fromPairs = require('lodash/fromPairs');
+const isEqual = require('lodash/isEqual');
+const {parseDateFields} = require('./dates');
+
+const SECTIONS = ['portfolio', 'cashFunds', 'orders', 'historicalOrders', 'transactions'];
+
+// sections with DeGiro shorthand dates, see dates.js
+const DATE_SECTIONS = ['orders', 'historicalOrders', 'transactions'];
+
+/**
+ * Watches the account by polling the update endpoint with the lastUpdated tokens of the previous response, so
+ * the server only answers with what changed. The deltas are merged into an in-memory state.
+ *
+ * Events:
+ * - 'ready' state - the first (full) update was received
+ * - 'change' {section, id, previous, current} - any row was added, changed or removed (current is null)
+ * - 'positionChanged' {id, previous, current}
+ * - 'cashChanged' {id, previous, current}
+ * - 'orderChanged' {id, previous, current} - an open order was added, modified or removed
+ * - 'orderFilled' {transaction, order} - a transaction appeared, with the open order it filled, if known
+ * - 'orderCancelled' {order} - an order was added to the historical orders
+ * - 'error' error - a poll failed (only emitted when there are listeners). Polling goes on
+ * - 'close'
+ *
+ * @param {Function} options.getData - Resolves to the update response for {section: lastUpdated}
+ * @param {string[]} options.sections - Defaults to portfolio, cashFunds, orders, historicalOrders and transactions
+ * @param {number} options.interval - Delay between polls, in ms. Defaults to 5000
+ * @param {Function} options.log
+ * @return {EventEmitter}
+ */
+const createAccountWatcher = ({getData, sections = SECTIONS, interval = 5000, log = () => {}}) => {
+    const watcher = new EventEmitter();
+
+    // section -> Map of id -> flat row
+    const state = {};
+    const tokens = {};
+    sections.forEach(section => {
+        state[section] = new Map();
+        tokens[section] = 0;
+    });
+
+    let ready = false;
+    let closed = false;
+    let timer = null;
+
+    const readRow = (section, values) => {
+        const row = fromPairs(values.map(({name, value}) => [name, value]));
+        return DATE_SECTIONS.indexOf(section) !== -1 ? parseDateFields(row, ['date']) : row;
+    };
+
+    /**
+     * Merges the rows of a section, returning the changes. Full responses replace the whole section.
+     */
+    const merge = (section, rows, full) => {
+        const items = state[section];
+        const changes = [];
+        const seen = new Set();
+
+        rows.forEach(row => {
+            const id = String(row.id);
+            const previous = items.get(id);
+            seen.add(id);
+            if (row.isRemoved) {
+                if (previous) {
+                    items.delete(id);
+                    changes.push({section, id, previous, current: null});
+                }
+                return;
+            }
+            const base = full || row.isAdded || !previous ? {} : previous;
+            const current = Object.assign({}, base, readRow(section, row.value || []));
+            items.set(id, current);
+            if (!isEqual(previous, current)) {
+                changes.push({section, id, previous, current});
+            }
+        });
+        if (full) {
+            items.forEach((previous, id) => {
+                if (!seen.has(id)) {
+                    items.delete(id);
+                    changes.push({section, id, previous, current: null});
+                }
+            });
+        }
+        return changes;
+    };
+
+    const emitChanges = changes => {
+        // orders filled in this update are already removed from the open orders
+        const findOrder = orderId => {
+            const removed = changes.find(({section, id}) => section === 'orders' && id === String(orderId));
+            return removed ? removed.previous : state.orders && state.orders.get(String(orderId));
+        };
+
+        changes.forEach(change => {
+            const {section, id, previous, current} = change;
+            watcher.emit('change', change);
+            if (section === 'portfolio') {
+                watcher.emit('positionChanged', {id, previous, current});
+            } else if (section === 'cashFunds') {
+                watcher.emit('cashChanged', {id, previous, current});
+            } else if (section === 'orders') {
+                watcher.emit('orderChanged', {id, previous, current});
+            } else if (section === 'transactions' && !previous && current) {
+                watcher.emit('orderFilled', {transaction: current, order: findOrder(current.orderId)});
+            } else if (section === 'historicalOrders' && !previous && current) {
+                watcher.emit('orderCancelled', {order: current});
+            }
+        });
+    };
+
+    const poll = () =>
+        getData(Object.assign({}, tokens)).then(data => {
+            const changes = [];
+            sections.filter(section => data[section]).forEach(section => {
+                const rows = Array.isArray(data[section].value) ? data[section].value : [];
+                changes.push(...merge(section, rows, !tokens[section]));
+                tokens[section] = data[section].lastUpdated;
+            });
+            if (closed) {
+                return;
+            }
+            if (ready) {
+                emitChanges(changes);
+            } else {
+                ready = true;
+                watcher.emit('ready', watcher.getState());
+            }
+        });
+
+    const tick = () => {
+        timer = null;
+        poll()
+            .catch(error => {
+                log('account watcher error:', error.message);
+                if (watcher.listenerCount('error')) {
+                    watcher.emit('error', error);
+                }
+            })
+            .then(() => {
+                if (!closed) {
+                    timer = setTimeout(tick, interval);
+                }
+            });
+    };
+
+    /**
+     * @return {Object} Current rows of every watched section, as arrays of flat objects
+     */
+    watcher.getState = () => {
+        const result = {};
+        sections.forEach(section => {
+            result[section] = Array.from(state[section].values());
+        });
+        return result;
+    };
+
+    /**
+     * Stops polling
+     */
+    watcher.close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearTimeout(timer);
+        timer = null;
+        watcher.emit('close');
+    };
+
+    // first poll once the caller could add listeners
+    timer = setTimeout(tick, 0);
+
+    return watcher;
+};
+
+module.exports = {
+    createAccountWatcher,
+};
@@ -0,0 +1,106 @@
+const DURATION_REGEX = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Parses an ISO 8601 duration, as used for chart periods and resolutions
+ *
+ * @param {string} duration - e.g. 'P1D' or 'PT15M'
+ * @return {Object} {years, months, days, ms}
+ */
+const parseDuration = duration => {
+    const match = DURATION_REGEX.exec(duration);
+    if (!match) {
+        throw Error('Invalid duration: ' + duration);
+    }
+    const [years, months, weeks, days, hours, minutes, seconds] = match.slice(1).map(value => Number(value || 0));
+    return {
+        years,
+        months,
+        days: weeks * 7 + days,
+        ms: ((hours * 60 + minutes) * 60 + seconds) * 1000,
+    };
+};
+
+/**
+ * Adds a duration `times` times to a date, in UTC
+ *
+ * @param {Date} date
+ * @param {string} duration
+ * @param {number} times - Defaults to 1
+ * @return {Date}
+ */
+const addDuration = (date, duration, times = 1) => {
+    const {years, months, days, ms} = parseDuration(duration);
+    const result = new Date(date.getTime());
+    if (years || months) {
+        result.setUTCMonth(result.getUTCMonth() + (years * 12 + months) * times);
+    }
+    if (days) {
+        result.setUTCDate(result.getUTCDate() + days * times);
+    }
+    return new Date(result.getTime() + ms * times);
+};
+
+/**
+ * Parses the dates of a chart response, which have no offset and are in the requested (UTC) timezone
+ *
+ * @param {string} str - e.g. '2020-01-02T09:00:00'
+ * @return {Date}
+ */
+const parseChartDate = str => new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(str) ? str : str + 'Z');
+
+/**
+ * Returns the start date and resolution of a series, from its `times` field ('2020-01-02T09:00:00/PT1M')
+ */
+const parseTimes = times => {
+    const [start, resolution] = times.split('/');
+    return {start: parseChartDate(start), resolution};
+};
+
+/**
+ * Converts a chart response to candles sorted by date. Series values are placed by their offset, counted in
+ * resolution steps from the start of the series.
+ *
+ * @param {Object} response - Chart response, with `series` as {id, times, data: [[offset, ...values]]}
+ * @return {Object} {start, end, resolution, candles: [{date, open, high, low, close, volume}]}
+ */
+const normaliseChart = response => {
+    const candles = new Map();
+    const candleAt = (times, offset) => {
+        const {start, resolution} = parseTimes(times);
+        const date = addDuration(start, resolution, offset);
+        if (!candles.has(date.getTime())) {
+            candles.set(date.getTime(), {date});
+        }
+        return candles.get(date.getTime());
+    };
+
+    (response.series || []).forEach(series => {
+        const type = String(series.id).split(':')[0];
+        if (!series.times || !Array.isArray(series.data)) {
+            return;
+        }
+        series.data.forEach(([offset, ...values]) => {
+            const candle = candleAt(series.times, offset);
+            if (type === 'ohlc') {
+                [candle.open, candle.high, candle.low, candle.close] = values;
+            } else if (type === 'volume') {
+                candle.volume = values[0];
+            } else if (type === 'price') {
+                candle.close = values[0];
+            }
+        });
+    });
+
+    return {
+        start: response.start ? parseChartDate(response.start) : null,
+        end: response.end ? parseChartDate(response.end) : null,
+        resolution: response.resolution,
+        candles: Array.from(candles.values()).sort((a, b) => a.date - b.date),
+    };
+};
+
+module.exports = {
+    parseDuration,
+    addDuration,
+    normaliseChart,
+};
@@ -0,0 +1,349 @@
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const {Actions, OrderTypes, ProductTypes, TimeTypes, QuoteFields} = require('./constants');
+const {createFileStore} = require('./session-store');
+const {formatReportDate} = require('./dates');
+
+const USAGE = `Usage: degiro <command> [options]
+
+Commands:
+  login                                   Log in and save the session
+  portfolio [--prices] [--all]            Open positions
+  cash                                    Cash funds
+  orders                                  Open orders
+  search <text> [--type etfs] [--limit 7] Search products
+  quote <vwdId> [--timeout 5000]          Latest bid, ask and last prices
+  buy <productId> --size 1 [--price 10] [--stop-price 9] [--type limited] [--time day] [--yes]
+  sell <productId> --size 1 [--price 10] [--stop-price 9] [--type limited] [--time day] [--yes]
+  cancel <orderId>                        Delete an open order
+  transactions [--from dd/MM/yyyy] [--to dd/MM/yyyy]
+
+Options:
+  --json                  Print JSON instead of tables
+  --session-file <file>   Defaults to $DEGIRO_SESSION_FILE or ~/.degiro-session.json
+  --yes                   Confirm orders without asking
+
+Credentials are read from DEGIRO_USER, DEGIRO_PASS and DEGIRO_TOTP_SECRET or DEGIRO_ONE_TIME_PASS.`;
+
+const FLAGS = ['json', 'yes', 'help', 'prices', 'all'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Thrown for invalid command lines, which print the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits the arguments in positionals and options. `--name value` and `--name=value` set an option, the FLAGS
+ * take no value.
+ *
+ * @param {string[]} argv - e.g. ['buy', '8066561', '--size', '1']
+ * @return {Object} {command, args, options}
+ */
+const parseArgs = argv => {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            args.push(arg);
+        } else if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else if (FLAGS.includes(match[1])) {
+            options[match[1]] = true;
+        } else if (i + 1 < argv.length) {
+            options[match[1]] = argv[++i];
+        } else {
+            throw new UsageError(`Missing value for --${match[1]}`);
+        }
+    }
+    return {command: args.shift(), args, options};
+};
+
+const readNumber = (options, name) => {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(options[name]);
+    if (options[name] === '' || isNaN(value)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return value;
+};
+
+const readChoice = (options, name, choices, defaultValue) => {
+    const key = options[name] === undefined ? defaultValue : options[name];
+    if (!(key in choices)) {
+        throw new UsageError(`--${name} must be one of ${Object.keys(choices).join(', ')}`);
+    }
+    return choices[key];
+};
+
+const requireArg = (args, name) => {
+    if (!args[0]) {
+        throw new UsageError(`Missing <${name}>`);
+    }
+    return args[0];
+};
+
+const formatCell = value => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'number') {
+        return String(Math.round(value * 10000) / 10000);
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Formats rows as a plain text table, numbers aligned to the right
+ *
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ * @return {string}
+ */
+const formatTable = (rows, columns) => {
+    if (!rows.length) {
+        return '(none)';
+    }
+    const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+    const numeric = columns.map(column => rows.every(row => row[column] == null || typeof row[column] === 'number'));
+    const line = values =>
+        values
+            .map((value, i) => (numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+            .join('  ')
+            .replace(/\s+$/, '');
+    return [line(columns), line(widths.map(width => '-'.repeat(width)))].concat(cells.map(line)).join('\n');
+};
+
+/**
+ * Reads a yes/no answer, anything but y/yes (or the end of the input) being a no
+ *
+ * @return {Promise} Resolves to a boolean
+ */
+const confirm = (question, input, output) =>
+    new Promise(resolve => {
+        const rl = readline.createInterface({input, output, terminal: false});
+        let answered = false;
+        rl.on('close', () => answered || resolve(false));
+        output.write(question);
+        rl.once('line', answer => {
+            answered = true;
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+
+/**
+ * Waits for the first quote of a product
+ *
+ * @return {Promise} Resolves to the quote
+ */
+const readQuote = (degiro, vwdId, timeout) =>
+    new Promise((resolve, reject) => {
+        const {bid, ask, last, lastTime} = QuoteFields;
+        const stream = degiro.createQuoteStream({fields: [bid, ask, last, lastTime]});
+        const finish = (error, quote) => {
+            clearTimeout(timer);
+            stream.close();
+            return error ? reject(error) : resolve(quote);
+        };
+        const timer = setTimeout(() => finish(Error(`No quote for ${vwdId} within ${timeout}ms`)), timeout);
+        stream.on('error', finish);
+        stream.on('quote', ({quote}) => finish(null, quote));
+        stream.subscribe(vwdId);
+    });
+
+const sumFees = fees =>
+    (fees || [])
+        .reduce((totals, {amount, currency}) => {
+            const total = totals.find(item => item.currency === currency);
+            if (total) {
+                total.amount += amount;
+            } else {
+                totals.push({amount, currency});
+            }
+            return totals;
+        }, [])
+        .map(({amount, currency}) => `${formatCell(amount)} ${currency}`)
+        .join(', ') || 'none';
+
+/**
+ * Commands: each reads {args, options, io}, throwing UsageErrors before anything is sent, and returns a function
+ * running it with the client, which resolves to {rows, columns} to print or to a text
+ */
+const commands = {
+    login: () => degiro =>
+        degiro.login().then(session => `Logged in, account ${session.account}`),
+
+    portfolio: ({options}) => degiro =>
+        degiro
+            .getPortfolio({normalise: true, enrich: true, prices: options.prices, includeClosed: options.all})
+            .then(({portfolio}) => ({
+                rows: portfolio,
+                columns: ['id', 'symbol', 'name', 'size', 'price', 'currency', 'marketValue', 'unrealisedPl', 'weight'],
+            })),
+
+    cash: () => degiro => degiro.getCashFundRows().then(rows => ({rows, columns: ['currencyCode', 'value']})),
+
+    // fields of the open order rows, quantity being the part already filled
+    orders: () => degiro =>
+        degiro.getOrders().then(({openOrders}) => ({
+            rows: openOrders,
+            columns: ['id', 'date', 'productId', 'product', 'buysell', 'size', 'quantity', 'price', 'stopPrice'],
+        })),
+
+    search: ({args, options}) => {
+        const text = requireArg(args, 'text');
+        const productType = readChoice(options, 'type', ProductTypes, 'all');
+        const limit = readNumber(options, 'limit');
+        return degiro => degiro.searchProduct({text, productType, limit}).then(({products = []}) => ({
+            rows: products,
+            columns: ['id', 'symbol', 'name', 'isin', 'currency', 'productType', 'vwdId'],
+        }));
+    },
+
+    quote: ({args, options}) => {
+        const vwdId = requireArg(args, 'vwdId');
+        const timeout = readNumber(options, 'timeout') || 5000;
+        return degiro => readQuote(degiro, vwdId, timeout).then(quote => ({
+            rows: [quote],
+            columns: ['issueId', 'bidPrice', 'askPrice', 'lastPrice', 'lastTime'],
+        }));
+    },
+
+    buy: context => placeOrder(Actions.buy, context),
+
+    sell: context => placeOrder(Actions.sell, context),
+
+    cancel: ({args}) => {
+        const orderId = requireArg(args, 'orderId');
+        return degiro => degiro.deleteOrder(orderId).then(() => `Order ${orderId} cancelled`);
+    },
+
+    transactions: ({options}) => {
+        const now = new Date();
+        const toDate = options.to || formatReportDate(now);
+        const fromDate = options.from || formatReportDate(new Date(now - 30 * DAY));
+        return degiro => degiro.getTransactions(fromDate, toDate).then(({data}) => ({
+            rows: data,
+            columns: ['id', 'date', 'productId', 'buysell', 'quantity', 'price', 'total', 'totalFeesInBaseCurrency'],
+        }));
+    },
+};
+
+/**
+ * Checks the order, shows its fees and asks for a confirmation before placing it
+ */
+const placeOrder = (buySell, {args, options, io}) => {
+    const order = {
+        buySell,
+        productId: requireArg(args, 'productId'),
+        orderType: readChoice(options, 'type', OrderTypes, 'limited'),
+        timeType: readChoice(options, 'time', TimeTypes, 'day'),
+        size: readNumber(options, 'size'),
+        price: readNumber(options, 'price'),
+        stopPrice: readNumber(options, 'stop-price'),
+    };
+    if (order.size === undefined) {
+        throw new UsageError('Missing --size');
+    }
+    // the order confirmed is the one checked, whose fees were shown
+    return degiro =>
+        degiro
+            .setOrder(Object.assign({dryRun: true}, order))
+            .then(checked => {
+                const price = order.price === undefined ? 'market price' : order.price;
+                io.stderr.write(`${buySell} ${order.size} x ${order.productId} at ${price}, fees: ${sumFees(
+                    checked.transactionFees
+                )}\n`);
+                return Promise.resolve(
+                    options.yes || confirm('Confirm the order? [y/N] ', io.stdin || process.stdin, io.stderr)
+                ).then(confirmed => {
+                    if (!confirmed) {
+                        throw Error('Order not confirmed');
+                    }
+                    return degiro.confirmOrder(checked);
+                });
+            })
+            .then(({orderId}) => ({rows: [{orderId}], columns: ['orderId']}));
+};
+
+/**
+ * Runs a command line
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {Object} options.env - Defaults to process.env
+ * @param {stream.Readable} options.stdin - Where confirmations are read. Defaults to process.stdin
+ * @param {stream.Writable} options.stdout - Defaults to process.stdout
+ * @param {stream.Writable} options.stderr - Defaults to process.stderr
+ * @param {Function} options.create - Creates the client from {sessionStore}. Defaults to DeGiro.create
+ * @return {Promise} Resolves to the exit code
+ */
+const run = (argv, {
+    env = process.env,
+    stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    create = require('./index').create,
+} = {}) => {
+    const io = {stdin, stdout, stderr};
+    let degiro;
+    return Promise.resolve()
+        .then(() => {
+            const {command, args, options} = parseArgs(argv);
+            if (options.help || command === 'help') {
+                stdout.write(USAGE + '\n');
+                return 0;
+            }
+            if (!command || !commands[command]) {
+                throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+            }
+            const execute = commands[command]({args, options, io});
+            const sessionFile =
+                options['session-file'] || env.DEGIRO_SESSION_FILE || path.join(os.homedir(), '.degiro-session.json');
+            degiro = create({sessionStore: createFileStore(sessionFile)});
+
+            return Promise.resolve(command === 'login' || degiro.restoreSession())
+                .then(restored => restored || degiro.login())
+                .then(() => execute(degiro))
+                .then(result => {
+                    if (typeof result === 'string') {
+                        stdout.write((options.json ? JSON.stringify({message: result}) : result) + '\n');
+                    } else if (options.json) {
+                        stdout.write(JSON.stringify(result.rows, null, 2) + '\n');
+                    } else {
+                        stdout.write(formatTable(result.rows, result.columns) + '\n');
+                    }
+                    return 0;
+                });
+        })
+        .catch(error => {
+            if (error instanceof UsageError) {
+                stderr.write(`${error.message}\n\n${USAGE}\n`);
+                return 2;
+            }
+            stderr.write(`${error.message}\n`);
+            return 1;
+        })
+        .then(code => {
+            if (degiro) {
+                degiro.stopKeepAlive();
+            }
+            return code;
+        });
+};
+
+module.exports = {
+    parseArgs,
+    formatTable,
+    run,
+};
@@ -32,3 +32,43 @@ module.exports.Sort = {
     asc: 'asc',
     desc: 'desc',
 };
+
+module.exports.QuoteFields = {
+    bid: 'BidPrice',
+    ask: 'AskPrice',
+    last: 'LastPrice',
+    lastTime: 'LastTime',
+    volume: 'CumulativeVolume',
+    high: 'HighPrice',
+    low: 'LowPrice',
+    open: 'OpenPrice',
+    close: 'ClosePrice',
+};
+
+module.exports.ChartPeriods = {
+    day: 'P1D',
+    week: 'P1W',
+    month: 'P1M',
+    threeMonths: 'P3M',
+    sixMonths: 'P6M',
+    year: 'P1Y',
+    threeYears: 'P3Y',
+    fiveYears: 'P5Y',
+    max: 'P50Y',
+};
+
+module.exports.ChartResolutions = {
+    minute: 'PT1M',
+    fiveMinutes: 'PT5M',
+    fifteenMinutes: 'PT15M',
+    thirtyMinutes: 'PT30M',
+    hour: 'PT1H',
+    day: 'P1D',
+    week: 'P7D',
+    month: 'P1M',
+};
+
+module.exports.TaxMethods = {
+    fifo: 'fifo',
+    average: 'average',
+};
@@ -0,0 +1,151 @@
+// DeGiro shows dates in the exchange time of Amsterdam
+const EXCHANGE_TIME_ZONE = 'Europe/Amsterdam';
+
+const formatters = {};
+
+const getFormatter = timeZone => {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hour12: false,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        });
+    }
+    return formatters[timeZone];
+};
+
+/**
+ * Returns the wall clock time of a date in a time zone
+ *
+ * @param {Date} date
+ * @param {string} timeZone - Defaults to Europe/Amsterdam
+ * @return {Object} {year, month (1-12), day, hour, minute, second}
+ */
+const getZonedParts = (date, timeZone = EXCHANGE_TIME_ZONE) => {
+    const parts = {};
+    getFormatter(timeZone)
+        .formatToParts(date)
+        .forEach(({type, value}) => {
+            parts[type] = Number(value);
+        });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // some engines format midnight as 24
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+    };
+};
+
+const getOffset = (time, timeZone) => {
+    const {year, month, day, hour, minute, second} = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Returns the date of a wall clock time in a time zone
+ *
+ * @param {Object} parts - {year, month (1-12), day, hour, minute, second}
+ * @param {string} timeZone - Defaults to Europe/Amsterdam
+ * @return {Date}
+ */
+const fromZonedParts = ({year, month, day, hour = 0, minute = 0, second = 0}, timeZone = EXCHANGE_TIME_ZONE) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // the offset at the wall clock time is a guess, which is wrong close to daylight saving changes
+    const guess = wallClock - getOffset(wallClock, timeZone);
+    const offset = getOffset(guess, timeZone);
+    return new Date(wallClock - offset);
+};
+
+const TIME = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const DAY_MONTH = /^(\d{1,2})\/(\d{1,2})$/;
+const DAY_MONTH_YEAR = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})$/i;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+
+/**
+ * Parses a date as returned by DeGiro:
+ *
+ * - 'HH:mm' - a time of today
+ * - 'dd/MM' - a day within the last year: if it is after today, it is of the previous year
+ * - 'dd/MM/yyyy'
+ * - ISO 8601 strings, e.g. '2020-01-02T10:00:00+01:00' (strings without offset are exchange time)
+ *
+ * Dates without offset are in the exchange time zone (Europe/Amsterdam)
+ *
+ * @param {string} value
+ * @param {Date} now - Reference date for the shorthand formats. Defaults to now
+ * @return {Date}
+ */
+const parseDate = (value, now = new Date()) => {
+    const str = String(value).trim();
+    let match;
+
+    if ((match = TIME.exec(str))) {
+        const today = getZonedParts(now);
+        return fromZonedParts(Object.assign(today, {hour: +match[1], minute: +match[2], second: +(match[3] || 0)}));
+    }
+    if ((match = DAY_MONTH.exec(str))) {
+        const today = getZonedParts(now);
+        const [day, month] = [+match[1], +match[2]];
+        const isFuture = month > today.month || (month === today.month && day > today.day);
+        return fromZonedParts({year: isFuture ? today.year - 1 : today.year, month, day});
+    }
+    if ((match = DAY_MONTH_YEAR.exec(str))) {
+        return fromZonedParts({year: +match[3], month: +match[2], day: +match[1]});
+    }
+    if (ISO_WITH_OFFSET.test(str)) {
+        return new Date(str);
+    }
+    if ((match = ISO_LOCAL.exec(str))) {
+        const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+        return fromZonedParts({year, month, day, hour, minute, second});
+    }
+    throw Error('Unexpected date format: ' + value);
+};
+
+/**
+ * Formats a date as dd/MM/yyyy in exchange time, as expected by the reporting endpoints
+ *
+ * @param {Date} date
+ * @return {string}
+ */
+const formatReportDate = date => {
+    const {year, month, day} = getZonedParts(date);
+    const pad = number => String(number).padStart(2, '0');
+    return `${pad(day)}/${pad(month)}/${year}`;
+};
+
+/**
+ * Returns a copy of an object with the given date fields parsed
+ *
+ * @param {Object} item
+ * @param {string[]} fields
+ * @param {Date} now
+ * @return {Object}
+ */
+const parseDateFields = (item, fields, now) => {
+    const result = Object.assign({}, item);
+    fields.forEach(field => {
+        if (typeof result[field] === 'string' && result[field]) {
+            result[field] = parseDate(result[field], now);
+        }
+    });
+    return result;
+};
+
+module.exports = {
+    EXCHANGE_TIME_ZONE,
+    getZonedParts,
+    fromZonedParts,
+    parseDate,
+    parseDateFields,
+    formatReportDate,
+};
@@ -0,0 +1,112 @@
+const {readExpiry} = require('./product-search');
+
+// e.g. 'ASML C500.00 17DEC21' or 'AEX P650 18MAR22'
+const OPTION_NAME = /\s([CP])(\d+(?:[.,]\d+)?)\s/;
+
+/**
+ * Reads whether an option is a call or a put, from its putCall field or its name
+ *
+ * @param {Object} product
+ * @return {string} 'call', 'put' or undefined
+ */
+const readOptionType = ({putCall, name}) => {
+    const letter = putCall ? String(putCall)[0] : (OPTION_NAME.exec(name || '') || [])[1];
+    return {C: 'call', P: 'put'}[String(letter).toUpperCase()];
+};
+
+/**
+ * Flattens a derivative product to what chains and listings need
+ *
+ * @param {Object} product - As returned by searchOptions() or searchFutures()
+ * @return {Object} {id, vwdId, name, symbol, expiry (yyyy-MM-dd), contractSize, currency, exchangeId, product}
+ */
+const toDerivative = product => ({
+    id: String(product.id),
+    vwdId: product.vwdId === undefined ? null : String(product.vwdId),
+    name: product.name,
+    symbol: product.symbol,
+    expiry: readExpiry(product.expirationDate) || null,
+    contractSize: product.contractSize,
+    currency: product.currency,
+    exchangeId: product.exchangeId,
+    product,
+});
+
+const byExpiry = (a, b) => (a.expiry < b.expiry ? -1 : a.expiry > b.expiry ? 1 : 0);
+
+/**
+ * Lists futures by expiry
+ *
+ * @param {Object[]} products - Futures, as returned by searchFutures()
+ * @return {Object[]} See toDerivative(), sorted by expiry
+ */
+const listFutures = products =>
+    products
+        .map(toDerivative)
+        .filter(({expiry}) => expiry)
+        .sort(byExpiry);
+
+/**
+ * Groups options by expiry and strike. Options without expiry, strike or type are left out.
+ *
+ * @param {Object[]} products - Options, as returned by searchOptions()
+ * @return {Object[]} [{expiry, strikes: [{strike, call, put}]}], sorted by expiry and strike, with call and put as
+ *     returned by toDerivative() (plus strike and type), or null
+ */
+const buildOptionChain = products => {
+    const expiries = new Map();
+    products.forEach(product => {
+        const option = toDerivative(product);
+        const type = readOptionType(product);
+        const nameMatch = OPTION_NAME.exec(product.name || '');
+        const strike =
+            typeof product.strikePrice === 'number'
+                ? product.strikePrice
+                : nameMatch && Number(nameMatch[2].replace(',', '.'));
+        if (!option.expiry || !type || typeof strike !== 'number' || isNaN(strike)) {
+            return;
+        }
+        if (!expiries.has(option.expiry)) {
+            expiries.set(option.expiry, new Map());
+        }
+        const strikes = expiries.get(option.expiry);
+        if (!strikes.has(strike)) {
+            strikes.set(strike, {strike, call: null, put: null});
+        }
+        strikes.get(strike)[type] = Object.assign(option, {strike, type});
+    });
+
+    return Array.from(expiries.keys())
+        .sort()
+        .map(expiry => ({
+            expiry,
+            strikes: Array.from(expiries.get(expiry).values()).sort((a, b) => a.strike - b.strike),
+        }));
+};
+
+/**
+ * Loads every page of a search
+ *
+ * @param {Function} search - Resolves to {total, products} for search options
+ * @param {Object} options - Search options, without limit and offset
+ * @param {number} pageSize
+ * @return {Promise} Resolves to the products of every page
+ */
+const searchAll = (search, options, pageSize) => {
+    const products = [];
+    const next = offset =>
+        search(Object.assign({}, options, {limit: pageSize, offset})).then(page => {
+            const found = page.products || [];
+            products.push(...found);
+            const total = typeof page.total === 'number' ? page.total : products.length;
+            return found.length && products.length < total ? next(offset + found.length) : products;
+        });
+    return next(0);
+};
+
+module.exports = {
+    readOptionType,
+    listFutures,
+    buildOptionChain,
+    searchAll,
+};
@@ -0,0 +1,103 @@
+/**
+ * Base class of every error thrown by the client
+ *
+ * @param {string} message
+ * @param {string} details.operation - Client operation, e.g. 'getPortfolio'
+ * @param {number} details.status - HTTP status, if a response was received
+ * @param {string} details.statusText - HTTP status text
+ * @param {*} details.payload - Response body, parsed when possible
+ */
+class DegiroError extends Error {
+    constructor(message, {operation, status, statusText, payload} = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.operation = operation;
+        this.status = status;
+        this.statusText = statusText;
+        this.payload = payload;
+    }
+}
+
+/**
+ * Login was rejected: bad credentials, a missing or invalid one time password, or no session cookie
+ */
+class AuthenticationError extends DegiroError {}
+
+/**
+ * The session is not valid anymore (HTTP 401)
+ */
+class SessionExpiredError extends DegiroError {}
+
+/**
+ * The server rejected the request with one or more errors, available in `errors` as {text}
+ */
+class BusinessError extends DegiroError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = details.errors || [];
+    }
+}
+
+/**
+ * Too many requests (HTTP 429). `retryAfter` has the seconds to wait, when the server tells
+ */
+class RateLimitError extends DegiroError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter;
+    }
+}
+
+/**
+ * Any other unsuccessful HTTP response
+ */
+class TechnicalError extends DegiroError {}
+
+/**
+ * The request did not get a response. The original error is available in `cause`
+ */
+class NetworkError extends DegiroError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.cause = details.cause;
+        this.code = details.cause && details.cause.code;
+    }
+}
+
+/**
+ * The response body is not JSON or lacks the expected data
+ */
+class MalformedResponseError extends DegiroError {}
+
+/**
+ * The order was rejected before sending it. Every problem found is in `errors` as {field, text}
+ */
+class OrderValidationError extends DegiroError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = details.errors || [];
+    }
+}
+
+/**
+ * The order breaks a risk limit and was not confirmed. `rule` names the limit, e.g. 'maxOrderValue'
+ */
+class RiskLimitError extends DegiroError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.rule = details.rule;
+    }
+}
+
+module.exports = {
+    DegiroError,
+    AuthenticationError,
+    SessionExpiredError,
+    BusinessError,
+    RateLimitError,
+    TechnicalError,
+    NetworkError,
+    MalformedResponseError,
+    OrderValidationError,
+    RiskLimitError,
+};
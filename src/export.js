@@ -0,0 +1,192 @@
+const fromPairs = require('lodash/fromPairs');
+
+/**
+ * Columns exported for each kind of account data, so files keep the same layout whatever the rows have
+ */
+const ExportColumns = {
+    // getPortfolio({normalise: true})
+    portfolio: [
+        'id',
+        'positionType',
+        'symbol',
+        'isin',
+        'name',
+        'currency',
+        'size',
+        'price',
+        'breakEvenPrice',
+        'value',
+        'marketValue',
+        'unrealisedPl',
+        'weight',
+    ],
+    // getCashFundRows()
+    cashFunds: ['id', 'currencyCode', 'value'],
+    // getOrders() openOrders
+    orders: [
+        'id',
+        'date',
+        'productId',
+        'product',
+        'buysell',
+        'size',
+        'quantity',
+        'price',
+        'stopPrice',
+        'orderTypeId',
+        'orderTimeTypeId',
+    ],
+    // getTransactions()
+    transactions: [
+        'id',
+        'date',
+        'orderId',
+        'productId',
+        'buysell',
+        'quantity',
+        'price',
+        'total',
+        'fxRate',
+        'totalInBaseCurrency',
+        'totalFeesInBaseCurrency',
+        'totalPlusFeeInBaseCurrency',
+    ],
+    // getOrdersHistory()
+    ordersHistory: [
+        'created',
+        'last',
+        'orderId',
+        'productId',
+        'buysell',
+        'size',
+        'price',
+        'stopPrice',
+        'orderTypeId',
+        'orderTimeTypeId',
+        'totalTradedSize',
+        'type',
+        'status',
+        'isActive',
+    ],
+    // getPortfolioMovements() cashMovements
+    movements: ['id', 'date', 'valueDate', 'productId', 'orderId', 'description', 'type', 'currency', 'change'],
+};
+
+const getColumns = ({type, columns}) => {
+    if (columns) {
+        return columns;
+    }
+    if (!ExportColumns[type]) {
+        throw TypeError('Unknown export type: ' + type);
+    }
+    return ExportColumns[type];
+};
+
+/**
+ * Calls `fn` for every item of an array or (async) iterable, waiting for the promises it returns
+ *
+ * @return {Promise} Resolves to the number of items
+ */
+const forEachItem = (items, fn) => {
+    const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+    let count = 0;
+    const next = () =>
+        Promise.resolve(iterator.next()).then(({value, done}) => {
+            if (done) {
+                return count;
+            }
+            count++;
+            return Promise.resolve(fn(value)).then(next);
+        });
+    return next();
+};
+
+/**
+ * Writes the lines given by `format` to a writable stream, waiting for it to drain when its buffer is full
+ *
+ * @return {Promise} Resolves to the number of items written
+ */
+const writeLines = (items, writable, {header, end}, format) =>
+    new Promise((resolve, reject) => {
+        const write = line =>
+            writable.write(line + '\n') ? Promise.resolve() : new Promise(done => writable.once('drain', done));
+        writable.once('error', reject);
+
+        Promise.resolve(header !== undefined && write(header))
+            .then(() => forEachItem(items, item => write(format(item))))
+            .then(count => {
+                writable.removeListener('error', reject);
+                if (end) {
+                    writable.end(() => resolve(count));
+                } else {
+                    resolve(count);
+                }
+            })
+            .catch(error => {
+                writable.removeListener('error', reject);
+                reject(error);
+            });
+    });
+
+/**
+ * Formats a value for CSV: dates as ISO 8601, numbers with the decimal separator, quoting when needed
+ */
+const csvValue = (value, {delimiter, decimalSeparator}) => {
+    let str;
+    if (value === undefined || value === null) {
+        str = '';
+    } else if (value instanceof Date) {
+        str = value.toISOString();
+    } else if (typeof value === 'number') {
+        str = String(value).replace('.', decimalSeparator);
+    } else if (typeof value === 'object') {
+        str = JSON.stringify(value);
+    } else {
+        str = String(value);
+    }
+    return str.includes(delimiter) || /["\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Exports items as CSV
+ *
+ * @param {(Object[]|AsyncIterable)} items - e.g. getTransactions() data or iterateTransactions()
+ * @param {stream.Writable} writable
+ * @param {string} options.type - See ExportColumns, e.g. 'transactions'
+ * @param {string[]} options.columns - Columns to export instead of the ones of the type
+ * @param {string} options.delimiter - Defaults to ','. Use ';' with a ',' decimal separator
+ * @param {string} options.decimalSeparator - Defaults to '.'
+ * @param {boolean} options.header - Write the column names first. Defaults to true
+ * @param {boolean} options.end - End the stream once done. Defaults to false
+ * @return {Promise} Resolves to the number of items written
+ */
+const exportCsv = (items, writable, options = {}) => {
+    const columns = getColumns(options);
+    const format = {delimiter: options.delimiter || ',', decimalSeparator: options.decimalSeparator || '.'};
+    const line = values => values.map(value => csvValue(value, format)).join(format.delimiter);
+    const header = options.header === false ? undefined : line(columns);
+    return writeLines(items, writable, {header, end: options.end}, item => line(columns.map(column => item[column])));
+};
+
+/**
+ * Exports items as JSON Lines: one JSON object per line, with every column (null when missing) and ISO 8601 dates
+ *
+ * @param {(Object[]|AsyncIterable)} items
+ * @param {stream.Writable} writable
+ * @param {string} options.type - See ExportColumns
+ * @param {string[]} options.columns - Columns to export instead of the ones of the type
+ * @param {boolean} options.end - End the stream once done. Defaults to false
+ * @return {Promise} Resolves to the number of items written
+ */
+const exportJsonLines = (items, writable, options = {}) => {
+    const columns = getColumns(options);
+    return writeLines(items, writable, {end: options.end}, item =>
+        JSON.stringify(fromPairs(columns.map(column => [column, item[column] === undefined ? null : item[column]])))
+    );
+};
+
+module.exports = {
+    ExportColumns,
+    exportCsv,
+    exportJsonLines,
+};
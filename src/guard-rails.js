@@ -0,0 +1,251 @@
+const {Actions, OrderTypes} = require('./constants');
+const {getZonedParts} = require('./dates');
+const {BusinessError, RiskLimitError} = require('./errors');
+const {isNumber} = require('./utils');
+
+const isSet = value => value !== undefined && value !== null;
+
+const today = date => {
+    const {year, month, day} = getZonedParts(date);
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Price of the quote an order trades at: the ask price for buys, the bid price for sells, or else the last price
+ */
+const quotePrice = (order, quote) => {
+    const quoted = order.buySell === Actions.sell ? quote.bidPrice : quote.askPrice;
+    return isNumber(quoted) ? quoted : quote.lastPrice;
+};
+
+/**
+ * Limit or stop price of an order, undefined for market orders
+ */
+const orderPrice = order => (order.orderType === OrderTypes.stopLoss ? order.stopPrice : order.price);
+
+/**
+ * Creates the guard rails which enforce risk limits on the orders before they are confirmed. Every limit is
+ * optional:
+ *
+ * - killSwitch: reject every order
+ * - allowedProductIds / deniedProductIds: products which may / may not be traded
+ * - maxOrderSize, maxOrderValue: per order, the value being in the currency of the product
+ * - priceBand: how far (e.g. 0.05 for 5%) the limit or stop price may be from the latest quote
+ * - maxDailyOrders, maxDailyNotional: orders confirmed and their value per day (exchange time), the value being in
+ *   the base currency
+ * - maxPositionWeight: share (0 to 1) of the portfolio a position may reach after a buy
+ *
+ * Market orders are valued at the latest quote. Limits needing a quote reject the orders without one. Values are not
+ * converted between currencies: when maxDailyNotional, or maxPositionWeight for a buy, is set, orders of products
+ * traded in another currency than the base currency are rejected.
+ *
+ * An order whose confirmation fails counts for the daily limits, unless it was rejected (BusinessError): after a
+ * network error or a timeout it may have been placed anyway.
+ *
+ * @param {Object} options.limits - See above
+ * @param {Function} options.getQuote - Resolves to the {bidPrice, askPrice, lastPrice} of a product id, or null
+ * @param {Function} options.getPortfolio - Resolves to {total, values: values of the positions by product id}, in
+ *     the base currency
+ * @param {Function} options.getCurrency - Resolves to the currency of a product id. Defaults to none: currencies are
+ *     not checked
+ * @param {Function} options.baseCurrency - Returns the base currency of the account. Defaults to () => 'EUR'
+ * @param {Function} options.now - Defaults to () => new Date()
+ * @param {Function} options.log
+ * @return {Object} Guard rails
+ */
+const createGuardRails = ({
+    limits = {},
+    getQuote,
+    getPortfolio,
+    getCurrency,
+    baseCurrency = () => 'EUR',
+    now = () => new Date(),
+    log = () => {},
+}) => {
+    const current = Object.assign({}, limits);
+    // orders and value confirmed, or being confirmed, today
+    let usage = {day: null, orders: 0, notional: 0};
+
+    const violation = (rule, text) =>
+        new RiskLimitError(`Risk limit ${rule}: ${text}`, {operation: 'confirmOrder', rule});
+
+    const todayUsage = () => {
+        const day = today(now());
+        if (usage.day !== day) {
+            usage = {day, orders: 0, notional: 0};
+        }
+        return usage;
+    };
+
+    const needsQuote = order =>
+        isSet(current.priceBand) ||
+        (!isNumber(orderPrice(order)) &&
+            [current.maxOrderValue, current.maxDailyNotional, current.maxPositionWeight].some(isSet));
+
+    /**
+     * Checks the limits not needing a quote nor the portfolio
+     */
+    const checkOrder = order => {
+        const productId = String(order.productId);
+        if (current.killSwitch) {
+            throw violation('killSwitch', 'the kill switch is on');
+        }
+        if (current.allowedProductIds && !current.allowedProductIds.map(String).includes(productId)) {
+            throw violation('allowedProductIds', `product ${productId} is not allowed`);
+        }
+        if (current.deniedProductIds && current.deniedProductIds.map(String).includes(productId)) {
+            throw violation('deniedProductIds', `product ${productId} is denied`);
+        }
+        if (isSet(current.maxOrderSize) && order.size > current.maxOrderSize) {
+            throw violation('maxOrderSize', `size ${order.size} is over ${current.maxOrderSize}`);
+        }
+    };
+
+    /**
+     * Checks the order is in the base currency, when a limit compares its value with amounts in that currency
+     */
+    const checkCurrency = order => {
+        const rule = isSet(current.maxDailyNotional)
+            ? 'maxDailyNotional'
+            : isSet(current.maxPositionWeight) && order.buySell !== Actions.sell
+                ? 'maxPositionWeight'
+                : null;
+        if (!rule || !getCurrency) {
+            return Promise.resolve();
+        }
+        return getCurrency(String(order.productId)).then(currency => {
+            const base = baseCurrency();
+            if (currency !== base) {
+                throw violation(rule, `product ${order.productId} trades in ${currency}, not in ${base}`);
+            }
+        });
+    };
+
+    /**
+     * Checks the limits on the price and value of an order
+     *
+     * @return {number} The value of the order
+     */
+    const checkValue = (order, quote) => {
+        const price = orderPrice(order);
+        const reference = quote && quotePrice(order, quote);
+        if (isSet(current.priceBand) && isNumber(price)) {
+            if (!isNumber(reference)) {
+                throw violation('priceBand', `no quote for product ${order.productId}`);
+            }
+            const distance = Math.abs(price - reference) / reference;
+            if (distance > current.priceBand) {
+                throw violation('priceBand', `price ${price} is ${(distance * 100).toFixed(2)}% from ${reference}`);
+            }
+        }
+        const valuePrice = isNumber(price) ? price : reference;
+        if (!isNumber(valuePrice)) {
+            const rule = ['maxOrderValue', 'maxDailyNotional', 'maxPositionWeight'].find(name => isSet(current[name]));
+            if (rule) {
+                throw violation(rule, `no quote to value the order of product ${order.productId}`);
+            }
+            return 0;
+        }
+        const value = valuePrice * order.size;
+        if (isSet(current.maxOrderValue) && value > current.maxOrderValue) {
+            throw violation('maxOrderValue', `value ${value} is over ${current.maxOrderValue}`);
+        }
+        return value;
+    };
+
+    /**
+     * Checks the daily limits and counts the order, before confirming it so that concurrent orders can not exceed
+     * them together
+     *
+     * @return {Object} Today's usage
+     */
+    const reserve = value => {
+        const used = todayUsage();
+        if (isSet(current.maxDailyOrders) && used.orders + 1 > current.maxDailyOrders) {
+            throw violation('maxDailyOrders', `${current.maxDailyOrders} orders were already placed today`);
+        }
+        if (isSet(current.maxDailyNotional) && used.notional + value > current.maxDailyNotional) {
+            const text = `value ${value} would take today's total over ${current.maxDailyNotional}`;
+            throw violation('maxDailyNotional', text);
+        }
+        used.orders += 1;
+        used.notional += value;
+        return used;
+    };
+
+    const checkWeight = (order, value) => {
+        if (!isSet(current.maxPositionWeight) || order.buySell === Actions.sell) {
+            return Promise.resolve();
+        }
+        return getPortfolio().then(({total, values}) => {
+            const weight = total > 0 ? ((values[String(order.productId)] || 0) + value) / total : 1;
+            if (weight > current.maxPositionWeight) {
+                const text = `the position would be ${(weight * 100).toFixed(2)}% of the portfolio`;
+                throw violation('maxPositionWeight', text);
+            }
+        });
+    };
+
+    return {
+        /**
+         * Checks an order against the limits and confirms it when none is broken. Orders count for the daily limits
+         * unless their confirmation is rejected
+         *
+         * @param {Object} order - As sent to checkOrder
+         * @param {Function} confirm - Confirms the order, returning a promise
+         * @return {Promise} Resolves to the result of confirm(), or rejects with a RiskLimitError
+         */
+        enforce: (order, confirm) => {
+            let reserved = null;
+            return Promise.resolve()
+                .then(() => checkOrder(order))
+                .then(() => checkCurrency(order))
+                .then(() => (needsQuote(order) ? getQuote(String(order.productId)) : null))
+                .then(quote => {
+                    const value = checkValue(order, quote);
+                    return checkWeight(order, value).then(() => value);
+                })
+                .then(value => {
+                    reserved = {usage: reserve(value), value};
+                    return confirm();
+                })
+                .catch(error => {
+                    // only a rejected order is surely not placed
+                    const rejected = error instanceof BusinessError || error instanceof RiskLimitError;
+                    if (reserved && rejected) {
+                        reserved.usage.orders -= 1;
+                        reserved.usage.notional -= reserved.value;
+                    } else if (!reserved) {
+                        log('order rejected by the guard rails:', error.message);
+                    }
+                    throw error;
+                });
+        },
+
+        /**
+         * Changes some limits, e.g. setLimits({killSwitch: true}). Limits set to null are removed
+         *
+         * @param {Object} changes
+         */
+        setLimits: changes => {
+            Object.assign(current, changes);
+        },
+
+        /**
+         * @return {Object} A copy of the current limits
+         */
+        getLimits: () => Object.assign({}, current),
+
+        /**
+         * @return {Object} {orders, notional} confirmed today
+         */
+        getUsage: () => {
+            const {orders, notional} = todayUsage();
+            return {orders, notional};
+        },
+    };
+};
+
+module.exports = {
+    createGuardRails,
+};
@@ -1,26 +1,102 @@
 const fetch = require('node-fetch');
 const querystring = require('querystring');
 const parseCookies = require('cookie').parse;
-const {Actions, OrderTypes, TimeTypes, ProductTypes, Sort} = require('./constants');
+const {
+    Actions,
+    OrderTypes,
+    TimeTypes,
+    ProductTypes,
+    Sort,
+    QuoteFields,
+    ChartPeriods,
+    ChartResolutions,
+    TaxMethods,
+} = require('./constants');
 const omitBy = require('lodash/omitBy');
 const omit = require('lodash/omit');
 const isNil = require('lodash/isNil');
 const fromPairs = require('lodash/fromPairs');
 const {lcFirst} = require('./utils');
 const {headerToJSON} = require('./utils');
+const {createFileStore, createMemoryStore} = require('./session-store');
+const {generateTotp} = require('./totp');
+const {validateOrder, validateProductOrder} = require('./order-validation');
+const {createQuoteStream: createStream} = require('./quote-stream');
+const {normaliseChart} = require('./chart');
+const {parseDate, parseDateFields} = require('./dates');
+const {normalisePortfolio} = require('./portfolio');
+const {createAccountWatcher: createWatcher} = require('./account-watcher');
+const {trackOrder} = require('./order-tracker');
+const {splitRange, mapLimit, mergeItems, iterateWindows} = require('./reporting');
+const {createTaxReport} = require('./tax-report');
+const {ExportColumns, exportCsv, exportJsonLines} = require('./export');
+const {createRequestPipeline} = require('./request-pipeline');
+const {createProductBatcher, createProductCatalogue} = require('./product-catalogue');
+const {
+    SearchEndpoints,
+    buildSearchParams,
+    filterExpiry,
+    normaliseDictionary,
+    findDictionaryId,
+    labelProducts,
+} = require('./product-search');
+const {listFutures, buildOptionChain, searchAll} = require('./derivatives');
+const {createPaperBroker} = require('./paper-trading');
+const {isIsin, planRebalance: buildRebalancePlan} = require('./rebalance');
+const {createGuardRails} = require('./guard-rails');
+const {LogLevels, redact, consoleLogger, createLogger} = require('./logger');
+const {
+    DegiroError,
+    AuthenticationError,
+    SessionExpiredError,
+    BusinessError,
+    RateLimitError,
+    TechnicalError,
+    NetworkError,
+    MalformedResponseError,
+    OrderValidationError,
+    RiskLimitError,
+} = require('./errors');
 
 const BASE_TRADER_URL = 'https://trader.degiro.nl';
+const BASE_QUOTECAST_URL = 'https://degiro.quotecast.vwdservices.com/CORS';
+const BASE_CHART_URL = 'https://charting.vwdservices.com/hchart/v1/deGiro/data.js';
+
+// products per request when listing derivatives
+const DERIVATIVES_PAGE_SIZE = 100;
+
+// login status of a rejected one time password, which is worth retrying with the next one, unlike bad credentials
+const BAD_ONE_TIME_PASSWORD = 'badOneTimePassword';
 
 const create = ({
     username = process.env.DEGIRO_USER,
     password = process.env.DEGIRO_PASS,
     oneTimePassword = process.env.DEGIRO_ONE_TIME_PASS,
+    totpSecret = process.env.DEGIRO_TOTP_SECRET,
     sessionId = process.env.DEGIRO_SID,
     account = +process.env.DEGIRO_ACCOUNT,
     debug = !!process.env.DEGIRO_DEBUG,
+    autoRelogin = true,
+    keepAliveInterval = +process.env.DEGIRO_KEEP_ALIVE_INTERVAL || 0,
+    sessionStore = process.env.DEGIRO_SESSION_FILE ? createFileStore(process.env.DEGIRO_SESSION_FILE) : null,
+    fetch: fetchImpl = fetch,
+    baseUrl = BASE_TRADER_URL,
+    quotecastUrl = BASE_QUOTECAST_URL,
+    chartUrl = BASE_CHART_URL,
+    requestsPerSecond = 0,
+    maxConcurrency = 6,
+    retries = 2,
+    retryDelay = 500,
+    timeout = 30000,
+    productCacheTtl = 60 * 60 * 1000,
+    paper = false,
+    riskLimits = {},
+    logger: customLogger,
+    logLevel,
+    onRequest,
+    onResponse,
+    onError,
 } = {}) => {
-    const log = debug ? (...s) => console.log(...s) : () => {};
-
     const session = {
         id: sessionId,
         account,
@@ -32,82 +108,384 @@ const create = ({
         paUrl: null,
         productSearchUrl: null,
         productTypesUrl: null,
+        dictionaryUrl: null,
         reportingUrl: null,
         tradingUrl: null,
         vwdQuotecastServiceUrl: null,
     };
 
+    // quotecast session ids, which are part of the quotecast urls
+    const vwdSessionIds = new Set();
+
+    /**
+     * Structured logger hiding the session, the account and the credentials, see logger.js. `debug` writes every
+     * record as JSON to the console
+     */
+    const logger = createLogger({
+        logger: customLogger || (debug ? consoleLogger : null),
+        level: logLevel || (debug ? 'debug' : 'info'),
+        secrets: () =>
+            [session.id, session.account, session.userToken, username, password, oneTimePassword, totpSecret].concat(
+                Array.from(vwdSessionIds)
+            ),
+    });
+    const log = (...s) => logger.debug(s.join(' '));
+
+    /**
+     * Returns a request pipeline hook which logs the request event and passes it to the hook given to create(), with
+     * the url redacted. The pipeline already redacts the messages of its errors
+     *
+     * @param {Function} hook
+     * @param {string} level
+     * @param {string} message - e.g. 'response', logged after the operation
+     * @return {Function}
+     */
+    const trace = (hook, level, message) => event => {
+        const traced = Object.assign({}, event, {url: logger.redact(event.url)});
+        const fields = event.error ? Object.assign({}, traced, {error: event.error.message}) : traced;
+        logger[level](`${event.operation} ${message}`, fields);
+        if (hook) {
+            try {
+                hook(traced);
+            } catch (error) {
+                logger.warn(`${message} hook failed: ${error.message}`, {operation: event.operation});
+            }
+        }
+    };
+
+    /**
+     * Local ledger answering the trading requests in paper mode, see paper-trading.js. Quotes not given to
+     * paper.setQuote() are taken from getAskBidPrice()
+     */
+    const paperBroker = paper
+        ? createPaperBroker(
+            Object.assign({}, paper, {
+                store: paper.file ? createFileStore(paper.file) : paper.store,
+                getProduct: id => catalogue.getProducts(id).then(products => products[id]),
+                getQuote: id => getProductQuote(id),
+                log,
+            })
+        )
+        : null;
+
+    /**
+     * Saves the current session in the session store, if any
+     *
+     * @return {Promise}
+     */
+    const saveSession = () => {
+        if (!sessionStore) {
+            return Promise.resolve();
+        }
+        const {id, account, userToken, clientInfo} = session;
+        return sessionStore.save({id, account, userToken, clientInfo, urls}).catch(error => {
+            log('session store save failed:', error.message);
+        });
+    };
+
+    /**
+     * Restores the session from the session store, unless a session id was given.
+     * Every request waits for this to finish.
+     */
+    const ready = !sessionStore || session.id
+        ? Promise.resolve(false)
+        : sessionStore
+            .load()
+            .then(saved => {
+                if (!saved || !saved.id) {
+                    return false;
+                }
+                session.id = saved.id;
+                session.account = saved.account;
+                session.userToken = saved.userToken;
+                session.clientInfo = session.data = saved.clientInfo;
+                Object.assign(urls, saved.urls);
+                log('session restored from store');
+                startKeepAlive();
+                return true;
+            })
+            .catch(error => {
+                log('session store load failed:', error.message);
+                return false;
+            });
+
     const checkSuccess = (res, json, operation) => {
         log(operation + ' response status:', res.ok?'success':'error', '-', res.status, '-', res.statusText);
         log(operation + ' response header:', JSON.stringify(headerToJSON(res.headers)));
-        log(operation + ' response body:', JSON.stringify(json));
+        // the client info holds the user token as its id, logged before it is known as a secret
+        const body = operation === 'getClientInfo' && json && json.data
+            ? Object.assign({}, json, {data: Object.assign({}, json.data, {id: '[REDACTED]'})})
+            : json;
+        log(operation + ' response body:', JSON.stringify(body));
 
         if (!res.ok) {
-            if ('errors' in json) {
-                throw Error('Business: ' + json.errors[0].text);
+            const details = {operation, status: res.status, statusText: res.statusText, payload: json};
+            const message = 'Technical: ' + res.status + ' - ' + res.statusText;
+            if (res.status === 401) {
+                throw new SessionExpiredError(message, details);
+            } else if (res.status === 429) {
+                const retryAfter = +res.headers.get('retry-after') || undefined;
+                throw new RateLimitError(message, Object.assign({retryAfter}, details));
+            } else if (json && typeof json === 'object' && 'errors' in json) {
+                const errors = [].concat(json.errors);
+                const texts = errors.map(error => error.text).join(', ');
+                throw new BusinessError('Business: ' + texts, Object.assign({errors}, details));
             } else {
-                throw Error('Technical: ' + res.status + ' - ' + res.statusText);
+                throw new TechnicalError(message, details);
             }
         }
         return json
      };
 
+    /**
+     * Returns the error for a successful response which lacks the expected data
+     *
+     * @param {string} operation
+     * @param {*} data
+     * @return {MalformedResponseError}
+     */
+    const badResult = (operation, data) =>
+        new MalformedResponseError('Bad result: ' + JSON.stringify(data), {operation, payload: data});
+
+    /**
+     * Parses a date returned by the server, see parseDate()
+     *
+     * @param {string} operation
+     * @param {string} value
+     * @param {*} payload - Part of the response with the date, for the error
+     * @param {Date} now
+     * @return {Date}
+     */
+    const readDate = (operation, value, payload, now) => {
+        try {
+            return parseDate(value, now);
+        } catch (error) {
+            throw new MalformedResponseError(error.message, {operation, payload});
+        }
+    };
+
+    /**
+     * Parses the date fields of every item of a reporting response
+     *
+     * @param {string} operation
+     * @param {string[]} fields
+     * @return {Function} Maps an array of items
+     */
+    const readDates = (operation, fields) => items => {
+        if (!Array.isArray(items)) {
+            return items;
+        }
+        const now = new Date();
+        return items.map(item => {
+            try {
+                return parseDateFields(item, fields, now);
+            } catch (error) {
+                throw new MalformedResponseError(error.message, {operation, payload: item});
+            }
+        });
+    };
+
+    /**
+     * Sends a request through the rate limit, retrying idempotent requests on transient failures. Rejects with a
+     * NetworkError when no response is received, see request-pipeline.js
+     *
+     * @param {string} operation
+     * @param {string} url
+     * @param {Object} options - fetch options
+     * @param {boolean} pipelineOptions.queue - Wait for the rate and concurrency limits. Defaults to true
+     * @param {boolean} pipelineOptions.retry - Defaults to true
+     * @return {Promise} Resolves to the response
+     */
+    const send = createRequestPipeline({
+        fetch: fetchImpl,
+        requestsPerSecond,
+        maxConcurrency,
+        retries,
+        retryDelay,
+        timeout,
+        onRequest: trace(onRequest, 'debug', 'request'),
+        onResponse: trace(onResponse, 'info', 'response'),
+        onError: trace(onError, 'error', 'request failed'),
+        redact: text => logger.redact(text),
+        log,
+    });
+
+    /**
+     * Returns a response handler which parses the body and checks it for errors.
+     * Unsuccessful responses are not always JSON, in that case the payload is the raw body.
+     *
+     * @param {string} operation
+     * @return {Function}
+     */
+    const readResponse = operation => res =>
+        res.text().then(text => {
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                if (res.ok) {
+                    throw new MalformedResponseError(operation + ' response is not JSON: ' + error.message, {
+                        operation,
+                        status: res.status,
+                        statusText: res.statusText,
+                        payload: text,
+                    });
+                }
+                json = text;
+            }
+            return checkSuccess(res, json, operation);
+        });
+
+    let pendingLogin = null;
+
+    /**
+     * Logs in again, sharing a single login between concurrent callers
+     *
+     * @return {Promise} Resolves to session
+     */
+    const relogin = () => {
+        if (!pendingLogin) {
+            log('session expired, logging in again');
+            pendingLogin = login().then(
+                result => {
+                    pendingLogin = null;
+                    return result;
+                },
+                error => {
+                    pendingLogin = null;
+                    throw error;
+                }
+            );
+        }
+        return pendingLogin;
+    };
+
+    /**
+     * Wraps a request so that an expired session is renewed once and the request replayed.
+     * Requests that must not be sent twice (replay: false) still renew the session but
+     * reject with the original error.
+     *
+     * @param {Function} request - Builds and sends the request using the current session
+     * @param {boolean} options.replay - Replay the request after renewing the session. Defaults to true
+     * @return {Function}
+     */
+    const withSession = (request, {replay = true} = {}) => (...args) => ready.then(() => {
+        const usedSessionId = session.id;
+        return request(...args).catch(error => {
+            if (!(error instanceof SessionExpiredError) || !autoRelogin || !username || !password) {
+                throw error;
+            }
+            // another caller may have renewed the session while this request was in flight
+            const renewed = session.id !== usedSessionId ? Promise.resolve() : relogin();
+            return renewed.then(() => {
+                if (!replay) {
+                    throw error;
+                }
+                return request(...args);
+            });
+        });
+    });
+
+    let keepAliveTimer = null;
+
+    /**
+     * Stops the periodic session keep-alive requests
+     */
+    const stopKeepAlive = () => {
+        if (keepAliveTimer) {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+        }
+    };
+
+    /**
+     * Starts pinging the server every `keepAliveInterval` ms so the session does not expire
+     */
+    const startKeepAlive = () => {
+        stopKeepAlive();
+        if (keepAliveInterval > 0) {
+            keepAliveTimer = setInterval(() => {
+                withSession(getClientInfo)().catch(error => log('keep alive failed:', error.message));
+            }, keepAliveInterval);
+            // do not keep the process alive only to ping
+            keepAliveTimer.unref();
+        }
+    };
+
     /**
      * Gets data
      *
      * @return {Promise}
      */
-    const getData = (options = {}, object) => {
+    const getData = withSession((options = {}, object) => {
+        if (paperBroker) {
+            return paperBroker.getData(options);
+        }
         const params = querystring.stringify(options);
-        const url = `${urls.tradingUrl}v5/update/${session.account};jsessionid=${session.id}?${params}`
+        const url = `${urls.tradingUrl}v5/update/${session.account};jsessionid=${session.id}?${params}`;
         log('get' + object + ' request url: GET', url);
-        return fetch(url)
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'get' + object))));
+        return send('get' + object, url)
+        .then(readResponse('get' + object));
 
-    };
+    });
 
     /**
-     * Get current cash funds
+     * Get the cash funds with all their fields, currencyCode included
      *
-     * @return {Promise}
+     * @param {string} operation - Defaults to 'getCashFundRows'
+     * @return {Promise} Resolves to the cash funds, e.g. [{id: 2, currencyCode: 'EUR', value: 1935.8, handling: null}]
      */
-    const getCashFunds = () => {
+    const getCashFundRows = (operation = 'getCashFundRows') => {
         return getData({cashFunds: 0}, 'CashFunds').then(data => {
             if (data.cashFunds && Array.isArray(data.cashFunds.value)) {
-                return {
-                    cashFunds: data.cashFunds.value.map(({value}) =>
-                        omit(fromPairs(value.map(({name, value}) => [name, value])), [
-                            'handling',
-                            'currencyCode',
-                        ])
-                    ),
-                };
+                return data.cashFunds.value.map(({value}) => fromPairs(value.map(({name, value}) => [name, value])));
             }
-            throw Error('Bad result: ' + JSON.stringify(data));
+            throw badResult(operation, data);
         });
     };
 
+    /**
+     * Get current cash funds
+     *
+     * @return {Promise}
+     */
+    const getCashFunds = () =>
+        getCashFundRows('getCashFunds').then(rows => ({
+            cashFunds: rows.map(row => omit(row, ['handling', 'currencyCode'])),
+        }));
+
     /**
      * Create a session at VWD services
      *
      * @return {Promise}
      */
-    const requestVwdSession = () => {
-        const url = `https://degiro.quotecast.vwdservices.com/CORS/request_session?version=1.0.20170315&userToken=${session.userToken}`
-        const method = 'POST'
-        const headers = {Origin: 'https://trader.degiro.nl'}
-        const body = JSON.stringify({referrer: 'https://trader.degiro.nl'})
+    const sendVwdSessionRequest = withSession(() => {
+        const url = `${quotecastUrl}/request_session?version=1.0.20170315&userToken=${session.userToken}`;
+        const method = 'POST';
+        const headers = {Origin: baseUrl};
+        const body = JSON.stringify({referrer: baseUrl});
         log('requestVwdSession request url:', method, url);
         log('requestVwdSession request header:', JSON.stringify(headers));
         log('requestVwdSession request body:', body);
 
-        return fetch(url, {
+        return send('requestVwdSession', url, {
             method: method,
             headers: headers,
             body: body,
         })
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'requestVwdSession'))));
-    };
+        .then(readResponse('requestVwdSession'));
+    });
+
+    /**
+     * Create a session at VWD services, remembering its id to keep it out of the logs
+     *
+     * @return {Promise} Resolves to {sessionId}
+     */
+    const requestVwdSession = () =>
+        sendVwdSessionRequest().then(vwdSession => {
+            vwdSessionIds.add(String(vwdSession.sessionId));
+            return vwdSession;
+        });
 
     /**
      * Use VWD session to get latest bid/ask prices for a VWD issue ID
@@ -122,7 +500,7 @@ const create = ({
 
                 // sanity check
                 if (!Array.isArray(res)) {
-                    throw Error('Bad result: ' + JSON.stringify(res));
+                    throw badResult('getAskBidPrice', res);
                 }
 
                 // retry needed?
@@ -130,8 +508,9 @@ const create = ({
                     if (timesChecked <= 3) {
                         return getAskBidPrice(issueId, timesChecked);
                     } else {
-                        throw Error(
-                            'Tried 3 times to get data, but nothing was returned: ' + JSON.stringify(res)
+                        throw new MalformedResponseError(
+                            'Tried 3 times to get data, but nothing was returned: ' + JSON.stringify(res),
+                            {operation: 'getAskBidPrice', payload: res}
                         );
                     }
                 }
@@ -162,41 +541,204 @@ const create = ({
                 return prices;
             };
 
-            const url = `https://degiro.quotecast.vwdservices.com/CORS/${vwdSession.sessionId}`;
-            const method = 'POST'
-            const headers = {Origin: 'https://trader.degiro.nl'}
+            const url = `${quotecastUrl}/${vwdSession.sessionId}`;
+            const method = 'POST';
+            const headers = {Origin: baseUrl};
             const body = JSON.stringify({
                 controlData: `req(${issueId}.BidPrice);req(${issueId}.AskPrice);req(${
                                     issueId
                                   }.LastPrice);req(${
                                     issueId
                                   }.LastTime);`,
-            })
+            });
             log('getAskBidPrice request url:', url);
             log('getAskBidPrice request header:', JSON.stringify(headers));
             log('getAskBidPrice request body:', body);
 
-            return fetch(url, {
+            return send('getAskBidPrice', url, {
                 method: method,
                 headers: headers,
                 body: body,
             })
-            .then(() => fetch(`https://degiro.quotecast.vwdservices.com/CORS/${vwdSession.sessionId}`))
-            .then(res => res.json().then(json => (checkSuccess(res, json, 'getAskBidPrice'))))
+            .then(() => send('getAskBidPrice', url))
+            .then(readResponse('getAskBidPrice'))
             .then(checkData);
         });
 
+    /**
+     * Latest quote of a product, for paper trading and the guard rails
+     *
+     * @param {string} productId
+     * @return {Promise} Resolves to {bidPrice, askPrice, lastPrice, lastTime}, or null when it can not be had
+     */
+    const getProductQuote = productId =>
+        catalogue
+            .getProducts(productId)
+            .then(products => products[productId] && products[productId].vwdId)
+            .then(vwdId => (vwdId ? getAskBidPrice(String(vwdId)) : null))
+            .catch(error => {
+                log('quote of', productId, 'failed:', error.message);
+                return null;
+            });
+
+    /**
+     * Create a stream of real time quotes over a single VWD session
+     *
+     * @param {string[]} options.fields - Fields to subscribe to by default. See QuoteFields
+     * @param {number} options.reconnectDelay - Initial delay before reconnecting, in ms. Defaults to 1000
+     * @return {EventEmitter} See quote-stream.js
+     */
+    const createQuoteStream = (options = {}) => {
+        const headers = {Origin: baseUrl};
+        const control = (vwdSessionId, controlData) => {
+            const url = `${quotecastUrl}/${vwdSessionId}`;
+            const body = JSON.stringify({controlData});
+            log('quoteStream request url: POST', url);
+            log('quoteStream request body:', body);
+            return send('quoteStream', url, {method: 'POST', headers, body}).then(res => {
+                // the body of successful control requests is ignored
+                if (!res.ok) {
+                    return readResponse('quoteStream')(res);
+                }
+            });
+        };
+        const poll = vwdSessionId => {
+            const url = `${quotecastUrl}/${vwdSessionId}`;
+            log('quoteStream request url: GET', url);
+            // long polls would hold a concurrency slot, and the stream reconnects by itself
+            return send('quoteStream', url, {headers}, {queue: false, retry: false}).then(readResponse('quoteStream'));
+        };
+        const openSession = () => requestVwdSession().then(({sessionId}) => sessionId);
+
+        return createStream(Object.assign({openSession, control, poll, log}, options));
+    };
+
+    /**
+     * Watch the portfolio, cash funds and orders, polling for what changed since the previous update
+     *
+     * @param {number} options.interval - Delay between polls, in ms. Defaults to 5000
+     * @param {string[]} options.sections - Update sections to watch. Defaults to all of them
+     * @return {EventEmitter} See account-watcher.js
+     */
+    const createAccountWatcher = (options = {}) =>
+        createWatcher(Object.assign({getData: tokens => getData(tokens, 'AccountUpdates'), log}, options));
+
+    /**
+     * Get price history of a product
+     *
+     * @param {string} options.vwdId - VWD issue id of the product
+     * @param {string} options.period - See ChartPeriods. Defaults to ChartPeriods.year
+     * @param {string} options.resolution - See ChartResolutions. Defaults to ChartResolutions.day
+     * @param {string[]} options.series - Any of 'ohlc', 'volume' and 'price'. Defaults to ['ohlc', 'volume']
+     * @return {Promise} Resolves to {vwdId, start, end, resolution, candles: [{date, open, high, low, close, volume}]}
+     */
+    const getChart = withSession(({
+        vwdId,
+        period = ChartPeriods.year,
+        resolution = ChartResolutions.day,
+        series = ['ohlc', 'volume'],
+    }) => {
+        const params = querystring.stringify({
+            requestid: 1,
+            resolution,
+            culture: 'en-GB',
+            period,
+            series: series.map(name => `${name}:issueid:${vwdId}`),
+            format: 'json',
+            userToken: session.userToken,
+            tz: 'UTC',
+        });
+        const url = `${chartUrl}?${params}`;
+        log('getChart request url: GET', url);
+
+        return send('getChart', url)
+            .then(readResponse('getChart'))
+            .then(json => {
+                if (!json || !Array.isArray(json.series)) {
+                    throw badResult('getChart', json);
+                }
+                return Object.assign({vwdId: String(vwdId)}, normaliseChart(json));
+            });
+    });
+
+    /**
+     * Get the latest prices of some VWD issues over a single quotecast session
+     *
+     * @param {string[]} vwdIds
+     * @param {number} timeout - Resolves with the prices received so far after it, in ms
+     * @return {Promise} Resolves to prices by vwdId
+     */
+    const getLastPrices = (vwdIds, timeout) =>
+        new Promise((resolve, reject) => {
+            const prices = {};
+            if (!vwdIds.length) {
+                return resolve(prices);
+            }
+            const stream = createQuoteStream({fields: [QuoteFields.last]});
+            const finish = error => {
+                clearTimeout(timer);
+                stream.close();
+                return error ? reject(error) : resolve(prices);
+            };
+            const timer = setTimeout(finish, timeout);
+            stream.on('error', finish);
+            stream.on('quote', ({issueId, quote}) => {
+                if (typeof quote.lastPrice === 'number') {
+                    prices[issueId] = quote.lastPrice;
+                }
+                if (vwdIds.every(vwdId => vwdId in prices)) {
+                    finish();
+                }
+            });
+            stream.subscribe(vwdIds);
+        });
+
     /**
      * Get portfolio
      *
-     * @return {Promise}
+     * By default resolves to the raw rows of the update response. With `normalise` resolves to flat positions with
+     * marketValue (base currency), unrealisedPl (product currency) and weight, see portfolio.js
+     *
+     * @param {boolean} options.normalise - Defaults to false
+     * @param {boolean} options.enrich - Add product details (name, isin, symbol, currency, exchangeId, vwdId)
+     * @param {boolean} options.prices - Use the latest quotecast prices instead of the portfolio ones. Implies enrich
+     * @param {number} options.priceTimeout - How long to wait for the prices, in ms. Defaults to 5000
+     * @param {boolean} options.includeClosed - Keep positions with size 0. Defaults to false
+     * @param {number[]} options.productTypes - Only keep products of these types. Implies enrich
+     * @return {Promise} Resolves to {portfolio}
      */
-    const getPortfolio = () => {
+    const getPortfolio = ({
+        normalise = false,
+        enrich = false,
+        prices = false,
+        priceTimeout = 5000,
+        includeClosed = false,
+        productTypes,
+    } = {}) => {
         return getData({portfolio: 0}, 'Portfolio').then(data => {
-            if (data.portfolio && Array.isArray(data.portfolio.value)) {
-                return {portfolio: data.portfolio.value};
+            if (!data.portfolio || !Array.isArray(data.portfolio.value)) {
+                throw badResult('getPortfolio', data);
             }
-            throw Error('Bad result: ' + JSON.stringify(data));
+            const rows = data.portfolio.value;
+            if (!normalise) {
+                return {portfolio: rows};
+            }
+            const productIds = rows
+                .filter(({value}) => value.some(({name, value}) => name === 'positionType' && value === 'PRODUCT'))
+                .map(({id}) => String(id));
+            const withProducts = (enrich || prices || !!productTypes) && productIds.length;
+
+            return (withProducts ? catalogue.getProducts(productIds) : Promise.resolve({}))
+                .then(products => {
+                    const vwdIds = Object.keys(products)
+                        .map(id => products[id].vwdId)
+                        .filter(Boolean)
+                        .map(String);
+                    const options = {products, includeClosed, productTypes};
+                    return (prices ? getLastPrices(vwdIds, priceTimeout) : Promise.resolve({})).then(lastPrices => ({
+                        portfolio: normalisePortfolio(rows, Object.assign({prices: lastPrices}, options)),
+                    }));
+                });
         });
     };
 
@@ -215,6 +757,7 @@ const create = ({
                 data.transactions &&
                 Array.isArray(data.transactions.value)
             ) {
+                const now = new Date();
                 const processOrders = function(orders) {
                     var res = [];
 
@@ -225,26 +768,7 @@ const create = ({
 
                         order.value.forEach(function(orderRow) {
                             if (orderRow.name == 'date') {
-                                if (orderRow.value.includes(':')) {
-                                    o[orderRow.name] = new Date();
-                                    o[orderRow.name].setHours(orderRow.value.split(':')[0]);
-                                    o[orderRow.name].setMinutes(orderRow.value.split(':')[1]);
-                                    o[orderRow.name].setSeconds(0);
-                                    o[orderRow.name].setMilliseconds(0);
-                                } else if (orderRow.value.includes('/')) {
-                                    var currentDate = new Date();
-                                    var month = orderRow.value.split('/')[1];
-
-                                    o[orderRow.name] = new Date(
-                                        currentDate.getMonth() < month
-                                            ? currentDate.getYear() - 1
-                                            : currentDate.getYear(),
-                                        month,
-                                        orderRow.value.split('/')[0]
-                                    );
-                                } else {
-                                    throw Error('Unexpected date format: ' + orderRow.value);
-                                }
+                                o[orderRow.name] = readDate('getOrders', orderRow.value, orderRow, now);
                             } else {
                                 o[orderRow.name] = orderRow.value;
                             }
@@ -262,7 +786,7 @@ const create = ({
                     completedOrders: processOrders(data.transactions.value),
                 };
             }
-            throw Error('Bad result: ' + JSON.stringify(data));
+            throw badResult('getOrders', data);
         });
     };
 
@@ -272,24 +796,35 @@ const create = ({
      *
      * @return {Promise}
      */
-    const getTasks = () => {
+    const getTasks = withSession(() => {
         const url = `${urls.paUrl}clienttasks?intAccount=${
                           session.account
                         }&sessionId=${session.id}`
         log('getTasks request url: GET', url);
 
-        return fetch(url)
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getTasks'))));
-    };
+        return send('getTasks', url)
+        .then(readResponse('getTasks'));
+    });
 
 
     /**
-     * Get orders history (cancelled orders)
-     * date format: dd/MM/YYYY
+     * Reads a reporting date range in windows of at most `chunkDays` days, as DeGiro rejects long ranges
      *
-     * @return {Promise}
+     * @param {Function} request - Resolves to the items of a window, for (fromDate, toDate) as dd/MM/YYYY
+     * @param {string} dateField - Field to sort the items by
+     * @param {(Date|string)} fromDate - Date or dd/MM/YYYY
+     * @param {(Date|string)} toDate - Date or dd/MM/YYYY, included
+     * @param {number} options.chunkDays
+     * @param {number} options.concurrency - Windows requested at a time. Defaults to 2
+     * @return {Promise} Resolves to the items of every window, without duplicates and sorted by date
      */
-    const getOrdersHistory = (fromDate, toDate) => {
+    const readReport = (request, dateField, fromDate, toDate, {chunkDays, concurrency = 2}) =>
+        Promise.resolve()
+            .then(() => splitRange(fromDate, toDate, chunkDays))
+            .then(windows => mapLimit(windows, concurrency, ([from, to]) => request(from, to)))
+            .then(pages => mergeItems(pages, dateField));
+
+    const requestOrdersHistory = withSession((fromDate, toDate) => {
         const url = `${urls.reportingUrl}v6/order-history?intAccount=${
                           session.account
                         }&fromDate=${
@@ -299,18 +834,12 @@ const create = ({
                         }&sessionId=${session.id}`
         log('getOrdersHistory request url: GET', url);
 
-        return fetch(encodeURI(url))
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getOrdersHistory'))));
-    };
-
+        return send('getOrdersHistory', encodeURI(url))
+            .then(readResponse('getOrdersHistory'))
+            .then(json => readDates('getOrdersHistory', ['created', 'last'])(json.data) || []);
+    });
 
-    /**
-     * Get transactions (completed orders)
-     * date format: dd/MM/YYYY
-     *
-     * @return {Promise}
-     */
-    const getTransactions = (fromDate, toDate, groupByOrder) => {
+    const requestTransactions = groupByOrder => withSession((fromDate, toDate) => {
         const url = `${urls.reportingUrl}v6/transactions?intAccount=${
                           session.account
                         }&fromDate=${
@@ -322,19 +851,12 @@ const create = ({
                         }&sessionId=${session.id}`
         log('getTransactions request url: GET', url);
 
-        return fetch(encodeURI(url))
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getTransactions'))));
-    };
-
+        return send('getTransactions', encodeURI(url))
+            .then(readResponse('getTransactions'))
+            .then(json => readDates('getTransactions', ['date'])(json.data) || []);
+    });
 
-    /**
-     * Get portfolio movements (dividends, deposits, withdrawal, completed orders)
-     * Include the getTransactions info plus the dividends, deposits and withdrawals
-     * date format: dd/MM/YYYY
-     *
-     * @return {Promise}
-     */
-    const getPortfolioMovements = (fromDate, toDate) => {
+    const requestPortfolioMovements = withSession((fromDate, toDate) => {
         const url = `${urls.reportingUrl}v6/accountoverview?intAccount=${
                           session.account
                         }&fromDate=${
@@ -344,9 +866,128 @@ const create = ({
                         }&sessionId=${session.id}`
         log('getPortfolioMovements request url: GET', url);
 
-        return fetch(encodeURI(url))
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getPortfolioMovements'))));
-    };
+        return send('getPortfolioMovements', encodeURI(url))
+            .then(readResponse('getPortfolioMovements'))
+            .then(json => {
+                const cashMovements = json.data && json.data.cashMovements;
+                return readDates('getPortfolioMovements', ['date', 'valueDate'])(cashMovements) || [];
+            });
+    });
+
+    /**
+     * Get orders history (cancelled orders)
+     * Long ranges are requested in windows of 90 days, see readReport()
+     *
+     * @param {(Date|string)} fromDate - Date or dd/MM/YYYY
+     * @param {(Date|string)} toDate - Date or dd/MM/YYYY
+     * @param {Object} options - {chunkDays, concurrency}
+     * @return {Promise} Resolves to {data}, sorted by creation date
+     */
+    const getOrdersHistory = (fromDate, toDate, options = {}) =>
+        readReport(requestOrdersHistory, 'created', fromDate, toDate, Object.assign({chunkDays: 90}, options)).then(
+            data => ({data})
+        );
+
+    /**
+     * Get transactions (completed orders)
+     * Long ranges are requested in windows of 365 days, see readReport()
+     *
+     * @param {(Date|string)} fromDate - Date or dd/MM/YYYY
+     * @param {(Date|string)} toDate - Date or dd/MM/YYYY
+     * @param {boolean} groupByOrder
+     * @param {Object} options - {chunkDays, concurrency}
+     * @return {Promise} Resolves to {data}, sorted by date
+     */
+    const getTransactions = (fromDate, toDate, groupByOrder, options = {}) =>
+        readReport(
+            requestTransactions(groupByOrder),
+            'date',
+            fromDate,
+            toDate,
+            Object.assign({chunkDays: 365}, options)
+        ).then(data => ({data}));
+
+    /**
+     * Get portfolio movements (dividends, deposits, withdrawal, completed orders)
+     * Include the getTransactions info plus the dividends, deposits and withdrawals
+     * Long ranges are requested in windows of 365 days, see readReport()
+     *
+     * @param {(Date|string)} fromDate - Date or dd/MM/YYYY
+     * @param {(Date|string)} toDate - Date or dd/MM/YYYY
+     * @param {Object} options - {chunkDays, concurrency}
+     * @return {Promise} Resolves to {data: {cashMovements}}, sorted by date
+     */
+    const getPortfolioMovements = (fromDate, toDate, options = {}) =>
+        readReport(
+            requestPortfolioMovements,
+            'date',
+            fromDate,
+            toDate,
+            Object.assign({chunkDays: 365}, options)
+        ).then(cashMovements => ({data: {cashMovements}}));
+
+    /**
+     * Same as getOrdersHistory(), as an async iterable requesting one window at a time
+     *
+     * @return {Object} Async iterable of orders
+     */
+    const iterateOrdersHistory = (fromDate, toDate, {chunkDays = 90} = {}) =>
+        iterateWindows(requestOrdersHistory, splitRange(fromDate, toDate, chunkDays), 'created');
+
+    /**
+     * Same as getTransactions(), as an async iterable requesting one window at a time
+     *
+     * @return {Object} Async iterable of transactions
+     */
+    const iterateTransactions = (fromDate, toDate, groupByOrder, {chunkDays = 365} = {}) =>
+        iterateWindows(requestTransactions(groupByOrder), splitRange(fromDate, toDate, chunkDays), 'date');
+
+    /**
+     * Same as getPortfolioMovements(), as an async iterable requesting one window at a time
+     *
+     * @return {Object} Async iterable of cash movements
+     */
+    const iteratePortfolioMovements = (fromDate, toDate, {chunkDays = 365} = {}) =>
+        iterateWindows(requestPortfolioMovements, splitRange(fromDate, toDate, chunkDays), 'date');
+
+    /**
+     * Build the tax report of a year: realised gains of the sales and dividends per country, see tax-report.js
+     *
+     * @param {number} options.year
+     * @param {string} options.method - See TaxMethods. Defaults to TaxMethods.fifo
+     * @param {(Date|string)} options.fromDate - First transaction to account for the cost of the sales.
+     * Defaults to 01/01/2000
+     * @param {Object} options.fxRates - Rates of the dividend currencies, as units per unit of base currency
+     * @param {string} options.baseCurrency - Defaults to the one of the client info
+     * @return {Promise} Resolves to the report
+     */
+    const getTaxReport = ({
+        year,
+        method = TaxMethods.fifo,
+        fromDate = '01/01/2000',
+        fxRates,
+        baseCurrency = session.clientInfo && session.clientInfo.baseCurrency,
+    }) =>
+        Promise.all([
+            getTransactions(fromDate, `31/12/${year}`, false),
+            getPortfolioMovements(`01/01/${year}`, `31/12/${year}`),
+        ]).then(([{data: transactions}, {data: {cashMovements}}]) => {
+            const productIds = Array.from(
+                new Set(cashMovements.filter(({productId}) => productId).map(({productId}) => String(productId)))
+            );
+            return (productIds.length ? getProductsByIds(productIds) : Promise.resolve({data: {}})).then(
+                ({data: products = {}}) =>
+                    createTaxReport({
+                        year,
+                        method,
+                        transactions,
+                        cashMovements,
+                        products,
+                        fxRates,
+                        baseCurrency,
+                    })
+            );
+        });
 
     /**
      * Get client info
@@ -357,13 +998,13 @@ const create = ({
         const url = `${urls.paUrl}client?sessionId=${session.id}`
         log('getClientInfo request url: GET', url);
 
-        return fetch(url)
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getClientInfo'))))
+        return send('getClientInfo', url)
+        .then(readResponse('getClientInfo'))
         .then(json => {
             const data = json.data;
             session.account = data.intAccount;
             session.userToken = data.id;
-            session.data = data;
+            session.clientInfo = session.data = data;
             return data;
         });
     };
@@ -374,30 +1015,34 @@ const create = ({
      * @return {Promise}
      */
     const updateConfig = () => {
-        const url = `${BASE_TRADER_URL}/login/secure/config`
-        const headers = {headers: {Cookie: `JSESSIONID=${session.id};`}}
+        const url = `${baseUrl}/login/secure/config`;
+        const headers = {headers: {Cookie: `JSESSIONID=${session.id};`}};
         log('config request url: GET', url);
         log('config request header:', JSON.stringify(headers));
 
-        return fetch(url, headers)
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'config'))))
-        .then(json => {
-            urls.paUrl = json.data.paUrl;
-            urls.productSearchUrl = json.data.productSearchUrl;
-            urls.productTypesUrl = json.data.productTypesUrl;
-            urls.reportingUrl = json.data.reportingUrl;
-            urls.tradingUrl = json.data.tradingUrl;
-            urls.vwdQuotecastServiceUrl = json.data.vwdQuotecastServiceUrl;
-        });
+        return send('config', url, headers)
+            .then(readResponse('config'))
+            .then(json => {
+                urls.paUrl = json.data.paUrl;
+                urls.productSearchUrl = json.data.productSearchUrl;
+                urls.productTypesUrl = json.data.productTypesUrl;
+                urls.dictionaryUrl = json.data.dictionaryUrl;
+                urls.reportingUrl = json.data.reportingUrl;
+                urls.tradingUrl = json.data.tradingUrl;
+                urls.vwdQuotecastServiceUrl = json.data.vwdQuotecastServiceUrl;
+            });
     };
 
     /**
      * Login
      *
+     * When a TOTP secret is configured, the one time password is generated at login time. If it is
+     * rejected (e.g. the local clock is behind), the login is retried once with the next code.
+     *
      * @return {Promise} Resolves to {sessionId: string}
      */
-    const login = () => {
-        let url = `${BASE_TRADER_URL}/login/secure/login`;
+    const login = () => ready.then(() => {
+        let url = `${baseUrl}/login/secure/login`;
         let loginParams = {
             username,
             password,
@@ -410,36 +1055,73 @@ const create = ({
             log('2fa token', oneTimePassword);
             url += '/totp';
             loginParams.oneTimePassword = oneTimePassword;
+        } else if (totpSecret) {
+            url += '/totp';
+            const loginWithCode = window => {
+                const code = generateTotp(totpSecret, {window});
+                return sendLoginRequest(url, Object.assign({}, loginParams, {oneTimePassword: code}));
+            };
+            return loginWithCode(0).catch(error => {
+                const rejected = error instanceof AuthenticationError && error.payload;
+                if (!rejected || rejected.statusText !== BAD_ONE_TIME_PASSWORD) {
+                    throw error;
+                }
+                log('2fa token rejected, retrying with the next one:', error.message);
+                return loginWithCode(1);
+            });
         }
         return sendLoginRequest(url, loginParams);
-    };
+    });
+
+    /**
+     * Checks the login response and takes the session id from its cookie
+     *
+     * @return {Promise}
+     */
+    const readLoginResponse = res =>
+        readResponse('login')(res)
+            .catch(error => {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                // e.g. {status: 3, statusText: 'badCredentials'}
+                const reason = (error.payload && error.payload.statusText) || error.message;
+                throw new AuthenticationError('Authentication: ' + reason, error);
+            })
+            .then(json => {
+                const cookies = parseCookies(res.headers.get('set-cookie') || '');
+                session.id = cookies.JSESSIONID;
+                if (!session.id) {
+                    throw new AuthenticationError('login nok', {operation: 'login', status: res.status, payload: json});
+                }
+                log('login ok!');
+            });
 
     const sendLoginRequest = (url, params) => {
         const method = 'POST'
         const headers = {'Content-Type': 'application/json'}
         let obfuscatedParams = Object.assign({}, params)
         obfuscatedParams.password = '********';        
+        if (obfuscatedParams.oneTimePassword) {
+            obfuscatedParams.oneTimePassword = '******';
+        }
         log('login request url:', method , url);
         log('login request header:', JSON.stringify(headers));
         log('login request body:', JSON.stringify(obfuscatedParams));
         
-        return fetch(url, {
+        return send('login', url, {
             method: method,
             headers: headers,
             body: JSON.stringify(params),
         })
-        .then(res => res.json().then(json => {
-            const cookies = parseCookies(res.headers.get('set-cookie') || '');
-            session.id = cookies.JSESSIONID;
-            checkSuccess(res, json, 'login')
-            if (!session.id) {
-                throw Error('login nok');
-            }
-            log('login ok!');
-        }))
+        .then(readLoginResponse)
         .then(updateConfig)
         .then(getClientInfo)
-        .then(() => session);
+        .then(saveSession)
+        .then(() => {
+            startKeepAlive();
+            return session;
+        });
     };
 
     /**
@@ -453,7 +1135,7 @@ const create = ({
      * @param {number} options.offset - Results offset. Defaults to 0
      * @return {Promise} Resolves to {data: Product[]}
      */
-    const searchProduct = ({
+    const searchProduct = withSession(({
         text: searchText,
         productType = ProductTypes.all,
         sortColumn,
@@ -477,8 +1159,163 @@ const create = ({
                         }&${params}`
         log('searchProduct request url: GET', url);
 
-        return fetch(url)
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'searchProduct'))));
+        return send('searchProduct', url)
+        .then(readResponse('searchProduct'));
+    });
+
+    /**
+     * Returns a search of the products of a type through its dedicated endpoint
+     *
+     * @param {string} type - See SearchEndpoints in product-search.js
+     * @param {string} operation
+     * @return {Function} Takes searchProduct() options (text, sortColumn, sortType, limit, offset) and the filters of
+     *     the type, resolves to {offset, total, products}
+     */
+    const searchByType = (type, operation) => withSession((options = {}) => {
+        const params = querystring.stringify(omitBy(buildSearchParams(type, options), isNil));
+        const url = `${urls.productSearchUrl}${SearchEndpoints[type].path}?intAccount=${session.account}&sessionId=${
+            session.id
+        }&${params}`;
+        log(operation + ' request url: GET', url);
+
+        return send(operation, url)
+            .then(readResponse(operation))
+            .then(json => {
+                if (!json || typeof json !== 'object') {
+                    throw badResult(operation, json);
+                }
+                return Object.assign({}, json, {products: filterExpiry(json.products || [], options.expiry)});
+            });
+    });
+
+    /**
+     * Search stocks
+     *
+     * @param {number} options.exchangeId
+     * @param {number} options.countryId
+     * @param {number} options.indexId
+     */
+    const searchStocks = searchByType('stocks', 'searchStocks');
+
+    /**
+     * Search ETFs
+     *
+     * @param {number} options.issuerId
+     * @param {boolean} options.popularOnly
+     */
+    const searchEtfs = searchByType('etfs', 'searchEtfs');
+
+    /**
+     * Search bonds
+     *
+     * @param {number} options.exchangeId
+     * @param {number} options.issuerTypeId
+     */
+    const searchBonds = searchByType('bonds', 'searchBonds');
+
+    /**
+     * Search futures
+     *
+     * @param {number} options.exchangeId
+     * @param {string} options.underlyingIsin
+     * @param {string} options.expiry - yyyy-MM or yyyy-MM-dd, applied to the page of results
+     */
+    const searchFutures = searchByType('futures', 'searchFutures');
+
+    /**
+     * Search options
+     *
+     * @param {number} options.exchangeId
+     * @param {string} options.underlyingIsin
+     * @param {string} options.expiry - yyyy-MM or yyyy-MM-dd, applied to the page of results
+     */
+    const searchOptions = searchByType('options', 'searchOptions');
+
+    /**
+     * Search investment funds
+     */
+    const searchFunds = searchByType('funds', 'searchFunds');
+
+    /**
+     * Search leveraged products
+     *
+     * @param {number} options.issuerId
+     * @param {number} options.underlyingProductId
+     * @param {boolean} options.popularOnly
+     */
+    const searchLeveragedProducts = searchByType('leveragedProducts', 'searchLeveragedProducts');
+
+    /**
+     * List the futures of an underlying, loading every page of the futures search
+     *
+     * @param {string} options.underlyingIsin - e.g. 'NL0000000107' for the AEX
+     * @param {number} options.exchangeId
+     * @param {string} options.expiry - yyyy-MM or yyyy-MM-dd
+     * @return {Promise} Resolves to [{id, vwdId, name, symbol, expiry, contractSize, currency, exchangeId, product}]
+     *     sorted by expiry, see derivatives.js
+     */
+    const getFutures = ({underlyingIsin, exchangeId, expiry} = {}) => {
+        if (!underlyingIsin) {
+            return Promise.reject(TypeError('underlyingIsin is required'));
+        }
+        return searchAll(searchFutures, {underlyingIsin, exchangeId}, DERIVATIVES_PAGE_SIZE).then(products =>
+            listFutures(filterExpiry(products, expiry))
+        );
+    };
+
+    /**
+     * Get the option chain of an underlying, loading every page of the options search
+     *
+     * @param {string} options.underlyingIsin
+     * @param {number} options.exchangeId
+     * @param {string} options.expiry - yyyy-MM or yyyy-MM-dd
+     * @return {Promise} Resolves to [{expiry, strikes: [{strike, call, put}]}], see derivatives.js. Calls and puts
+     *     have the id to give to setOrder() and the vwdId to get their quotes
+     */
+    const getOptionChain = ({underlyingIsin, exchangeId, expiry} = {}) => {
+        if (!underlyingIsin) {
+            return Promise.reject(TypeError('underlyingIsin is required'));
+        }
+        return searchAll(searchOptions, {underlyingIsin, exchangeId}, DERIVATIVES_PAGE_SIZE).then(products =>
+            buildOptionChain(filterExpiry(products, expiry))
+        );
+    };
+
+    const requestProductDictionary = withSession(() => {
+        const url = `${urls.dictionaryUrl || urls.productTypesUrl}?intAccount=${session.account}&sessionId=${
+            session.id
+        }`;
+        log('getProductDictionary request url: GET', url);
+
+        return send('getProductDictionary', url)
+            .then(readResponse('getProductDictionary'))
+            .then(json => {
+                if (!json || typeof json !== 'object') {
+                    throw badResult('getProductDictionary', json);
+                }
+                return normaliseDictionary(json);
+            });
+    });
+
+    let productDictionary = null;
+
+    /**
+     * Get the product dictionary: exchanges, countries, currencies, regions, indices, product types... each by id.
+     * It is kept for `productCacheTtl` ms.
+     *
+     * @return {Promise} Resolves to the dictionary, see normaliseDictionary() in product-search.js
+     */
+    const getProductDictionary = () => {
+        if (!productDictionary || productDictionary.expires <= Date.now()) {
+            productDictionary = {
+                expires: Date.now() + productCacheTtl,
+                promise: requestProductDictionary().catch(error => {
+                    productDictionary = null;
+                    throw error;
+                }),
+            };
+        }
+        return productDictionary.promise;
     };
 
     /**
@@ -487,7 +1324,10 @@ const create = ({
      * @param {string} order.productId
      * @return {Promise} Resolves to {status: 0, statusText: "success"}
      */
-    const deleteOrder = orderId => {
+    const deleteOrder = withSession(orderId => {
+        if (paperBroker) {
+            return paperBroker.deleteOrder(orderId);
+        }
         const method = 'DELETE'
         const url = `${urls.tradingUrl}v5/order/${orderId};jsessionid=${
                           session.id
@@ -499,11 +1339,88 @@ const create = ({
         log('deleteOrder request url:', method, url);
         log('deleteOrder request header:', JSON.stringify(headers));
 
-        return fetch(url, {
+        return send('deleteOrder', url, {
             method: method,
             headers: headers,
         })
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'deleteOrder'))));
+        .then(readResponse('deleteOrder'));
+    });
+
+    /**
+     * Send the modification of an open order
+     *
+     * @param {string} orderId
+     * @param {Object} order - Full order, as sent to checkOrder
+     * @return {Promise}
+     */
+    const modifyOrder = withSession((orderId, order) => {
+        if (paperBroker) {
+            return paperBroker.modifyOrder(orderId, order);
+        }
+        const method = 'PUT';
+        const url = `${urls.tradingUrl}v5/order/${orderId};jsessionid=${session.id}?intAccount=${
+            session.account
+        }&sessionId=${session.id}`;
+        const headers = {'Content-Type': 'application/json;charset=UTF-8'};
+        log('updateOrder request url:', method, url);
+        log('updateOrder request header:', JSON.stringify(headers));
+        log('updateOrder request body:', JSON.stringify(order));
+
+        return send('updateOrder', url, {
+            method: method,
+            headers: headers,
+            body: JSON.stringify(order),
+        }).then(readResponse('updateOrder'));
+    });
+
+    /**
+     * Update an open order. Only the given fields are changed
+     *
+     * @param {string} orderId
+     * @param {number} changes.price
+     * @param {number} changes.stopPrice
+     * @param {number} changes.size
+     * @param {number} changes.timeType - See TimeTypes
+     * @return {Promise} Resolves to the updated order, as returned by getOrders(). Rejects with an
+     *     OrderValidationError when the updated order is invalid, or a RiskLimitError when it breaks a risk limit
+     */
+    const updateOrder = (orderId, {price, stopPrice, size, timeType} = {}) => {
+        const findOpenOrder = ({openOrders}) => openOrders.find(order => order.id === orderId);
+        const notOpen = text => new BusinessError('Business: ' + text, {operation: 'updateOrder', errors: [{text}]});
+
+        return getOrders()
+            .then(findOpenOrder)
+            .then(current => {
+                if (!current) {
+                    throw notOpen(`Order ${orderId} is not open`);
+                }
+                if (current.isModifiable === false) {
+                    throw notOpen(`Order ${orderId} can not be modified`);
+                }
+                const order = omitBy(
+                    {
+                        buySell: current.buysell === 'S' ? Actions.sell : Actions.buy,
+                        orderType: current.orderTypeId,
+                        productId: String(current.productId),
+                        size: current.size,
+                        timeType: current.orderTimeTypeId,
+                        price: current.price,
+                        stopPrice: current.stopPrice,
+                    },
+                    isNil
+                );
+                Object.assign(order, omitBy({price, stopPrice, size, timeType}, isNil));
+                // open orders report 0 for the prices their type does not use
+                const unused = (value, key) => (key === 'price' || key === 'stopPrice') && value === 0;
+                return validate(omitBy(order, unused), 'updateOrder').then(() =>
+                    guardRails.enforce(order, () => modifyOrder(orderId, order))
+                );
+            })
+            .then(getOrders)
+            .then(({openOrders, completedOrders, cancelledOrders}) =>
+                // the order may have been filled right after the update
+                openOrders.concat(completedOrders, cancelledOrders).find(order => order.id === orderId)
+            );
     };
 
     /**
@@ -516,9 +1433,12 @@ const create = ({
      * @param {number} order.timeType - See TimeTypes
      * @param {number} order.price - Required for limited and stopLimited orders
      * @param {number} order.stopPrice - Required for stopLoss and stopLimited orders
-     * @return {Promise} Resolves to {order: Object, confirmationId: string}
+     * @return {Promise} Resolves to {order: Object, confirmationId: string, transactionFees: Object[], ...}
      */
-    const checkOrder = order => {
+    const checkOrder = withSession(order => {
+        if (paperBroker) {
+            return paperBroker.checkOrder(order);
+        }
         const {buySell, orderType, productId, size, timeType, price, stopPrice} = order;
         const url = `${urls.tradingUrl}v5/checkOrder;jsessionid=${
                           session.id
@@ -531,23 +1451,26 @@ const create = ({
         log('checkOrder request header:', JSON.stringify(headers));
         log('checkOrder request body:', JSON.stringify(order));
 
-        return fetch(url, {
+        return send('checkOrder', url, {
             method: method,
             headers: headers,
             body: JSON.stringify(order),
         })
-        .then(res => res.json().then(json => checkSuccess(res, json, 'confirmOrder')))
-        .then(json => ({order, confirmationId: json.data.confirmationId}));
-    };
+        .then(readResponse('checkOrder'))
+        .then(json => Object.assign({}, json.data, {order}));
+    });
 
     /**
-     * Confirm order
+     * Send the confirmation of a checked order
      *
      * @param {Object} options.order - As returned by checkOrder()
      * @param {string} options.confirmationId - As returned by checkOrder()
      * @return {Promise} Resolves to {orderId: string}
      */
-    const confirmOrder = ({order, confirmationId}) => {
+    const sendConfirmOrder = withSession(({order, confirmationId}) => {
+        if (paperBroker) {
+            return paperBroker.confirmOrder({order, confirmationId});
+        }
         const url = `${urls.tradingUrl}v5/order/${confirmationId};jsessionid=${
                           session.id
                         }?intAccount=${
@@ -559,13 +1482,41 @@ const create = ({
         log('confirmOrder request header:', JSON.stringify(headers));
         log('confirmOrder request body:', JSON.stringify(order));
 
-        return fetch(url, {
+        return send('confirmOrder', url, {
             method: method,
             headers: headers,
             body: JSON.stringify(order),
         })
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'confirmOrder'))))
+        .then(readResponse('confirmOrder'))
         .then(json => ({orderId: json.data.orderId}));
+    }, {replay: false});
+
+    /**
+     * Confirm order, once the guard rails accept it
+     *
+     * @param {Object} checked - As returned by checkOrder()
+     * @return {Promise} Resolves to {orderId: string}. Rejects with a RiskLimitError when a risk limit is broken
+     */
+    const confirmOrder = checked => guardRails.enforce(checked.order, () => sendConfirmOrder(checked));
+
+    /**
+     * Validate an order locally and against its product
+     *
+     * @param {Object} order
+     * @param {string} operation - Defaults to 'setOrder'
+     * @return {Promise} Rejects with an OrderValidationError listing every problem found
+     */
+    const validate = (order, operation = 'setOrder') => {
+        const reject = problems => {
+            if (problems.length) {
+                const texts = problems.map(({text}) => text).join(', ');
+                throw new OrderValidationError('Invalid order: ' + texts, {operation, errors: problems});
+            }
+        };
+        reject(validateOrder(order));
+        return getProductsByIds(order.productId).then(({data}) =>
+            reject(validateProductOrder(order, data && data[order.productId]))
+        );
     };
 
     /**
@@ -578,20 +1529,167 @@ const create = ({
      * @param {number} options.timeType - See TimeTypes. Defaults to TimeTypes.day
      * @param {number} options.price
      * @param {number} options.stopPrice
+     * @param {boolean} options.validate - Validate the order before sending it. Defaults to true
+     * @param {boolean} options.dryRun - Only check the order, without confirming it. Defaults to false
+     * @return {Promise} Resolves to {orderId: string}, or to the checkOrder() result on dry runs
      */
-    const setOrder = ({buySell, orderType, productId, size, timeType = TimeTypes.day, price, stopPrice}) =>
-        checkOrder({buySell, orderType, productId, size, timeType, price, stopPrice}).then(confirmOrder);
+    const setOrder = ({
+        buySell,
+        orderType,
+        productId,
+        size,
+        timeType = TimeTypes.day,
+        price,
+        stopPrice,
+        validate: shouldValidate = true,
+        dryRun = false,
+    }) => {
+        const order = {buySell, orderType, productId, size, timeType, price, stopPrice};
+        return Promise.resolve()
+            .then(() => shouldValidate && validate(order))
+            .then(() => checkOrder(order))
+            .then(checked => (dryRun ? checked : confirmOrder(checked)));
+    };
 
     /**
-     * Get multiple products by its IDs
+     * Place an order and follow it until it is filled, cancelled or rejected
      *
-     * @param {(string|string[])} ids - ID or Array of IDs of the products to query
+     * @param {Object} order - As accepted by setOrder(), without dryRun
+     * @param {number} options.timeoutMs - Defaults to 60s
+     * @param {boolean} options.cancelOnTimeout - Delete the order when it is still open on timeout. Defaults to false
+     * @param {number} options.pollInterval - Delay between getOrders() calls, in ms. Defaults to 2000
+     * @param {Function} options.onStatus - Called with the result every time the status changes
+     * @return {Promise} Resolves to {orderId, status, timedOut, order, fills, filledQuantity, averagePrice, fees}
      */
-    const getProductsByIds = ids => {
-        if (!Array.isArray(ids)) {
-            ids = [ids];
-        }
+    const placeAndTrack = (order, options = {}) => {
+        const getTodayTransactions = () => getTransactions(new Date(), new Date(), false).then(({data}) => data);
+        return setOrder(Object.assign({}, order, {dryRun: false})).then(({orderId}) =>
+            trackOrder(
+                Object.assign({orderId, getOrders, getTransactions: getTodayTransactions, deleteOrder, log}, options)
+            )
+        );
+    };
+
+    /**
+     * Resolves the keys of rebalancing targets (product ids or ISINs) to product ids. An ISIN listed on several
+     * exchanges resolves to the held product, if any, or else to the first one found
+     *
+     * @param {Object} targets - Weights by product id or ISIN
+     * @param {string[]} heldIds
+     * @return {Promise} Resolves to weights by product id
+     */
+    const resolveTargets = (targets, heldIds) =>
+        Promise.all(
+            Object.keys(targets).map(key => {
+                if (!isIsin(key)) {
+                    return [String(key), targets[key]];
+                }
+                return catalogue.findByIsin(key).then(found => {
+                    const ids = Object.keys(found);
+                    const id = ids.find(id => heldIds.includes(id)) || ids[0];
+                    if (!id) {
+                        throw TypeError('No product found for ISIN ' + key);
+                    }
+                    return [id, targets[key]];
+                });
+            })
+        ).then(fromPairs);
+
+    /**
+     * Plan the orders which bring the portfolio to target weights, using the positions of getPortfolio(), the cash
+     * of getCashFunds() and the prices of getAskBidPrice(). Nothing is ordered, see executeRebalance()
+     *
+     * @param {Object} targets - Weights (0 to 1) by product id or ISIN, e.g. {IE00B3RBWM25: 0.6, '8066561': 0.3}
+     * @param {string} options.currency - Currency of the cash to use. Defaults to the base currency of the client
+     * @param {number} options.cashBuffer - Cash to keep aside. Defaults to 0
+     * @param {number} options.minOrderValue - Defaults to 0
+     * @param {(Object|Function)} options.fees - See computeFee() in paper-trading.js. Defaults to no fees
+     * @param {boolean} options.sellOthers - Sell the positions without target. Defaults to false
+     * @param {number} options.orderType - OrderTypes.limited or OrderTypes.marketOrder. Defaults to limited
+     * @param {number} options.timeType - Defaults to TimeTypes.day
+     * @return {Promise} Resolves to the plan, see rebalance.js
+     */
+    const planRebalance = (targets, options = {}) => {
+        const {currency = (session.clientInfo && session.clientInfo.baseCurrency) || 'EUR'} = options;
+        const sources = [getPortfolio({normalise: true}), getCashFundRows('planRebalance')];
+        return Promise.all(sources).then(([{portfolio}, cashFunds]) => {
+            const positions = portfolio.filter(({positionType}) => positionType === 'PRODUCT');
+            const cash = cashFunds
+                .filter(fund => fund.currencyCode === currency)
+                .reduce((sum, {value}) => sum + value, 0);
+            const heldIds = positions.map(({id}) => String(id));
+
+            return resolveTargets(targets, heldIds).then(weights => {
+                const ids = Array.from(new Set(Object.keys(weights).concat(options.sellOthers ? heldIds : [])));
+                return catalogue.getProducts(ids).then(products => {
+                    const wrongCurrency = Object.keys(weights).find(
+                        id => !products[id] || products[id].currency !== currency
+                    );
+                    if (wrongCurrency) {
+                        throw TypeError(`Product ${wrongCurrency} not found or not traded in ${currency}`);
+                    }
+                    const quoted = ids.filter(
+                        id => products[id] && products[id].vwdId && products[id].currency === currency
+                    );
+                    return Promise.all(quoted.map(id => getAskBidPrice(String(products[id].vwdId)))).then(quotes =>
+                        buildRebalancePlan(
+                            Object.assign({}, options, {
+                                targets: weights,
+                                positions,
+                                products,
+                                prices: fromPairs(quoted.map((id, i) => [id, quotes[i]])),
+                                cash,
+                            })
+                        )
+                    );
+                });
+            });
+        });
+    };
+
+    /**
+     * Place the orders of a rebalancing plan one by one, sells first, with checkOrder() and confirmOrder(). After
+     * an order fails the next ones are skipped
+     *
+     * @param {Object} plan - As returned by planRebalance()
+     * @param {boolean} options.dryRun - Only check the orders. Defaults to false
+     * @return {Promise} Resolves to the trades with status ('placed', 'checked', 'failed' or 'skipped'), and orderId,
+     *     transactionFees or error
+     */
+    const executeRebalance = (plan, {dryRun = false} = {}) => {
+        const execute = trade =>
+            checkOrder(trade.order).then(checked => {
+                const result = Object.assign({status: 'checked', transactionFees: checked.transactionFees}, trade);
+                return dryRun
+                    ? result
+                    : confirmOrder(checked).then(({orderId}) => Object.assign(result, {status: 'placed', orderId}));
+            });
+
+        const results = [];
+        let failed = false;
+        return plan.trades
+            .reduce(
+                (previous, trade) =>
+                    previous.then(() =>
+                        (failed ? Promise.resolve({status: 'skipped'}) : execute(trade))
+                            .catch(error => {
+                                failed = true;
+                                return {status: 'failed', error};
+                            })
+                            .then(result => results.push(Object.assign({}, trade, result)))
+                    ),
+                Promise.resolve()
+            )
+            .then(() => results);
+    };
 
+    /**
+     * Request products by id
+     *
+     * @param {string[]} ids
+     * @return {Promise} Resolves to products by id
+     */
+    const requestProductsByIds = withSession(ids => {
         const url = `${urls.productSearchUrl}v5/products/info?intAccount=${
                           session.account
                         }&sessionId=${
@@ -603,42 +1701,147 @@ const create = ({
         log('getProductsByIds request header:', JSON.stringify(headers));
         log('getProductsByIds request body:', body);
 
-        return fetch(url, {
+        return send('getProductsByIds', url, {
             method: method,
             headers: headers,
             body: body,
         })
-        .then(res => res.json().then(json => (checkSuccess(res, json, 'getProductsByIds'))));
-    };
+            .then(readResponse('getProductsByIds'))
+            .then(json => {
+                if (!json || typeof json.data !== 'object') {
+                    throw badResult('getProductsByIds', json);
+                }
+                return json.data;
+            });
+    });
+
+    const loadProducts = createProductBatcher({fetchProducts: requestProductsByIds});
+
+    /**
+     * Get multiple products by its IDs. Calls made within a tick are merged into one request, see
+     * product-catalogue.js
+     *
+     * @param {(string|string[])} ids - ID or Array of IDs of the products to query
+     * @return {Promise} Resolves to {data: products by id}
+     */
+    const getProductsByIds = ids => loadProducts(ids).then(data => ({data}));
+
+    /**
+     * Products cached for `productCacheTtl` ms, with lookups by ISIN, symbol and VWD id. See product-catalogue.js
+     */
+    const catalogue = createProductCatalogue({
+        getProducts: loadProducts,
+        searchProducts: options => searchProduct(options).then(({products = []}) => products),
+        ttl: productCacheTtl,
+    });
+
+    /**
+     * Risk limits checked before confirming orders, see guard-rails.js
+     */
+    const guardRails = createGuardRails({
+        limits: riskLimits,
+        getQuote: getProductQuote,
+        getCurrency: productId =>
+            catalogue.getProducts(productId).then(products => products[productId] && products[productId].currency),
+        baseCurrency: () => (session.clientInfo && session.clientInfo.baseCurrency) || 'EUR',
+        getPortfolio: () =>
+            getPortfolio({normalise: true}).then(({portfolio}) => ({
+                total: portfolio.reduce((sum, {marketValue}) => sum + (marketValue || 0), 0),
+                values: fromPairs(portfolio.map(({id, marketValue}) => [String(id), marketValue])),
+            })),
+        log,
+    });
 
     return {
         // methods
         login,
         searchProduct,
+        searchStocks,
+        searchEtfs,
+        searchBonds,
+        searchFutures,
+        searchOptions,
+        searchFunds,
+        searchLeveragedProducts,
+        getProductDictionary,
+        getFutures,
+        getOptionChain,
         getData,
         getCashFunds,
+        getCashFundRows: () => getCashFundRows(),
         getPortfolio,
         getAskBidPrice,
+        createQuoteStream,
+        createAccountWatcher,
+        getChart,
         setOrder,
+        confirmOrder,
+        placeAndTrack,
+        planRebalance,
+        executeRebalance,
         deleteOrder,
+        updateOrder,
         getOrders,
         getTasks,
         getOrdersHistory,
         getTransactions,
         getPortfolioMovements,
+        iterateOrdersHistory,
+        iterateTransactions,
+        iteratePortfolioMovements,
+        getTaxReport,
         getProductsByIds,
         getClientInfo,
         updateConfig,
+        stopKeepAlive,
+        restoreSession: () => ready,
         // properties
         session,
+        catalogue,
+        paper: paperBroker,
+        guardRails,
     };
 };
 
+/**
+ * Creates a client in paper mode, see create()
+ *
+ * @param {Object} options - As accepted by create(). `paper` may have the paper trading options
+ * @return {Object}
+ */
+const createPaper = (options = {}) => create(Object.assign({}, options, {paper: options.paper || true}));
+
 module.exports = {
     create,
+    createPaper,
     Actions,
     OrderTypes,
     ProductTypes,
     TimeTypes,
     Sort,
+    QuoteFields,
+    ChartPeriods,
+    ChartResolutions,
+    TaxMethods,
+    ExportColumns,
+    DegiroError,
+    AuthenticationError,
+    SessionExpiredError,
+    BusinessError,
+    RateLimitError,
+    TechnicalError,
+    NetworkError,
+    MalformedResponseError,
+    OrderValidationError,
+    RiskLimitError,
+    LogLevels,
+    consoleLogger,
+    redact,
+    validateOrder,
+    exportCsv,
+    exportJsonLines,
+    findDictionaryId,
+    labelProducts,
+    createFileSessionStore: createFileStore,
+    createMemorySessionStore: createMemoryStore,
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const LogLevels = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 50,
+};
+
+const REDACTED = '[REDACTED]';
+
+// fields holding credentials or identifying the session or the account
+const SECRET_KEYS = [
+    'username',
+    'password',
+    'oneTimePassword',
+    'totpSecret',
+    'sessionId',
+    'jsessionid',
+    'userToken',
+    'intAccount',
+    'email',
+    'cookie',
+    'set-cookie',
+].map(key => key.toLowerCase());
+
+const URL_PARAMS = /([?&;](?:jsessionid|sessionId|intAccount|userToken)=)[^?&;#\s"]*/gi;
+const COOKIES = /(JSESSIONID=)[^?&;,#\s"]*/gi;
+const JSON_FIELDS = new RegExp(`("(?:${SECRET_KEYS.join('|')})"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\]\\s]+)`, 'gi');
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Replaces the secrets of a string: session, account and credential parameters of URLs, cookies and JSON fields,
+ * and every known secret value
+ *
+ * @param {string} str
+ * @param {string[]} secrets
+ * @return {string}
+ */
+const redactString = (str, secrets) =>
+    secrets.reduce(
+        (redacted, secret) =>
+            redacted.replace(new RegExp(`(^|\\W)${escapeRegExp(secret)}(?=\\W|$)`, 'g'), `$1${REDACTED}`),
+        str
+            .replace(URL_PARAMS, `$1${REDACTED}`)
+            .replace(COOKIES, `$1${REDACTED}`)
+            .replace(JSON_FIELDS, `$1"${REDACTED}"`)
+    );
+
+/**
+ * Returns a copy of a value without secrets. Fields named like SECRET_KEYS are replaced, and strings are redacted
+ * with redactString()
+ *
+ * @param {*} value - Strings, arrays and plain objects are redacted, anything else is returned as it is
+ * @param {string[]} secrets - Values to hide wherever they appear, e.g. the session id
+ * @return {*}
+ */
+const redact = (value, secrets = []) => {
+    if (typeof value === 'string') {
+        return redactString(value, secrets);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, secrets));
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = SECRET_KEYS.includes(key.toLowerCase()) ? REDACTED : redact(value[key], secrets);
+        });
+        return copy;
+    }
+    return value;
+};
+
+/**
+ * Writes the records as JSON lines to the console: errors and warnings to stderr, the rest to stdout
+ */
+const consoleLogger = {
+    debug: record => console.log(JSON.stringify(record)),
+    info: record => console.log(JSON.stringify(record)),
+    warn: record => console.error(JSON.stringify(record)),
+    error: record => console.error(JSON.stringify(record)),
+};
+
+/**
+ * Creates the logger of a client. Records are plain objects: {time, level, message} plus the fields of the message,
+ * like {operation, method, url, status, duration}, redacted before they are written.
+ *
+ * @param {Object} options.logger - Object with a debug, info, warn and error method, each taking a record. Those
+ *     missing fall back to `log`. Defaults to none: nothing is written
+ * @param {string} options.level - Lowest level written, see LogLevels. Defaults to 'info'
+ * @param {Function} options.secrets - Returns the values to hide, e.g. the current session id
+ * @return {Object} {debug, info, warn, error, redact}, the level methods taking (message, fields)
+ */
+const createLogger = ({logger, level = 'info', secrets = () => []} = {}) => {
+    if (!(level in LogLevels)) {
+        throw TypeError('Unknown log level: ' + level);
+    }
+    // short values, like an empty user token, would redact unrelated text
+    const known = () =>
+        secrets()
+            .filter(secret => secret !== undefined && secret !== null && String(secret).length >= 4)
+            .map(String);
+
+    const write = recordLevel => (message, fields = {}) => {
+        if (!logger || LogLevels[recordLevel] < LogLevels[level]) {
+            return;
+        }
+        const record = Object.assign({time: new Date().toISOString(), level: recordLevel, message}, fields);
+        const method = logger[recordLevel] || logger.log;
+        try {
+            method.call(logger, redact(record, known()));
+        } catch (error) {
+            // a broken logger must not break the requests
+        }
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+        redact: value => redact(value, known()),
+    };
+};
+
+module.exports = {
+    LogLevels,
+    redact,
+    consoleLogger,
+    createLogger,
+};
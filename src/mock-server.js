@@ -0,0 +1,685 @@
+const http = require('http');
+const {URL} = require('url');
+const {generateTotp} = require('./totp');
+const {UPDATE_ROW_NAMES, toRows} = require('./utils');
+
+/**
+ * Parses a dd/MM/YYYY date as used by the reporting endpoints
+ *
+ * @param {string} str
+ * @return {number} Timestamp at the start of the day (UTC)
+ */
+const parseReportDate = str => {
+    const [day, month, year] = str.split('/').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Filters reporting items by their `date` or `created` (ISO string) using the request fromDate/toDate params
+ */
+const inDateRange = (items, query) => {
+    const from = query.fromDate ? parseReportDate(query.fromDate) : -Infinity;
+    const to = query.toDate ? parseReportDate(query.toDate) + DAY : Infinity;
+    return items.filter(item => {
+        const time = Date.parse(item.date || item.created);
+        return time >= from && time < to;
+    });
+};
+
+/**
+ * Creates a fake DeGiro server for tests. It implements the login, config, client info, update, product
+ * search, order, reporting and quotecast endpoints over plain HTTP, keeping its data in `state`.
+ *
+ * ```
+ * const server = createMockServer({products: [{id: '1', name: 'ACME', vwdId: '100'}]});
+ * server.listen().then(() => DeGiro.create(server.clientOptions()).login());
+ * ```
+ *
+ * @param {string} options.username - Defaults to 'johndoe'
+ * @param {string} options.password - Defaults to '1234'
+ * @param {string} options.totpSecret - When given, logins require a one time password
+ * @param {number} options.account - intAccount. Defaults to 1234567
+ * @param {number} options.userToken - Client id, used for quotecast sessions. Defaults to 7654321
+ * @param {Object[]} options.products - Products as returned by products/info
+ * @param {Object} options.dictionary - Product dictionary, e.g. {exchanges: [{id: 663, name: 'Nasdaq'}]}
+ * @param {Object[]} options.portfolio - Positions: plain objects, converted to update rows
+ * @param {Object[]} options.cashFunds - Cash funds: plain objects, converted to update rows
+ * @param {Object[]} options.orders - Open orders: plain objects, converted to update rows
+ * @param {Object[]} options.historicalOrders - Today's cancelled orders
+ * @param {Object[]} options.transactions - Today's transactions
+ * @param {Object[]} options.tasks - Client tasks
+ * @param {Object} options.reports - {orderHistory, transactions, cashMovements} items with an ISO
+ *     `date` (`created` for orderHistory)
+ * @param {number} options.reportMaxDays - Longer reporting ranges are rejected. Defaults to no limit
+ * @param {Object} options.quotes - Quotes by vwdId, e.g. {'100': {BidPrice: 10, AskPrice: 10.1}}
+ * @param {number} options.quotecastPollTimeout - How long quotecast polls wait for data, in ms. Defaults to 1000
+ * @param {Object} options.charts - Price history by vwdId, as {start, resolution, candles: [[open, high, low, close,
+ * volume]]}, e.g. {'100': {start: '2020-01-02T00:00:00', resolution: 'P1D', candles: [[10, 11, 9, 10.5, 1000]]}}
+ * @return {Object}
+ */
+const createMockServer = ({
+    username = 'johndoe',
+    password = '1234',
+    totpSecret,
+    account = 1234567,
+    userToken = 7654321,
+    products = [],
+    dictionary = {},
+    portfolio = [],
+    cashFunds = [],
+    orders = [],
+    historicalOrders = [],
+    transactions = [],
+    tasks = [],
+    reports = {},
+    reportMaxDays = Infinity,
+    quotes = {},
+    quotecastPollTimeout = 1000,
+    charts = {},
+} = {}) => {
+    const state = {
+        products,
+        dictionary,
+        portfolio,
+        cashFunds,
+        orders,
+        historicalOrders,
+        transactions,
+        tasks,
+        reports: Object.assign({orderHistory: [], transactions: [], cashMovements: []}, reports),
+        quotes,
+        charts,
+    };
+
+    const sessions = new Set();
+    const pendingOrders = new Map();
+    const vwdSessions = new Map();
+    const requests = [];
+    const failures = [];
+    let counter = 0;
+    let baseUrl = null;
+
+    const nextId = prefix => `${prefix}${++counter}`;
+
+    const json = (status, body, headers = {}) => ({status, body, headers});
+    const businessError = text => json(400, {errors: [{text}]});
+    const unauthorized = () => json(401, '', {'Content-Type': 'text/html'});
+
+    const findProduct = id => state.products.find(product => String(product.id) === String(id));
+
+    // login
+
+    const login = (body, withTotp) => {
+        if (body.username !== username || body.password !== password) {
+            return json(400, {status: 3, statusText: 'badCredentials'});
+        }
+        if (totpSecret) {
+            if (!withTotp) {
+                return json(400, {status: 6, statusText: 'totpNeeded'});
+            }
+            const valid = [-1, 0, 1].map(window => generateTotp(totpSecret, {window}));
+            if (!valid.includes(body.oneTimePassword)) {
+                return json(400, {status: 12, statusText: 'badOneTimePassword'});
+            }
+        }
+        const sessionId = nextId('session-');
+        sessions.add(sessionId);
+        return json(200, {isPassCodeEnabled: false, locale: 'en_GB', redirectUrl: baseUrl, status: 0}, {
+            'Set-Cookie': `JSESSIONID=${sessionId}; Path=/; HttpOnly`,
+        });
+    };
+
+    const config = () =>
+        json(200, {
+            data: {
+                paUrl: `${baseUrl}/pa/secure/`,
+                productSearchUrl: `${baseUrl}/product_search/secure/`,
+                productTypesUrl: `${baseUrl}/product_search/config/productTypes/`,
+                dictionaryUrl: `${baseUrl}/product_search/config/dictionary/`,
+                reportingUrl: `${baseUrl}/reporting/secure/`,
+                tradingUrl: `${baseUrl}/trading/secure/`,
+                vwdQuotecastServiceUrl: `${baseUrl}/CORS/`,
+            },
+        });
+
+    const clientInfo = () =>
+        json(200, {
+            data: {
+                id: userToken,
+                intAccount: account,
+                clientRole: 'basic',
+                username,
+                email: `${username}@example.com`,
+                baseCurrency: 'EUR',
+            },
+        });
+
+    // trading
+
+    // lastUpdated token -> copy of the update sections sent with it, to answer with deltas
+    const snapshots = new Map();
+
+    /**
+     * Returns the rows changed since a snapshot: new rows in full, changed rows with the changed fields only,
+     * and removed rows as {id, isRemoved}
+     */
+    const deltaRows = (name, previous, items) => {
+        const before = new Map(previous.map(item => [String(item.id), item]));
+        const rows = items
+            .map(item => {
+                const old = before.get(String(item.id));
+                before.delete(String(item.id));
+                if (!old) {
+                    return Object.assign(toRows(name, [item])[0], {isAdded: true});
+                }
+                const value = Object.keys(item)
+                    .filter(key => JSON.stringify(item[key]) !== JSON.stringify(old[key]))
+                    .map(key => ({name: key, value: item[key]}));
+                return value.length ? {name, id: item.id, value} : null;
+            })
+            .filter(Boolean);
+        before.forEach(item => rows.push({name, id: item.id, isRemoved: true}));
+        return rows;
+    };
+
+    const update = query => {
+        const token = ++counter;
+        const body = {};
+        const snapshot = {};
+        Object.keys(UPDATE_ROW_NAMES)
+            .filter(section => section in query)
+            .forEach(section => {
+                const previous = snapshots.get(Number(query[section]));
+                const rows =
+                    previous && previous[section]
+                        ? deltaRows(UPDATE_ROW_NAMES[section], previous[section], state[section])
+                        : toRows(UPDATE_ROW_NAMES[section], state[section]);
+                body[section] = {lastUpdated: token, name: section, value: rows};
+                snapshot[section] = JSON.parse(JSON.stringify(state[section]));
+            });
+        snapshots.set(token, snapshot);
+        return json(200, body);
+    };
+
+    const checkOrder = order => {
+        const product = findProduct(order.productId);
+        if (!product) {
+            return businessError('Product not found');
+        }
+        if (!(order.size > 0)) {
+            return businessError('Invalid size');
+        }
+        const confirmationId = nextId('confirmation-');
+        pendingOrders.set(confirmationId, order);
+        return json(200, {
+            data: {
+                confirmationId,
+                freeSpaceNew: 10000,
+                transactionFees: [{id: 2, amount: 0.5, currency: 'EUR'}],
+                showExAnteReportLink: true,
+            },
+        });
+    };
+
+    const confirmOrder = (confirmationId, order) => {
+        if (!pendingOrders.has(confirmationId)) {
+            return businessError('Unknown confirmation id');
+        }
+        pendingOrders.delete(confirmationId);
+        const product = findProduct(order.productId);
+        const id = nextId('order-');
+        state.orders.push({
+            id,
+            date: new Date().toTimeString().slice(0, 5),
+            productId: Number(order.productId),
+            product: product.name,
+            contractType: 1,
+            contractSize: 1,
+            currency: product.currency,
+            buysell: order.buySell === 'SELL' ? 'S' : 'B',
+            size: order.size,
+            quantity: 0,
+            price: order.price || 0,
+            stopPrice: order.stopPrice || 0,
+            totalOrderValue: (order.price || 0) * order.size,
+            orderTypeId: order.orderType,
+            orderTimeTypeId: order.timeType,
+            isModifiable: true,
+            isDeletable: true,
+        });
+        return json(200, {data: {orderId: id}});
+    };
+
+    const updateOrder = (orderId, changes) => {
+        const order = state.orders.find(order => order.id === orderId);
+        if (!order) {
+            return businessError('Order not found');
+        }
+        Object.assign(order, {
+            size: changes.size,
+            price: changes.price || 0,
+            stopPrice: changes.stopPrice || 0,
+            orderTimeTypeId: changes.timeType,
+        });
+        order.totalOrderValue = order.price * order.size;
+        return json(200, {status: 0, statusText: 'success'});
+    };
+
+    const deleteOrder = orderId => {
+        const index = state.orders.findIndex(order => order.id === orderId);
+        if (index === -1) {
+            return businessError('Order not found');
+        }
+        state.historicalOrders.push(state.orders.splice(index, 1)[0]);
+        return json(200, {status: 0, statusText: 'success'});
+    };
+
+    // products
+
+    const lookup = query => {
+        const text = (query.searchText || '').toLowerCase();
+        const limit = Number(query.limit || 7);
+        const offset = Number(query.offset || 0);
+        const found = state.products.filter(
+            product =>
+                (!query.productTypeId || String(product.productTypeId) === query.productTypeId) &&
+                ['name', 'symbol', 'isin'].some(key => String(product[key] || '').toLowerCase().includes(text))
+        );
+        return json(200, {offset, products: found.slice(offset, offset + limit)});
+    };
+
+    // product type of each typed search endpoint, and product field of its filters
+    const typedSearches = {stocks: 1, etfs: 131, bonds: 2, futures: 7, options: 8, funds: 13, leverageds: 14};
+    const typedFilters = {
+        exchangeId: 'exchangeId',
+        bondExchangeId: 'exchangeId',
+        futureExchangeId: 'exchangeId',
+        optionExchangeId: 'exchangeId',
+        underlyingIsin: 'underlyingIsin',
+        indexId: 'indexId',
+        stockCountryId: 'countryId',
+    };
+
+    const typedSearch = (type, query) => {
+        const filters = Object.keys(typedFilters).filter(param => query[param] !== undefined);
+        const aggregateTypes = query.inputAggregateTypes ? query.inputAggregateTypes.split(',') : [];
+        const aggregateValues = query.inputAggregateValues ? query.inputAggregateValues.split(',') : [];
+        const found = state.products.filter(
+            product =>
+                product.productTypeId === typedSearches[type] &&
+                filters.every(param => String(product[typedFilters[param]]) === query[param]) &&
+                aggregateTypes.every((field, i) => String(product[field]) === aggregateValues[i])
+        );
+        const text = (query.searchText || '').toLowerCase();
+        const matching = found.filter(product =>
+            ['name', 'symbol', 'isin'].some(key => String(product[key] || '').toLowerCase().includes(text))
+        );
+        const limit = Number(query.limit || 10);
+        const offset = Number(query.offset || 0);
+        return json(200, {offset, total: matching.length, products: matching.slice(offset, offset + limit)});
+    };
+
+    const productsInfo = ids => {
+        const data = {};
+        ids.map(findProduct)
+            .filter(Boolean)
+            .forEach(product => {
+                data[product.id] = product;
+            });
+        return json(200, {data});
+    };
+
+    // quotecast
+
+    const requestVwdSession = () => {
+        const sessionId = nextId('vwd-');
+        vwdSessions.set(sessionId, {messages: [], keys: new Map(), waiting: null});
+        return json(200, {sessionId});
+    };
+
+    const vwdPush = (vwdSession, messages) => {
+        vwdSession.messages.push(...messages);
+        if (vwdSession.waiting) {
+            vwdSession.waiting();
+        }
+    };
+
+    const vwdValue = (index, value) => ({m: typeof value === 'string' ? 'us' : 'un', v: [index, value]});
+
+    const vwdControl = (vwdSession, controlData) => {
+        const messages = [];
+        (controlData.match(/(req|rem)\([^)]+\)/g) || []).forEach(command => {
+            const key = command.slice(4, -1);
+            if (command.startsWith('rem')) {
+                vwdSession.keys.delete(key);
+                return;
+            }
+            if (vwdSession.keys.has(key)) {
+                return;
+            }
+            const [issueId, field] = key.split(/\.(?=[^.]+$)/);
+            const index = ++counter;
+            const value = (state.quotes[issueId] || {})[field];
+            vwdSession.keys.set(key, index);
+            messages.push({m: 'a_req', v: [key, index]});
+            if (value !== undefined) {
+                messages.push(vwdValue(index, value));
+            }
+        });
+        vwdPush(vwdSession, messages);
+        return json(200, '');
+    };
+
+    // long poll: wait for messages up to quotecastPollTimeout, then answer with a heartbeat
+    const vwdPoll = vwdSession => {
+        const flush = () => {
+            const messages = vwdSession.messages.length ? vwdSession.messages : [{m: 'h'}];
+            vwdSession.messages = [];
+            vwdSession.waiting = null;
+            return json(200, messages);
+        };
+        if (vwdSession.messages.length) {
+            return flush();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(flush()), quotecastPollTimeout);
+            vwdSession.waiting = () => {
+                clearTimeout(timer);
+                resolve(flush());
+            };
+        });
+    };
+
+    // charting
+
+    const chart = query => {
+        if (Number(query.userToken) !== userToken) {
+            return unauthorized();
+        }
+        const series = [].concat(query.series || []).map(id => {
+            const [type, , vwdId] = id.split(':');
+            const history = state.charts[vwdId];
+            if (!history) {
+                return {type: 'error', id};
+            }
+            const pick = values =>
+                ({ohlc: values.slice(0, 4), volume: values.slice(4, 5), price: values.slice(3, 4)}[type]);
+            return {
+                type: type === 'ohlc' ? 'ohlc' : 'time',
+                id,
+                times: `${history.start}/${history.resolution}`,
+                data: history.candles.map((values, offset) => [offset].concat(pick(values))),
+            };
+        });
+        return json(200, {requestid: query.requestid, resolution: query.resolution, series});
+    };
+
+    // routing
+
+    const route = (method, pathname, query, body, cookies) => {
+        const [path, matrix = ''] = pathname.split(';');
+        const sessionId = (matrix.match(/jsessionid=([^;]+)/) || [])[1] || query.sessionId || cookies.JSESSIONID;
+        const parts = path.split('/').filter(Boolean);
+        const authorized = sessions.has(sessionId);
+
+        if (path === '/login/secure/login' && method === 'POST') {
+            return login(body, false);
+        }
+        if (path === '/login/secure/login/totp' && method === 'POST') {
+            return login(body, true);
+        }
+        if (path === '/hchart/v1/deGiro/data.js') {
+            return chart(query);
+        }
+        if (parts[0] === 'CORS') {
+            if (parts[1] === 'request_session') {
+                return Number(query.userToken) === userToken ? requestVwdSession() : unauthorized();
+            }
+            const vwdSession = vwdSessions.get(parts[1]);
+            if (!vwdSession) {
+                return json(200, [{m: 'sr'}]);
+            }
+            return method === 'POST' ? vwdControl(vwdSession, body.controlData || '') : vwdPoll(vwdSession);
+        }
+        if (!authorized) {
+            return unauthorized();
+        }
+        if (path === '/login/secure/config') {
+            return config();
+        }
+        if (path === '/pa/secure/client') {
+            return clientInfo();
+        }
+        if (path === '/pa/secure/clienttasks') {
+            return json(200, {data: state.tasks});
+        }
+        if (parts[0] === 'trading' && parts[3] === 'update') {
+            return update(query);
+        }
+        if (parts[0] === 'trading' && parts[3] === 'checkOrder') {
+            return checkOrder(body);
+        }
+        if (parts[0] === 'trading' && parts[3] === 'order' && method === 'POST') {
+            return confirmOrder(parts[4], body);
+        }
+        if (parts[0] === 'trading' && parts[3] === 'order' && method === 'PUT') {
+            return updateOrder(parts[4], body);
+        }
+        if (parts[0] === 'trading' && parts[3] === 'order' && method === 'DELETE') {
+            return deleteOrder(parts[4]);
+        }
+        if (path === '/product_search/secure/v5/products/lookup') {
+            return lookup(query);
+        }
+        if (path === '/product_search/secure/v5/products/info') {
+            return productsInfo(body);
+        }
+        if (parts[0] === 'product_search' && parts[2] === 'v5' && typedSearches[parts[3]]) {
+            return typedSearch(parts[3], query);
+        }
+        if (path === '/product_search/config/dictionary/') {
+            return json(200, state.dictionary);
+        }
+        if (path.startsWith('/reporting/') && query.fromDate && query.toDate) {
+            const days = (parseReportDate(query.toDate) - parseReportDate(query.fromDate)) / DAY + 1;
+            if (days > reportMaxDays) {
+                return businessError(`The maximum range is ${reportMaxDays} days`);
+            }
+        }
+        if (path === '/reporting/secure/v6/order-history') {
+            return json(200, {data: inDateRange(state.reports.orderHistory, query)});
+        }
+        if (path === '/reporting/secure/v6/transactions') {
+            return json(200, {data: inDateRange(state.reports.transactions, query)});
+        }
+        if (path === '/reporting/secure/v6/accountoverview') {
+            return json(200, {data: {cashMovements: inDateRange(state.reports.cashMovements, query)}});
+        }
+        return json(404, {errors: [{text: 'Not found: ' + method + ' ' + path}]});
+    };
+
+    const parseCookies = header =>
+        (header || '').split(';').reduce((cookies, pair) => {
+            const [key, value] = pair.trim().split('=');
+            if (key) {
+                cookies[key] = value;
+            }
+            return cookies;
+        }, {});
+
+    const handle = (req, res) => {
+        let raw = '';
+        req.on('data', chunk => (raw += chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, baseUrl);
+            const query = {};
+            url.searchParams.forEach((value, key) => {
+                // repeated params become arrays
+                query[key] = key in query ? [].concat(query[key], value) : value;
+            });
+            let body = {};
+            try {
+                body = raw ? JSON.parse(raw) : {};
+            } catch (error) {
+                body = raw;
+            }
+            requests.push({method: req.method, path: url.pathname, query, body, headers: req.headers});
+
+            const failure = failures.shift();
+            const cookies = parseCookies(req.headers.cookie);
+            const result = failure || route(req.method, decodeURIComponent(url.pathname), query, body, cookies);
+            Promise.resolve(result).then(({status, body, headers}) => {
+                res.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers));
+                res.end(typeof body === 'string' ? body : JSON.stringify(body));
+            });
+        });
+    };
+
+    const server = http.createServer(handle);
+
+    return {
+        state,
+        requests,
+
+        /**
+         * Starts listening on localhost
+         *
+         * @param {number} port - Defaults to a random free port
+         * @return {Promise} Resolves to the base url
+         */
+        listen: (port = 0) =>
+            new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            }),
+
+        /**
+         * @return {Promise}
+         */
+        close: () => {
+            // answer pending quotecast polls, or the server would wait for them
+            vwdSessions.forEach(vwdSession => vwdSession.waiting && vwdSession.waiting());
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+
+        /**
+         * @return {string} Base url, once listening
+         */
+        get url() {
+            return baseUrl;
+        },
+
+        /**
+         * Options for DeGiro.create() to use this server
+         *
+         * @return {Object}
+         */
+        clientOptions: () => ({
+            username,
+            password,
+            totpSecret,
+            baseUrl,
+            quotecastUrl: `${baseUrl}/CORS`,
+            chartUrl: `${baseUrl}/hchart/v1/deGiro/data.js`,
+        }),
+
+        /**
+         * Invalidates every session, so the next requests get a 401
+         */
+        expireSessions: () => sessions.clear(),
+
+        /**
+         * Updates the quote of an issue, sending the new values to the quotecast sessions subscribed to them
+         *
+         * @param {string} issueId
+         * @param {Object} values - e.g. {LastPrice: 10.2}
+         */
+        setQuote: (issueId, values) => {
+            state.quotes[issueId] = Object.assign(state.quotes[issueId] || {}, values);
+            vwdSessions.forEach(vwdSession => {
+                const messages = Object.keys(values)
+                    .filter(field => vwdSession.keys.has(`${issueId}.${field}`))
+                    .map(field => vwdValue(vwdSession.keys.get(`${issueId}.${field}`), values[field]));
+                if (messages.length) {
+                    vwdPush(vwdSession, messages);
+                }
+            });
+        },
+
+        /**
+         * Removes every quotecast session, as the quotecast server does when they time out
+         */
+        dropQuotecastSessions: () => {
+            vwdSessions.forEach(vwdSession => vwdPush(vwdSession, [{m: 'sr'}]));
+            vwdSessions.clear();
+        },
+
+        /**
+         * Fills an open order: a transaction is added and its quantity is added to the position. The order moves
+         * to the transactions once completely filled.
+         *
+         * @param {string} orderId
+         * @param {number} price - Defaults to the order price
+         * @param {number} quantity - Defaults to what is left of the order
+         */
+        fillOrder: (orderId, price, quantity) => {
+            const order = state.orders.find(order => order.id === orderId);
+            if (!order) {
+                throw Error('Order not found: ' + orderId);
+            }
+            const fillPrice = price === undefined ? order.price : price;
+            const fillQuantity = quantity === undefined ? order.size - order.quantity : quantity;
+            const change = order.buysell === 'S' ? -fillQuantity : fillQuantity;
+            order.quantity += fillQuantity;
+            if (order.quantity >= order.size) {
+                state.orders.splice(state.orders.indexOf(order), 1);
+            }
+            state.transactions.push({
+                id: nextId('transaction-'),
+                orderId,
+                date: new Date().toTimeString().slice(0, 5),
+                productId: order.productId,
+                buysell: order.buysell,
+                quantity: change,
+                price: fillPrice,
+                totalPlusFeeInBaseCurrency: -change * fillPrice - 0.5,
+                totalFeesInBaseCurrency: -0.5,
+            });
+            const position = state.portfolio.find(({id}) => String(id) === String(order.productId));
+            if (position) {
+                position.size += change;
+                position.value = position.size * position.price;
+            } else {
+                state.portfolio.push({
+                    id: String(order.productId),
+                    positionType: 'PRODUCT',
+                    size: change,
+                    price: fillPrice,
+                    value: change * fillPrice,
+                    breakEvenPrice: fillPrice,
+                });
+            }
+        },
+
+        /**
+         * Answers the next request with the given response instead of handling it
+         *
+         * @param {number} status
+         * @param {(Object|string)} body - Defaults to ''
+         * @param {Object} headers
+         */
+        failNext: (status, body = '', headers = {}) => {
+            failures.push(json(status, body, headers));
+        },
+    };
+};
+
+module.exports = {
+    createMockServer,
+    toRows,
+};
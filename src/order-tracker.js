@@ -0,0 +1,151 @@
+const {BusinessError} = require('./errors');
+
+// statuses after which the order does not change anymore
+const FINAL_STATUSES = ['filled', 'cancelled', 'rejected'];
+
+const sameId = orderId => item => String(item.orderId === undefined ? item.id : item.orderId) === orderId;
+
+/**
+ * Converts a transaction (from getOrders() or getTransactions()) to a fill
+ *
+ * @param {Object} transaction
+ * @return {Object} {id, date, quantity, price, fee} - quantity is always positive, fee in the base currency
+ */
+const toFill = ({id, date, quantity, price, totalFeesInBaseCurrency}) => ({
+    id,
+    date,
+    quantity: Math.abs(quantity),
+    price,
+    fee: typeof totalFeesInBaseCurrency === 'number' ? Math.abs(totalFeesInBaseCurrency) : null,
+});
+
+/**
+ * Builds the tracking result of an order
+ *
+ * @param {string} orderId
+ * @param {string} status - open, partiallyFilled, filled, cancelled or rejected
+ * @param {Object} order - Last known row of the order
+ * @param {Object[]} fills
+ * @return {Object} {orderId, status, order, fills, filledQuantity, averagePrice, fees}
+ */
+const summarise = (orderId, status, order, fills) => {
+    const filledQuantity = fills.reduce((sum, {quantity}) => sum + quantity, 0);
+    const cost = fills.reduce((sum, {quantity, price}) => sum + quantity * price, 0);
+    return {
+        orderId,
+        status,
+        order,
+        fills,
+        filledQuantity,
+        averagePrice: filledQuantity ? cost / filledQuantity : null,
+        fees: fills.reduce((sum, {fee}) => sum + (fee || 0), 0),
+    };
+};
+
+/**
+ * Follows a placed order until it is filled, cancelled or rejected, polling getOrders(). An order that
+ * disappears without being cancelled is looked up in today's transactions, and is rejected if it has none.
+ *
+ * @param {string} options.orderId
+ * @param {Function} options.getOrders - As the client getOrders()
+ * @param {Function} options.getTransactions - Resolves to today's transactions
+ * @param {Function} options.deleteOrder
+ * @param {number} options.timeoutMs - Defaults to 60s
+ * @param {boolean} options.cancelOnTimeout - Delete the order when it is still open on timeout. Defaults to false
+ * @param {number} options.pollInterval - Delay between polls, in ms. Defaults to 2000
+ * @param {Function} options.onStatus - Called with the result every time the status changes
+ * @param {Function} options.log
+ * @return {Promise} Resolves to the result (see summarise()) with `timedOut`
+ */
+const trackOrder = ({
+    orderId,
+    getOrders,
+    getTransactions,
+    deleteOrder,
+    timeoutMs = 60000,
+    cancelOnTimeout = false,
+    pollInterval = 2000,
+    onStatus = () => {},
+    log = () => {},
+}) => {
+    const id = String(orderId);
+    const started = Date.now();
+    let seen = false;
+    let lastOrder;
+    let lastStatus;
+
+    const report = result => {
+        if (result.status !== lastStatus) {
+            lastStatus = result.status;
+            log('order', id, 'is', result.status);
+            onStatus(result);
+        }
+        return result;
+    };
+
+    /**
+     * Resolves to the current result, or to null while the order is not visible yet
+     */
+    const check = () =>
+        getOrders().then(({openOrders, cancelledOrders, completedOrders}) => {
+            const open = openOrders.find(sameId(id));
+            const cancelled = cancelledOrders.find(sameId(id));
+            const fills = completedOrders.filter(sameId(id)).map(toFill);
+            lastOrder = open || cancelled || lastOrder;
+
+            if (open) {
+                seen = true;
+                const status = fills.length || open.quantity > 0 ? 'partiallyFilled' : 'open';
+                return summarise(id, status, open, fills);
+            }
+            if (cancelled) {
+                const status = /reject/i.test(cancelled.status) ? 'rejected' : 'cancelled';
+                return summarise(id, status, cancelled, fills);
+            }
+            if (fills.length) {
+                return summarise(id, 'filled', lastOrder, fills);
+            }
+            if (!seen) {
+                return null;
+            }
+            // gone from today's orders: look for it in the reporting
+            return getTransactions().then(transactions => {
+                const reported = transactions.filter(sameId(id)).map(toFill);
+                return summarise(id, reported.length ? 'filled' : 'rejected', lastOrder, reported);
+            });
+        });
+
+    const cancel = () =>
+        deleteOrder(id)
+            .catch(error => {
+                // it was filled or cancelled in the meantime
+                if (!(error instanceof BusinessError)) {
+                    throw error;
+                }
+                log('order', id, 'could not be cancelled:', error.message);
+            })
+            .then(check);
+
+    const next = () =>
+        check().then(result => {
+            if (result) {
+                report(result);
+            }
+            if (result && FINAL_STATUSES.indexOf(result.status) !== -1) {
+                return Object.assign(result, {timedOut: false});
+            }
+            if (Date.now() - started >= timeoutMs) {
+                log('order', id, 'timed out');
+                const done = current =>
+                    Object.assign(current ? report(current) : summarise(id, 'open', lastOrder, []), {timedOut: true});
+                return cancelOnTimeout ? cancel().then(done) : done(result);
+            }
+            return new Promise(resolve => setTimeout(resolve, pollInterval)).then(next);
+        });
+
+    return next();
+};
+
+module.exports = {
+    trackOrder,
+};
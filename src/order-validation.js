@@ -0,0 +1,96 @@
+const {Actions, OrderTypes, TimeTypes} = require('./constants');
+
+// prices with more decimals than this are surely a mistake
+const MAX_PRICE_DECIMALS = 4;
+
+const includes = (constants, value) => Object.keys(constants).some(key => constants[key] === value);
+
+const isPositiveNumber = value => typeof value === 'number' && isFinite(value) && value > 0;
+
+const hasValidTick = price => {
+    const scaled = price * Math.pow(10, MAX_PRICE_DECIMALS);
+    return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+};
+
+/**
+ * Checks a price field, returning the problems found
+ *
+ * @param {Object} order
+ * @param {string} field - 'price' or 'stopPrice'
+ * @param {boolean} required
+ * @return {Object[]} Problems as {field, text}
+ */
+const checkPrice = (order, field, required) => {
+    const value = order[field];
+    if (value === undefined || value === null) {
+        return required ? [{field, text: `${field} is required for this order type`}] : [];
+    }
+    if (!isPositiveNumber(value)) {
+        return [{field, text: `${field} must be a positive number`}];
+    }
+    if (!hasValidTick(value)) {
+        return [{field, text: `${field} has more than ${MAX_PRICE_DECIMALS} decimals`}];
+    }
+    return [];
+};
+
+/**
+ * Validates an order against the known constants, without contacting the server
+ *
+ * @param {Object} order - As accepted by setOrder()
+ * @return {Object[]} Problems as {field, text}. Empty if the order is valid
+ */
+const validateOrder = order => {
+    const {buySell, orderType, productId, size, timeType} = order;
+    const problems = [];
+
+    if (!includes(Actions, buySell)) {
+        problems.push({field: 'buySell', text: `unknown buySell: ${buySell}`});
+    }
+    if (!includes(OrderTypes, orderType)) {
+        problems.push({field: 'orderType', text: `unknown orderType: ${orderType}`});
+    }
+    if (!includes(TimeTypes, timeType)) {
+        problems.push({field: 'timeType', text: `unknown timeType: ${timeType}`});
+    }
+    if (productId === undefined || productId === null || productId === '') {
+        problems.push({field: 'productId', text: 'productId is required'});
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        problems.push({field: 'size', text: 'size must be a positive integer'});
+    }
+
+    const needsPrice = orderType === OrderTypes.limited || orderType === OrderTypes.stopLimited;
+    const needsStopPrice = orderType === OrderTypes.stopLoss || orderType === OrderTypes.stopLimited;
+    return problems.concat(checkPrice(order, 'price', needsPrice), checkPrice(order, 'stopPrice', needsStopPrice));
+};
+
+/**
+ * Validates an order against the product it trades, as returned by getProductsByIds()
+ *
+ * @param {Object} order
+ * @param {Object} product - Undefined if the product was not found
+ * @return {Object[]} Problems as {field, text}. Empty if the product accepts the order
+ */
+const validateProductOrder = (order, product) => {
+    if (!product) {
+        return [{field: 'productId', text: `product ${order.productId} not found`}];
+    }
+    const allowed = [
+        [product.tradable === false, 'productId', 'product is not tradable'],
+        [order.orderType === OrderTypes.marketOrder && product.marketAllowed === false, 'orderType',
+            'market orders are not allowed for this product'],
+        [order.orderType === OrderTypes.stopLoss && product.stoplossAllowed === false, 'orderType',
+            'stop loss orders are not allowed for this product'],
+        [order.orderType === OrderTypes.stopLimited && product.stopLimitOrderAllowed === false, 'orderType',
+            'stop limited orders are not allowed for this product'],
+        [order.timeType === TimeTypes.permanent && product.gtcAllowed === false, 'timeType',
+            'permanent orders are not allowed for this product'],
+    ];
+    return allowed.filter(([failed]) => failed).map(([, field, text]) => ({field, text}));
+};
+
+module.exports = {
+    validateOrder,
+    validateProductOrder,
+};
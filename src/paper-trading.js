@@ -0,0 +1,444 @@
+const {Actions, OrderTypes, TimeTypes} = require('./constants');
+const {createMemoryStore} = require('./session-store');
+const {getZonedParts} = require('./dates');
+const {BusinessError} = require('./errors');
+const {isNumber, UPDATE_ROW_NAMES, toRows} = require('./utils');
+
+const exchangeDay = date => {
+    const {year, month, day} = getZonedParts(date);
+    return year * 10000 + month * 100 + day;
+};
+
+/**
+ * Computes the fee of a fill
+ *
+ * @param {(Object|Function)} fees - {fixed, rate, minimum, maximum} or a function of {order, price, size, value,
+ *     currency} returning the fee
+ * @param {Object} fill
+ * @return {number}
+ */
+const computeFee = (fees, fill) => {
+    if (typeof fees === 'function') {
+        return fees(fill) || 0;
+    }
+    const {fixed = 0, rate = 0, minimum = 0, maximum = Infinity} = fees || {};
+    return Math.min(maximum, Math.max(minimum, fixed + rate * fill.value));
+};
+
+/**
+ * Tells whether the stop price of an order has been reached
+ *
+ * @param {Object} order - Order row: buysell, stopPrice
+ * @param {Object} quote - {bidPrice, askPrice, lastPrice}
+ * @return {boolean}
+ */
+const isStopReached = (order, quote) => {
+    const buying = order.buysell === 'B';
+    const price = isNumber(quote.lastPrice) ? quote.lastPrice : buying ? quote.askPrice : quote.bidPrice;
+    return isNumber(price) && (buying ? price >= order.stopPrice : price <= order.stopPrice);
+};
+
+/**
+ * Returns the price an open order is filled at with a quote: buys are filled at the ask price and sells at the bid
+ * price (the last price when missing), if the order type and its limits allow it
+ *
+ * @param {Object} order - Order row: buysell, orderTypeId, price, stopPrice, stopTriggered
+ * @param {Object} quote - {bidPrice, askPrice, lastPrice}
+ * @return {Object} {price, triggered}, price being null when the order is not filled
+ */
+const matchOrder = (order, quote) => {
+    const buying = order.buysell === 'B';
+    const quoted = buying ? quote.askPrice : quote.bidPrice;
+    const price = isNumber(quoted) ? quoted : isNumber(quote.lastPrice) ? quote.lastPrice : null;
+    const withinLimit = price !== null && (buying ? price <= order.price : price >= order.price);
+
+    switch (order.orderTypeId) {
+        case OrderTypes.marketOrder:
+            return {price, triggered: false};
+        case OrderTypes.limited:
+            return {price: withinLimit ? price : null, triggered: false};
+        case OrderTypes.stopLoss: {
+            const triggered = isStopReached(order, quote);
+            return {price: triggered ? price : null, triggered};
+        }
+        case OrderTypes.stopLimited: {
+            const triggered = !!order.stopTriggered || isStopReached(order, quote);
+            return {price: triggered && withinLimit ? price : null, triggered};
+        }
+        default:
+            return {price: null, triggered: false};
+    }
+};
+
+/**
+ * Creates a paper trading broker: a local ledger of cash, positions and orders which answers like the trading
+ * endpoints. Orders are filled in full against the quotes given to setQuote() or returned by getQuote(). Day orders
+ * still open at the end of the day (exchange time) are cancelled. Cash is kept per currency, without conversions.
+ *
+ * @param {Object} options.cash - Starting cash by currency. Defaults to {EUR: 10000}
+ * @param {(Object|Function)} options.fees - See computeFee(). Defaults to no fees
+ * @param {Object} options.store - Keeps the ledger, see session-store.js. Defaults to a memory store
+ * @param {Function} options.getQuote - Resolves to the {bidPrice, askPrice, lastPrice} of a product id, or null
+ * @param {Function} options.getProduct - Resolves to the product of an id, or undefined when not found
+ * @param {Function} options.now - Defaults to () => new Date()
+ * @param {Function} options.log
+ * @return {Object} Paper broker
+ */
+const createPaperBroker = ({
+    cash = {EUR: 10000},
+    fees,
+    store = createMemoryStore(),
+    getQuote = () => Promise.resolve(null),
+    getProduct = () => Promise.resolve(undefined),
+    now = () => new Date(),
+    log = () => {},
+}) => {
+    const initialLedger = () => ({
+        counter: 0,
+        cash: Object.assign({}, cash),
+        positions: [],
+        orders: [],
+        historicalOrders: [],
+        transactions: [],
+        quotes: {},
+    });
+
+    let ledger = null;
+    let queue = Promise.resolve();
+    let confirmations = 0;
+    const pendingOrders = new Map();
+
+    const businessError = (operation, text) =>
+        new BusinessError('Business: ' + text, {operation, errors: [{text}]});
+
+    const nextId = prefix => `${prefix}${++ledger.counter}`;
+
+    /**
+     * Runs an operation on the ledger once the previous ones are done, saving the ledger afterwards when it changed
+     */
+    const exclusive = (operation, {save = true} = {}) => {
+        const run = queue.then(() => {
+            const loaded = ledger
+                ? Promise.resolve()
+                : store.load().then(saved => {
+                    ledger = saved || initialLedger();
+                });
+            return loaded
+                .then(() => operation(ledger))
+                .then(result => (save ? store.save(ledger).then(() => result) : result));
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const findPosition = productId => ledger.positions.find(({id}) => id === String(productId));
+
+    const quoteOf = productId => {
+        const fed = ledger.quotes[productId];
+        return fed ? Promise.resolve(fed) : getQuote(productId);
+    };
+
+    /**
+     * Cancels the day orders placed before today
+     */
+    const expireOrders = () => {
+        const today = exchangeDay(now());
+        ledger.orders
+            .filter(order => order.orderTimeTypeId === TimeTypes.day && exchangeDay(new Date(order.date)) < today)
+            .forEach(order => {
+                log(`paper order ${order.id} expired`);
+                ledger.orders.splice(ledger.orders.indexOf(order), 1);
+                ledger.historicalOrders.push(Object.assign(order, {status: 'EXPIRED'}));
+            });
+    };
+
+    const fill = (order, price) => {
+        const size = order.size;
+        const value = size * price;
+        const fee = computeFee(fees, {order, price, size, value, currency: order.currency});
+        const change = order.buysell === 'S' ? -size : size;
+
+        ledger.cash[order.currency] = (ledger.cash[order.currency] || 0) - change * price - fee;
+        let position = findPosition(order.productId);
+        if (!position) {
+            position = {id: String(order.productId), positionType: 'PRODUCT', size: 0, breakEvenPrice: price};
+            ledger.positions.push(position);
+        }
+        if (change > 0) {
+            position.breakEvenPrice = (position.size * position.breakEvenPrice + value) / (position.size + change);
+        }
+        position.size += change;
+        position.price = price;
+        position.value = position.size * price;
+        position.currency = order.currency;
+
+        const transaction = {
+            id: nextId('paper-transaction-'),
+            orderId: order.id,
+            date: now().toISOString(),
+            productId: order.productId,
+            product: order.product,
+            buysell: order.buysell,
+            quantity: change,
+            price,
+            currency: order.currency,
+            total: -change * price,
+            totalPlusFeeInBaseCurrency: -change * price - fee,
+            totalFeesInBaseCurrency: -fee,
+        };
+        ledger.orders.splice(ledger.orders.indexOf(order), 1);
+        ledger.transactions.push(transaction);
+        log(`paper order ${order.id} filled: ${change} x ${order.productId} at ${price}`);
+        return transaction;
+    };
+
+    /**
+     * Matches the open orders of a product against a quote
+     *
+     * @return {Object[]} The transactions of the filled orders
+     */
+    const matchProduct = (productId, quote) =>
+        ledger.orders
+            .filter(order => String(order.productId) === String(productId))
+            .map(order => {
+                const {price, triggered} = matchOrder(order, quote);
+                if (triggered) {
+                    order.stopTriggered = true;
+                }
+                return price === null ? null : fill(order, price);
+            })
+            .filter(Boolean);
+
+    /**
+     * Estimates the value an order needs, to check the cash available
+     */
+    const estimateValue = (order, quote) => {
+        const limit = order.orderType === OrderTypes.stopLoss ? order.stopPrice : order.price;
+        const price = isNumber(limit) ? limit : quote && (quote.askPrice || quote.lastPrice);
+        return isNumber(price) ? price * order.size : 0;
+    };
+
+    /**
+     * Checks an order like the checkOrder endpoint does: the product must exist, buys must be covered by the cash
+     * not reserved by other buy orders and sells by the position not reserved by other sell orders
+     *
+     * @param {Object} order - As sent to checkOrder
+     * @param {string} operation
+     * @return {Promise} Resolves to {order, product, value, fee}
+     */
+    const check = (order, operation) =>
+        getProduct(String(order.productId)).then(product => {
+            if (!product) {
+                throw businessError(operation, `Product ${order.productId} not found`);
+            }
+            return quoteOf(String(order.productId)).then(quote => {
+                const currency = product.currency || Object.keys(cash)[0];
+                const value = estimateValue(order, quote);
+                const fee = computeFee(fees, {order, price: value / order.size, size: order.size, value, currency});
+                const reserved = (buysell, others) =>
+                    ledger.orders
+                        .filter(open => open.buysell === buysell && others(open))
+                        .reduce((sum, open) => sum + (buysell === 'B' ? open.totalOrderValue : open.size), 0);
+
+                if (order.buySell === Actions.sell) {
+                    const position = findPosition(order.productId);
+                    const held = position ? position.size : 0;
+                    const selling = reserved('S', open => String(open.productId) === String(order.productId));
+                    if (order.size > held - selling) {
+                        throw businessError(operation, 'Not enough position to sell');
+                    }
+                } else {
+                    const available = (ledger.cash[currency] || 0) - reserved('B', open => open.currency === currency);
+                    if (value + fee > available) {
+                        throw businessError(operation, 'Insufficient funds');
+                    }
+                }
+                return {order, product, currency, value, fee};
+            });
+        });
+
+    /**
+     * Matches the open orders of a product with its quote, when known
+     */
+    const matchWithQuote = productId =>
+        quoteOf(productId).then(quote => (quote ? matchProduct(productId, quote) : []));
+
+    return {
+        /**
+         * Answers like the update endpoint, with full sections (lastUpdated is always 0)
+         *
+         * @param {Object} options - Sections to return, e.g. {portfolio: 0}
+         * @return {Promise}
+         */
+        getData: (options = {}) =>
+            exclusive(() => {
+                expireOrders();
+                const cashItems = Object.keys(ledger.cash).map(currency => ({
+                    id: currency,
+                    currencyCode: currency,
+                    value: ledger.cash[currency],
+                }));
+                const sections = {
+                    portfolio: ledger.positions.concat(
+                        cashItems.map(({id, value}) => ({id, positionType: 'CASH', size: value, price: 1, value}))
+                    ),
+                    cashFunds: cashItems,
+                    orders: ledger.orders,
+                    historicalOrders: ledger.historicalOrders,
+                    transactions: ledger.transactions,
+                };
+                const data = {};
+                Object.keys(UPDATE_ROW_NAMES)
+                    .filter(section => section in options)
+                    .forEach(section => {
+                        const value = toRows(UPDATE_ROW_NAMES[section], sections[section]);
+                        data[section] = {lastUpdated: 0, name: section, value};
+                    });
+                return data;
+            }),
+
+        /**
+         * @param {Object} order - As sent to the checkOrder endpoint
+         * @return {Promise} Resolves to {confirmationId, transactionFees, order}
+         */
+        checkOrder: order =>
+            exclusive(() => check(order, 'checkOrder'), {save: false}).then(({currency, fee}) => {
+                const confirmationId = `paper-confirmation-${++confirmations}`;
+                pendingOrders.set(confirmationId, order);
+                return {confirmationId, transactionFees: [{id: 2, amount: fee, currency}], order};
+            }),
+
+        /**
+         * Places a checked order, filling it at once when the quote allows it
+         *
+         * @param {Object} options.order
+         * @param {string} options.confirmationId - As returned by checkOrder()
+         * @return {Promise} Resolves to {orderId}
+         */
+        confirmOrder: ({order, confirmationId}) =>
+            exclusive(() => {
+                if (!pendingOrders.has(confirmationId)) {
+                    throw businessError('confirmOrder', 'Unknown confirmation id');
+                }
+                pendingOrders.delete(confirmationId);
+                // the ledger may have changed since the order was checked
+                return check(order, 'confirmOrder').then(({product, currency, value}) => {
+                    const id = nextId('paper-order-');
+                    ledger.orders.push({
+                        id,
+                        date: now().toISOString(),
+                        productId: Number(order.productId) || order.productId,
+                        product: product.name,
+                        currency,
+                        buysell: order.buySell === Actions.sell ? 'S' : 'B',
+                        size: order.size,
+                        quantity: 0,
+                        price: order.price || 0,
+                        stopPrice: order.stopPrice || 0,
+                        totalOrderValue: value,
+                        orderTypeId: order.orderType,
+                        orderTimeTypeId: order.timeType,
+                        isModifiable: true,
+                        isDeletable: true,
+                    });
+                    return matchWithQuote(String(order.productId)).then(() => ({orderId: id}));
+                });
+            }),
+
+        /**
+         * Changes the size, prices and time type of an open order
+         *
+         * @param {string} orderId
+         * @param {Object} order - Full order, as sent to checkOrder
+         * @return {Promise}
+         */
+        modifyOrder: (orderId, order) =>
+            exclusive(() => {
+                const open = ledger.orders.find(({id}) => id === orderId);
+                if (!open) {
+                    throw businessError('updateOrder', 'Order not found');
+                }
+                Object.assign(open, {
+                    size: order.size,
+                    price: order.price || 0,
+                    stopPrice: order.stopPrice || 0,
+                    orderTimeTypeId: order.timeType,
+                });
+                open.totalOrderValue = estimateValue(order, ledger.quotes[String(open.productId)]);
+                return matchWithQuote(String(open.productId)).then(() => ({status: 0, statusText: 'success'}));
+            }),
+
+        /**
+         * @param {string} orderId
+         * @return {Promise} Resolves to {status: 0, statusText: 'success'}
+         */
+        deleteOrder: orderId =>
+            exclusive(() => {
+                const index = ledger.orders.findIndex(({id}) => id === orderId);
+                if (index === -1) {
+                    throw businessError('deleteOrder', 'Order not found');
+                }
+                ledger.historicalOrders.push(Object.assign(ledger.orders.splice(index, 1)[0], {status: 'CANCELLED'}));
+                return {status: 0, statusText: 'success'};
+            }),
+
+        /**
+         * Feeds the quote of a product and matches its open orders. Fed quotes are used instead of getQuote()
+         * until cleared with setQuote(productId, null)
+         *
+         * @param {string} productId
+         * @param {Object} quote - {bidPrice, askPrice, lastPrice}, as returned by getAskBidPrice()
+         * @return {Promise} Resolves to the transactions of the filled orders
+         */
+        setQuote: (id, quote) =>
+            exclusive(() => {
+                const productId = String(id);
+                if (!quote) {
+                    delete ledger.quotes[productId];
+                    return [];
+                }
+                ledger.quotes[productId] = Object.assign({}, ledger.quotes[productId], quote);
+                const position = findPosition(productId);
+                if (position && isNumber(ledger.quotes[productId].lastPrice)) {
+                    position.price = ledger.quotes[productId].lastPrice;
+                    position.value = position.size * position.price;
+                }
+                return matchProduct(productId, ledger.quotes[productId]);
+            }),
+
+        /**
+         * Cancels expired day orders and matches every open order with the latest quotes
+         *
+         * @return {Promise} Resolves to the transactions of the filled orders
+         */
+        match: () =>
+            exclusive(() => {
+                expireOrders();
+                const productIds = Array.from(new Set(ledger.orders.map(({productId}) => String(productId))));
+                return Promise.all(productIds.map(matchWithQuote)).then(fills => [].concat(...fills));
+            }),
+
+        /**
+         * Starts over with the starting cash
+         *
+         * @return {Promise}
+         */
+        reset: () =>
+            exclusive(() => {
+                ledger = initialLedger();
+                pendingOrders.clear();
+            }),
+
+        /**
+         * @return {Promise} Resolves to a copy of the ledger: {cash, positions, orders, historicalOrders,
+         *     transactions, quotes}
+         */
+        getLedger: () => exclusive(current => JSON.parse(JSON.stringify(current)), {save: false}),
+    };
+};
+
+module.exports = {
+    computeFee,
+    matchOrder,
+    createPaperBroker,
+};
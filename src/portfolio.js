@@ -0,0 +1,71 @@
+const fromPairs = require('lodash/fromPairs');
+const {isNumber} = require('./utils');
+
+// product fields copied to the positions
+const PRODUCT_FIELDS = ['name', 'isin', 'symbol', 'currency', 'exchangeId', 'vwdId', 'productTypeId'];
+
+/**
+ * Flattens a portfolio row ({id, value: [{name, value}]}) to a position object
+ *
+ * @param {Object} row
+ * @return {Object}
+ */
+const toPosition = row => fromPairs(row.value.map(({name, value}) => [name, value]));
+
+/**
+ * Adds the product details and the computed values to a position
+ *
+ * @param {Object} position - Flat position
+ * @param {Object} product - As returned by getProductsByIds(), if any
+ * @param {number} lastPrice - Latest price of the product, if any
+ * @return {Object} Position with marketValue (base currency) and unrealisedPl (product currency)
+ */
+const computePosition = (position, product, lastPrice) => {
+    const result = Object.assign({}, position);
+    if (product) {
+        PRODUCT_FIELDS.forEach(field => {
+            result[field] = product[field];
+        });
+    }
+    if (isNumber(lastPrice)) {
+        // value is in the base currency: keep the exchange rate used by DeGiro
+        const hasValue = isNumber(position.value) && position.price;
+        result.value = hasValue ? (position.value * lastPrice) / position.price : position.size * lastPrice;
+        result.price = lastPrice;
+    }
+    result.marketValue = isNumber(result.value) ? result.value : result.size * result.price;
+    result.unrealisedPl =
+        position.positionType === 'PRODUCT' && isNumber(result.breakEvenPrice)
+            ? (result.price - result.breakEvenPrice) * result.size
+            : null;
+    return result;
+};
+
+/**
+ * Normalises the rows of a portfolio to flat positions. Weights are relative to the market value of the whole
+ * portfolio, before filtering.
+ *
+ * @param {Object[]} rows - portfolio.value of the update response
+ * @param {Object} options.products - Products by id, as in the getProductsByIds() data
+ * @param {Object} options.prices - Latest prices by vwdId
+ * @param {boolean} options.includeClosed - Keep positions with size 0. Defaults to false
+ * @param {number[]} options.productTypes - Only keep products of these types. See ProductTypes
+ * @return {Object[]}
+ */
+const normalisePortfolio = (rows, {products = {}, prices = {}, includeClosed = false, productTypes} = {}) => {
+    const positions = rows.map(toPosition).map(position => {
+        const product = position.positionType === 'PRODUCT' ? products[position.id] : undefined;
+        return computePosition(position, product, product && prices[product.vwdId]);
+    });
+    const total = positions.reduce((sum, {marketValue}) => sum + (isNumber(marketValue) ? marketValue : 0), 0);
+
+    return positions
+        .map(position => Object.assign(position, {weight: total ? position.marketValue / total : null}))
+        .filter(({size}) => includeClosed || size !== 0)
+        .filter(({productTypeId}) => !productTypes || productTypes.indexOf(productTypeId) !== -1);
+};
+
+module.exports = {
+    toPosition,
+    normalisePortfolio,
+};
@@ -0,0 +1,171 @@
+const chunk = require('lodash/chunk');
+const uniq = require('lodash/uniq');
+
+/**
+ * Merges the product requests made within a tick into one, split in chunks of `maxBatchSize` ids. Ids requested
+ * while a request for them is in flight share it.
+ *
+ * @param {Function} options.fetchProducts - Resolves to products by id for an array of ids
+ * @param {number} options.maxBatchSize - Ids per request. Defaults to 1000
+ * @return {Function} Resolves to the products found by id for an id or array of ids
+ */
+const createProductBatcher = ({fetchProducts, maxBatchSize = 1000}) => {
+    // id -> promise of the product (undefined when not found)
+    const inFlight = new Map();
+    let queued = [];
+
+    const flush = () => {
+        const ids = queued;
+        queued = [];
+        chunk(ids, maxBatchSize).forEach(batch => {
+            const request = fetchProducts(batch.map(({id}) => id)).then(products => products || {});
+            batch.forEach(({id, resolve, reject}) => {
+                request.then(products => resolve(products[id]), reject);
+                request.then(() => inFlight.delete(id), () => inFlight.delete(id));
+            });
+        });
+    };
+
+    const load = id => {
+        if (!inFlight.has(id)) {
+            if (!queued.length) {
+                setImmediate(flush);
+            }
+            inFlight.set(id, new Promise((resolve, reject) => queued.push({id, resolve, reject})));
+        }
+        return inFlight.get(id);
+    };
+
+    return ids => {
+        const unique = uniq([].concat(ids).map(String));
+        return Promise.all(unique.map(load)).then(products => {
+            const found = {};
+            products.forEach((product, i) => {
+                if (product) {
+                    found[unique[i]] = product;
+                }
+            });
+            return found;
+        });
+    };
+};
+
+/**
+ * Creates a catalogue of products, cached for `ttl` ms. Every method resolves to products keyed by id.
+ *
+ * @param {Function} options.getProducts - Resolves to products by id for an array of ids, e.g. a product batcher
+ * @param {Function} options.searchProducts - Resolves to an array of products for searchProduct() options
+ * @param {number} options.ttl - Defaults to one hour
+ * @param {Function} options.now - Defaults to Date.now
+ * @return {Object} {getProducts, findByIsin, findBySymbol, findByVwdId, clear}
+ */
+const createProductCatalogue = ({getProducts, searchProducts, ttl = 60 * 60 * 1000, now = Date.now}) => {
+    // id -> {product, expires}
+    const products = new Map();
+    // search key -> {ids, expires}
+    const searches = new Map();
+
+    const fresh = entry => entry && entry.expires > now();
+
+    const store = product => {
+        products.set(String(product.id), {product, expires: now() + ttl});
+    };
+
+    const byId = ids => {
+        const found = {};
+        ids.forEach(id => {
+            found[id] = products.get(id).product;
+        });
+        return found;
+    };
+
+    /**
+     * Resolves to the products matching `match` among the search results of `text`, searching again once the
+     * previous results expired
+     */
+    const search = (key, text, match) => {
+        const cached = searches.get(key);
+        if (fresh(cached) && cached.ids.every(id => fresh(products.get(id)))) {
+            return Promise.resolve(byId(cached.ids));
+        }
+        return searchProducts({text, limit: 100}).then(results => {
+            const matching = results.filter(match);
+            matching.forEach(store);
+            const ids = matching.map(product => String(product.id));
+            searches.set(key, {ids, expires: now() + ttl});
+            return byId(ids);
+        });
+    };
+
+    return {
+        /**
+         * Get products by id, only requesting the ones not cached
+         *
+         * @param {(string|string[])} ids
+         * @return {Promise} Resolves to the products found by id
+         */
+        getProducts: ids => {
+            const wanted = uniq([].concat(ids).map(String));
+            const cached = wanted.filter(id => fresh(products.get(id)));
+            const missing = wanted.filter(id => !cached.includes(id));
+            return (missing.length ? getProducts(missing) : Promise.resolve({})).then(loaded => {
+                Object.keys(loaded).forEach(id => store(loaded[id]));
+                return Object.assign(byId(cached), loaded);
+            });
+        },
+
+        /**
+         * Find the listings of an ISIN
+         *
+         * @param {string} isin
+         * @return {Promise} Resolves to products by id
+         */
+        findByIsin: isin => {
+            const wanted = isin.toUpperCase();
+            return search(`isin:${wanted}`, wanted, product => String(product.isin).toUpperCase() === wanted);
+        },
+
+        /**
+         * Find products by symbol, on any exchange or the given one
+         *
+         * @param {string} symbol - e.g. 'GOOGL'
+         * @param {string} exchangeId - e.g. '663'
+         * @return {Promise} Resolves to products by id
+         */
+        findBySymbol: (symbol, exchangeId) => {
+            const wanted = symbol.toUpperCase();
+            const key = `symbol:${wanted}:${exchangeId === undefined ? '' : exchangeId}`;
+            return search(key, wanted, product =>
+                String(product.symbol).toUpperCase() === wanted &&
+                (exchangeId === undefined || String(product.exchangeId) === String(exchangeId))
+            );
+        },
+
+        /**
+         * Find the product of a VWD issue id among the cached ones, as DeGiro cannot search by it
+         *
+         * @param {string} vwdId
+         * @return {Promise} Resolves to products by id
+         */
+        findByVwdId: vwdId => {
+            const ids = Array.from(products.keys()).filter(id => {
+                const entry = products.get(id);
+                return fresh(entry) && String(entry.product.vwdId) === String(vwdId);
+            });
+            return Promise.resolve(byId(ids));
+        },
+
+        /**
+         * Forget every cached product and search
+         */
+        clear: () => {
+            products.clear();
+            searches.clear();
+        },
+    };
+};
+
+module.exports = {
+    createProductBatcher,
+    createProductCatalogue,
+};
@@ -0,0 +1,174 @@
+const keyBy = require('lodash/keyBy');
+
+/**
+ * Search endpoints of the web trader per product type, relative to the productSearchUrl, with the filters they take
+ * as {option: query parameter}. `issuerId` is sent as an aggregate, like the web trader does.
+ */
+const SearchEndpoints = {
+    stocks: {
+        path: 'v5/stocks',
+        filters: {exchangeId: 'exchangeId', countryId: 'stockCountryId', indexId: 'indexId'},
+    },
+    etfs: {
+        path: 'v5/etfs',
+        filters: {popularOnly: 'popularOnly', issuerId: 'issuerId'},
+    },
+    bonds: {
+        path: 'v5/bonds',
+        filters: {exchangeId: 'bondExchangeId', issuerTypeId: 'bondIssuerTypeId'},
+    },
+    futures: {
+        path: 'v5/futures',
+        filters: {exchangeId: 'futureExchangeId', underlyingIsin: 'underlyingIsin', expiry: null},
+    },
+    options: {
+        path: 'v5/options',
+        filters: {exchangeId: 'optionExchangeId', underlyingIsin: 'underlyingIsin', expiry: null},
+    },
+    funds: {
+        path: 'v5/funds',
+        filters: {},
+    },
+    leveragedProducts: {
+        path: 'v5/leverageds',
+        filters: {popularOnly: 'popularOnly', issuerId: 'issuerId', underlyingProductId: 'underlyingProductId'},
+    },
+};
+
+const COMMON_OPTIONS = ['text', 'sortColumn', 'sortType', 'limit', 'offset'];
+
+// parameters sent as inputAggregateTypes/inputAggregateValues
+const AGGREGATES = ['issuerId', 'underlyingProductId'];
+
+/**
+ * Builds the query parameters of a typed search
+ *
+ * @param {string} type - See SearchEndpoints
+ * @param {Object} options - searchProduct() options (text, sortColumn, sortType, limit, offset) and the filters
+ *     of the type
+ * @return {Object} Query parameters
+ */
+const buildSearchParams = (type, options = {}) => {
+    const endpoint = SearchEndpoints[type];
+    if (!endpoint) {
+        throw TypeError('Unknown search type: ' + type);
+    }
+    const {text, sortColumn, sortType, limit = 10, offset = 0} = options;
+    const params = {
+        searchText: text,
+        sortColumns: sortColumn,
+        sortTypes: sortType,
+        limit,
+        offset,
+        requireTotal: true,
+    };
+    const aggregates = [];
+    Object.keys(options)
+        .filter(option => !COMMON_OPTIONS.includes(option) && options[option] !== undefined)
+        .forEach(option => {
+            if (!(option in endpoint.filters)) {
+                throw TypeError(`Unsupported filter for ${type}: ${option}`);
+            }
+            const param = endpoint.filters[option];
+            if (AGGREGATES.includes(param)) {
+                aggregates.push([param, options[option]]);
+            } else if (param) {
+                params[param] = options[option];
+            }
+        });
+    if (aggregates.length) {
+        params.inputAggregateTypes = aggregates.map(([param]) => param).join(',');
+        params.inputAggregateValues = aggregates.map(([, value]) => value).join(',');
+    }
+    return params;
+};
+
+const pad = value => (value.length === 1 ? '0' + value : value);
+
+/**
+ * Parses the expiration date of a derivative, given as d-M-yyyy
+ *
+ * @param {string} value
+ * @return {string} yyyy-MM-dd, or undefined
+ */
+const readExpiry = value => {
+    const match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(value || '');
+    return match ? `${match[3]}-${pad(match[2])}-${pad(match[1])}` : undefined;
+};
+
+/**
+ * Keeps the derivatives expiring on `expiry`: a yyyy-MM month or a yyyy-MM-dd day
+ *
+ * @param {Object[]} products
+ * @param {string} expiry
+ * @return {Object[]}
+ */
+const filterExpiry = (products, expiry) =>
+    expiry ? products.filter(({expirationDate}) => (readExpiry(expirationDate) || '').startsWith(expiry)) : products;
+
+/**
+ * Indexes the sections of the product dictionary (exchanges, countries, currencies, regions, indices, productTypes,
+ * ...) by id. Sections which are not lists of items with an id are kept as they are.
+ *
+ * @param {Object} raw - Dictionary response
+ * @return {Object} Sections by id
+ */
+const normaliseDictionary = raw => {
+    const dictionary = {};
+    Object.keys(raw || {}).forEach(section => {
+        const items = raw[section];
+        const indexable = Array.isArray(items) && items.every(item => item && item.id !== undefined);
+        dictionary[section] = indexable ? keyBy(items, ({id}) => String(id)) : items;
+    });
+    return dictionary;
+};
+
+/**
+ * Finds the id of an item of a dictionary section by id, name, code, hiqAbbr or micCode, ignoring case
+ *
+ * @param {Object} dictionary - As returned by normaliseDictionary()
+ * @param {string} section - e.g. 'exchanges'
+ * @param {string} value - e.g. 'XAMS' or 'Euronext Amsterdam'
+ * @return {string} The id, or undefined
+ */
+const findDictionaryId = (dictionary, section, value) => {
+    const items = dictionary[section] || {};
+    const wanted = String(value).toLowerCase();
+    return Object.keys(items).find(id =>
+        [id, items[id].name, items[id].code, items[id].hiqAbbr, items[id].micCode].some(
+            field => field !== undefined && String(field).toLowerCase() === wanted
+        )
+    );
+};
+
+/**
+ * Adds the names of the exchange, its country and the product type to products
+ *
+ * @param {Object[]} products
+ * @param {Object} dictionary - As returned by normaliseDictionary()
+ * @return {Object[]} Copies with exchangeName, exchangeCode, country and productTypeName when known
+ */
+const labelProducts = (products, dictionary) => {
+    const exchanges = dictionary.exchanges || {};
+    const productTypes = dictionary.productTypes || {};
+    return products.map(product => {
+        const exchange = exchanges[product.exchangeId];
+        const productType = productTypes[product.productTypeId];
+        return Object.assign({}, product, {
+            exchangeName: exchange && exchange.name,
+            exchangeCode: exchange && (exchange.hiqAbbr || exchange.code),
+            country: exchange && exchange.country,
+            productTypeName: productType && (productType.translation || productType.name),
+        });
+    });
+};
+
+module.exports = {
+    SearchEndpoints,
+    buildSearchParams,
+    readExpiry,
+    filterExpiry,
+    normaliseDictionary,
+    findDictionaryId,
+    labelProducts,
+};
@@ -0,0 +1,277 @@
+const EventEmitter = require('events');
+const {QuoteFields} = require('./constants');
+const {lcFirst} = require('./utils');
+
+const DEFAULT_FIELDS = Object.keys(QuoteFields).map(key => QuoteFields[key]);
+
+/**
+ * Creates a stream of quotes over a single VWD quotecast session. The session is long-polled continuously
+ * and opened again (subscribing to every issue again) when it is lost.
+ *
+ * Events:
+ * - 'quote' {issueId, changes, quote} - `changes` has the fields updated by the last poll, `quote` all of them
+ * - 'connect' sessionId - a quotecast session was opened
+ * - 'reconnect' - the session was lost and is being opened again
+ * - 'error' error - a request failed (only emitted when there are listeners)
+ * - 'close'
+ *
+ * The stream is also an async iterable of 'quote' events.
+ *
+ * @param {Function} options.openSession - Resolves to a new quotecast session id
+ * @param {Function} options.control - Sends control data (req/rem commands) for a session id
+ * @param {Function} options.poll - Resolves to the pending messages of a session id
+ * @param {string[]} options.fields - Default fields to subscribe to. See QuoteFields. Defaults to all of them
+ * @param {number} options.reconnectDelay - Initial delay before reconnecting, in ms. Doubled on every failure
+ * @param {number} options.maxReconnectDelay - Defaults to 30s
+ * @param {Function} options.log
+ * @return {EventEmitter}
+ */
+const createQuoteStream = ({
+    openSession,
+    control,
+    poll,
+    fields: defaultFields = DEFAULT_FIELDS,
+    reconnectDelay = 1000,
+    maxReconnectDelay = 30000,
+    log = () => {},
+}) => {
+    const stream = new EventEmitter();
+
+    // issueId -> Set of fields, as wanted by the user and as requested in the current session
+    const subscriptions = new Map();
+    let requested = new Set();
+    // message index -> {issueId, field}, as announced by a_req messages
+    let keys = [];
+    const quotes = new Map();
+
+    let sessionId = null;
+    let closed = false;
+    let failures = 0;
+    let reconnectTimer = null;
+    let pending = Promise.resolve();
+
+    const fail = error => {
+        log('quote stream error:', error.message);
+        if (stream.listenerCount('error')) {
+            stream.emit('error', error);
+        }
+    };
+
+    const reconnect = () => {
+        sessionId = null;
+        requested = new Set();
+        keys = [];
+        if (closed || reconnectTimer) {
+            return;
+        }
+        const delay = Math.min(reconnectDelay * Math.pow(2, failures), maxReconnectDelay);
+        failures++;
+        log('quote stream reconnecting in', delay, 'ms');
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            stream.emit('reconnect');
+            sync();
+        }, delay);
+    };
+
+    const handleMessages = messages => {
+        const changed = new Map();
+        let sessionRemoved = false;
+
+        messages.forEach(({m, v}) => {
+            if (m === 'a_req') {
+                const [key, index] = v;
+                const dot = key.lastIndexOf('.');
+                keys[index] = {issueId: key.slice(0, dot), field: lcFirst(key.slice(dot + 1))};
+            } else if (m === 'un' || m === 'us' || m === 'ue') {
+                const key = keys[v[0]];
+                if (key && subscriptions.has(key.issueId)) {
+                    const changes = changed.get(key.issueId) || {};
+                    changes[key.field] = m === 'ue' ? null : v[1];
+                    changed.set(key.issueId, changes);
+                }
+            } else if (m === 'sr') {
+                sessionRemoved = true;
+            }
+        });
+
+        changed.forEach((changes, issueId) => {
+            const quote = Object.assign(quotes.get(issueId) || {issueId}, changes);
+            quotes.set(issueId, quote);
+            stream.emit('quote', {issueId, changes, quote: Object.assign({}, quote)});
+        });
+        return sessionRemoved;
+    };
+
+    const pollLoop = id => {
+        if (closed || id !== sessionId) {
+            return;
+        }
+        poll(id)
+            .then(messages => {
+                if (closed || id !== sessionId) {
+                    return;
+                }
+                failures = 0;
+                if (handleMessages(Array.isArray(messages) ? messages : [])) {
+                    log('quote stream session removed');
+                    reconnect();
+                } else {
+                    pollLoop(id);
+                }
+            })
+            .catch(error => {
+                if (!closed && id === sessionId) {
+                    fail(error);
+                    reconnect();
+                }
+            });
+    };
+
+    /**
+     * Sends the req/rem commands needed to match the subscriptions, opening a session first if needed.
+     * Calls are queued so commands are never sent out of order.
+     */
+    const sync = () => {
+        pending = pending
+            .then(() => {
+                if (closed || reconnectTimer) {
+                    return;
+                }
+                if (!sessionId) {
+                    return openSession().then(id => {
+                        sessionId = id;
+                        stream.emit('connect', id);
+                        pollLoop(id);
+                        return sendCommands();
+                    });
+                }
+                return sendCommands();
+            })
+            .catch(error => {
+                fail(error);
+                reconnect();
+            });
+        return pending;
+    };
+
+    const sendCommands = () => {
+        const wanted = new Set();
+        subscriptions.forEach((fields, issueId) => fields.forEach(field => wanted.add(`${issueId}.${field}`)));
+        const added = Array.from(wanted).filter(key => !requested.has(key));
+        const removed = Array.from(requested).filter(key => !wanted.has(key));
+        if (!added.length && !removed.length) {
+            return;
+        }
+        const commands = added.map(key => `req(${key});`).concat(removed.map(key => `rem(${key});`));
+        const id = sessionId;
+        return control(id, commands.join('')).then(() => {
+            if (id === sessionId) {
+                added.forEach(key => requested.add(key));
+                removed.forEach(key => requested.delete(key));
+            }
+        });
+    };
+
+    /**
+     * Subscribe to quotes of one or more issues
+     *
+     * @param {(string|string[])} issueIds - VWD issue ids
+     * @param {string[]} fields - See QuoteFields. Defaults to the stream fields
+     * @return {Promise} Resolves once the subscription is sent
+     */
+    stream.subscribe = (issueIds, fields = defaultFields) => {
+        [].concat(issueIds).forEach(issueId => {
+            const current = subscriptions.get(String(issueId)) || new Set();
+            fields.forEach(field => current.add(field));
+            subscriptions.set(String(issueId), current);
+        });
+        return sync();
+    };
+
+    /**
+     * Unsubscribe from some fields or all the quotes of one or more issues
+     *
+     * @param {(string|string[])} issueIds
+     * @param {string[]} fields - Defaults to all the subscribed fields
+     * @return {Promise}
+     */
+    stream.unsubscribe = (issueIds, fields) => {
+        [].concat(issueIds).forEach(issueId => {
+            const current = subscriptions.get(String(issueId));
+            if (current && fields) {
+                fields.forEach(field => current.delete(field));
+            }
+            if (current && (!fields || !current.size)) {
+                subscriptions.delete(String(issueId));
+                quotes.delete(String(issueId));
+            }
+        });
+        return sync();
+    };
+
+    /**
+     * @param {string} issueId
+     * @return {Object} Latest known quote of an issue
+     */
+    stream.getQuote = issueId => quotes.get(String(issueId));
+
+    /**
+     * Stops polling. Pending async iterations end
+     */
+    stream.close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        sessionId = null;
+        stream.emit('close');
+    };
+
+    stream[Symbol.asyncIterator] = () => {
+        const buffer = [];
+        const waiting = [];
+        let finished = false;
+        const done = () => Promise.resolve({value: undefined, done: true});
+
+        const onQuote = event => {
+            if (waiting.length) {
+                waiting.shift()({value: event, done: false});
+            } else {
+                buffer.push(event);
+            }
+        };
+        const onClose = () => {
+            finished = true;
+            stream.removeListener('quote', onQuote);
+            waiting.splice(0).forEach(resolve => resolve({value: undefined, done: true}));
+        };
+        stream.on('quote', onQuote);
+        stream.once('close', onClose);
+
+        return {
+            next: () => {
+                if (buffer.length) {
+                    return Promise.resolve({value: buffer.shift(), done: false});
+                }
+                return finished ? done() : new Promise(resolve => waiting.push(resolve));
+            },
+            return: () => {
+                stream.removeListener('close', onClose);
+                onClose();
+                return done();
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+        };
+    };
+
+    return stream;
+};
+
+module.exports = {
+    createQuoteStream,
+};
@@ -0,0 +1,156 @@
+const {Actions, OrderTypes, TimeTypes} = require('./constants');
+const {computeFee} = require('./paper-trading');
+const {isNumber} = require('./utils');
+
+const ISIN = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+
+/**
+ * Tells whether a target key is an ISIN rather than a product id
+ *
+ * @param {string} key
+ * @return {boolean}
+ */
+const isIsin = key => ISIN.test(String(key).toUpperCase());
+
+/**
+ * Price used to value a position: the last price, or the middle of the bid and ask prices
+ */
+const valuePrice = ({bidPrice, askPrice, lastPrice} = {}) =>
+    isNumber(lastPrice) ? lastPrice : isNumber(bidPrice) && isNumber(askPrice) ? (bidPrice + askPrice) / 2 : null;
+
+/**
+ * Plans the orders which bring a portfolio to target weights. Weights are relative to the value of the positions
+ * plus the cash, minus the cash buffer. What the weights leave stays in cash. Orders are for whole shares, at the bid
+ * price for sells and the ask price for buys; those worth less than the minimum order value are left out. Sells come
+ * first and buys only spend the cash left after the sells, their fees and the buffer.
+ *
+ * @param {Object} options.targets - Weights (0 to 1) by product id
+ * @param {Object[]} options.positions - Held products as {id, size, value}, value being used for the products
+ *     without price
+ * @param {Object} options.products - Products by id, as returned by getProductsByIds()
+ * @param {Object} options.prices - {bidPrice, askPrice, lastPrice} by product id
+ * @param {number} options.cash - Cash available
+ * @param {number} options.cashBuffer - Cash to keep aside. Defaults to 0
+ * @param {number} options.minOrderValue - Defaults to 0
+ * @param {(Object|Function)} options.fees - See computeFee() in paper-trading.js. Defaults to no fees
+ * @param {boolean} options.sellOthers - Sell the positions without target. Defaults to false
+ * @param {number} options.orderType - OrderTypes.limited (at the quote price) or OrderTypes.marketOrder. Defaults to
+ *     OrderTypes.limited
+ * @param {number} options.timeType - Defaults to TimeTypes.day
+ * @return {Object} {total, cash, cashAfter, trades}, trades being sorted sells first as {order, productId, name,
+ *     currentSize, targetSize, currentWeight, targetWeight, price, value, fee}
+ */
+const planRebalance = ({
+    targets,
+    positions = [],
+    products = {},
+    prices = {},
+    cash = 0,
+    cashBuffer = 0,
+    minOrderValue = 0,
+    fees,
+    sellOthers = false,
+    orderType = OrderTypes.limited,
+    timeType = TimeTypes.day,
+}) => {
+    const weights = Object.assign({}, targets);
+    const ids = Object.keys(weights);
+    ids.forEach(id => {
+        if (!isNumber(weights[id]) || weights[id] < 0) {
+            throw TypeError(`Invalid target weight for ${id}: ${weights[id]}`);
+        }
+        if (valuePrice(prices[id]) === null) {
+            throw TypeError(`No price for ${id}`);
+        }
+    });
+    if (ids.reduce((sum, id) => sum + weights[id], 0) > 1 + 1e-9) {
+        throw TypeError('Target weights add up to more than 1');
+    }
+
+    const held = {};
+    positions.forEach(({id, size, value}) => {
+        held[String(id)] = {size, value};
+        if (sellOthers && !(String(id) in weights) && valuePrice(prices[id]) !== null) {
+            weights[String(id)] = 0;
+        }
+    });
+
+    const sizeOf = id => (held[id] ? held[id].size : 0);
+    const valueOf = id => {
+        const price = valuePrice(prices[id]);
+        return price === null ? (held[id] && held[id].value) || 0 : sizeOf(id) * price;
+    };
+    const total = cash + Object.keys(held).reduce((sum, id) => sum + valueOf(id), 0);
+    const investable = Math.max(0, total - cashBuffer);
+
+    const feeOf = (order, price, size) => {
+        const product = products[order.productId] || {};
+        return computeFee(fees, {order, price, size, value: price * size, currency: product.currency});
+    };
+
+    const trade = (id, buySell, size, price) => {
+        const order = {buySell, orderType, productId: id, size, timeType};
+        if (orderType !== OrderTypes.marketOrder) {
+            order.price = price;
+        }
+        const signed = buySell === Actions.sell ? -size : size;
+        return {
+            order,
+            productId: id,
+            name: products[id] && products[id].name,
+            currentSize: sizeOf(id),
+            targetSize: sizeOf(id) + signed,
+            currentWeight: total ? valueOf(id) / total : 0,
+            targetWeight: weights[id],
+            price,
+            value: size * price,
+            fee: feeOf(order, price, size),
+        };
+    };
+
+    const gaps = Object.keys(weights).map(id => ({id, gap: weights[id] * investable - valueOf(id)}));
+
+    const sells = gaps
+        .filter(({gap}) => gap < 0)
+        .map(({id, gap}) => {
+            const {bidPrice, lastPrice} = prices[id];
+            const price = isNumber(bidPrice) ? bidPrice : lastPrice;
+            const size = Math.min(sizeOf(id), Math.floor(-gap / price));
+            return size > 0 && size * price >= minOrderValue ? trade(id, Actions.sell, size, price) : null;
+        })
+        .filter(Boolean);
+
+    let available = cash + sells.reduce((sum, {value, fee}) => sum + value - fee, 0) - cashBuffer;
+
+    // the largest gaps are filled first when the cash is short
+    const buys = gaps
+        .filter(({gap}) => gap > 0)
+        .sort((a, b) => b.gap - a.gap)
+        .map(({id, gap}) => {
+            const {askPrice, lastPrice} = prices[id];
+            const price = isNumber(askPrice) ? askPrice : lastPrice;
+            let size = Math.floor(Math.min(gap, available) / price);
+            while (size > 0 && size * price + trade(id, Actions.buy, size, price).fee > available) {
+                size--;
+            }
+            if (size <= 0 || size * price < minOrderValue) {
+                return null;
+            }
+            const planned = trade(id, Actions.buy, size, price);
+            available -= planned.value + planned.fee;
+            return planned;
+        })
+        .filter(Boolean);
+
+    return {
+        total,
+        cash,
+        cashAfter: available + cashBuffer,
+        trades: sells.concat(buys),
+    };
+};
+
+module.exports = {
+    isIsin,
+    planRebalance,
+};
@@ -0,0 +1,145 @@
+const {getZonedParts} = require('./dates');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * Returns the exchange day of a date as a timestamp at 00:00 UTC, to count days without daylight saving changes
+ *
+ * @param {(Date|string)} date - Date, or dd/MM/yyyy string
+ * @return {number}
+ */
+const toDay = date => {
+    if (date instanceof Date && !isNaN(date)) {
+        const {year, month, day} = getZonedParts(date);
+        return Date.UTC(year, month - 1, day);
+    }
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(date);
+    if (!match) {
+        throw TypeError('Invalid report date: ' + date);
+    }
+    return Date.UTC(+match[3], match[2] - 1, +match[1]);
+};
+
+const formatDay = time => {
+    const date = new Date(time);
+    return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+};
+
+/**
+ * Splits a range of days into consecutive windows of at most `chunkDays` days
+ *
+ * @param {(Date|string)} fromDate - First day, as a Date or dd/MM/yyyy
+ * @param {(Date|string)} toDate - Last day, included
+ * @param {number} chunkDays
+ * @return {string[][]} [[fromDate, toDate]] as dd/MM/yyyy
+ */
+const splitRange = (fromDate, toDate, chunkDays) => {
+    const from = toDay(fromDate);
+    const to = toDay(toDate);
+    const windows = [];
+    for (let start = from; start <= to; start += chunkDays * DAY) {
+        windows.push([formatDay(start), formatDay(Math.min(start + (chunkDays - 1) * DAY, to))]);
+    }
+    return windows;
+};
+
+/**
+ * Maps items with a function returning promises, running at most `limit` at a time
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn
+ * @return {Promise} Resolves to the results, in the order of the items
+ */
+const mapLimit = (items, limit, fn) => {
+    const results = [];
+    let next = 0;
+    const worker = () => {
+        if (next >= items.length) {
+            return Promise.resolve();
+        }
+        const index = next++;
+        return fn(items[index], index).then(result => {
+            results[index] = result;
+            return worker();
+        });
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+};
+
+// reporting items have an id, except the order history ones
+const itemKey = item => (item.id !== undefined ? `id:${item.id}` : JSON.stringify(item));
+
+const byDate = dateField => (a, b) => (a[dateField] || 0) - (b[dateField] || 0);
+
+/**
+ * Merges pages of reporting items, removing duplicates and sorting them by date
+ *
+ * @param {Object[][]} pages
+ * @param {string} dateField - Field with the Date of the items
+ * @return {Object[]}
+ */
+const mergeItems = (pages, dateField) => {
+    const items = new Map();
+    pages.forEach(page => page.forEach(item => items.set(itemKey(item), item)));
+    return Array.from(items.values()).sort(byDate(dateField));
+};
+
+/**
+ * Reads a date range window by window, with the items of each window sorted by date and without duplicates
+ *
+ * @param {Function} request - Resolves to the items of a window, for (fromDate, toDate) as dd/MM/yyyy
+ * @param {string[][]} windows - See splitRange()
+ * @param {string} dateField
+ * @return {Object} Async iterable of items
+ */
+const iterateWindows = (request, windows, dateField) => {
+    const seen = new Set();
+    const buffer = [];
+    let index = 0;
+
+    const next = () => {
+        if (buffer.length) {
+            return Promise.resolve({value: buffer.shift(), done: false});
+        }
+        if (index >= windows.length) {
+            return Promise.resolve({value: undefined, done: true});
+        }
+        const [fromDate, toDate] = windows[index++];
+        return request(fromDate, toDate).then(items => {
+            items
+                .filter(item => !seen.has(itemKey(item)))
+                .sort(byDate(dateField))
+                .forEach(item => {
+                    seen.add(itemKey(item));
+                    buffer.push(item);
+                });
+            return next();
+        });
+    };
+
+    return {
+        next,
+        return: () => {
+            index = windows.length;
+            buffer.length = 0;
+            return Promise.resolve({value: undefined, done: true});
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+    };
+};
+
+module.exports = {
+    splitRange,
+    mapLimit,
+    mergeItems,
+    iterateWindows,
+};
@@ -0,0 +1,222 @@
+const {NetworkError} = require('./errors');
+
+// network errors worth another try: the connection was dropped, or the request took too long
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = status => status === 429 || status >= 500;
+
+/**
+ * Copies an error of fetch, whose message holds the url, with a redacted message and stack
+ */
+const redactError = (error, redact) =>
+    Object.assign(Error(redact(error.message)), {
+        name: error.name,
+        stack: error.stack && redact(error.stack),
+        type: error.type,
+        code: error.code,
+        errno: error.errno,
+    });
+
+/**
+ * Creates the function sending every request of a client. It spaces the requests to `requestsPerSecond`, keeps at
+ * most `maxConcurrency` of them in flight, aborts the ones without response after `timeout` and retries idempotent
+ * requests (GET, HEAD) on 429, 5xx and dropped connections with an exponential backoff and jitter. A 429 is retried
+ * no earlier than its Retry-After, and not at all when that is over `maxRetryDelay`.
+ *
+ * @param {Function} options.fetch - fetch implementation
+ * @param {number} options.requestsPerSecond - Defaults to no limit
+ * @param {number} options.maxConcurrency - Defaults to no limit
+ * @param {number} options.retries - Retries of a failed idempotent request. Defaults to 0
+ * @param {number} options.retryDelay - Delay before the first retry, doubled for every next one, in ms.
+ *     Defaults to 500
+ * @param {number} options.maxRetryDelay - Longest delay between retries, in ms. Defaults to 30000
+ * @param {number} options.timeout - How long to wait for the response headers, in ms. Defaults to no timeout
+ * @param {Function} options.random - Source of the jitter. Defaults to Math.random
+ * @param {Function} options.onRequest - Called before every attempt with {operation, method, url, attempt}
+ * @param {Function} options.onResponse - Called with {operation, method, url, attempt, status, duration} for every
+ *     response, successful or not
+ * @param {Function} options.onError - Called with {operation, method, url, attempt, duration, error} for every
+ *     attempt without response, error being the NetworkError
+ * @param {Function} options.redact - Removes the secrets of the error messages, which hold the url. Defaults to none
+ * @param {Function} options.log
+ * @return {Function} send(operation, url, fetchOptions, {queue = true, retry = true}), resolving to the response of
+ *     the last attempt and rejecting with a NetworkError when there is none
+ */
+const createRequestPipeline = ({
+    fetch,
+    requestsPerSecond = 0,
+    maxConcurrency = 0,
+    retries = 0,
+    retryDelay = 500,
+    maxRetryDelay = 30000,
+    timeout = 0,
+    random = Math.random,
+    onRequest = () => {},
+    onResponse = () => {},
+    onError = () => {},
+    redact = text => text,
+    log = () => {},
+}) => {
+    const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    const waiting = [];
+    let active = 0;
+    let nextStart = 0;
+    let timer = null;
+
+    const dequeue = () => {
+        if (timer || !waiting.length || (maxConcurrency > 0 && active >= maxConcurrency)) {
+            return;
+        }
+        const now = Date.now();
+        if (nextStart > now) {
+            timer = setTimeout(() => {
+                timer = null;
+                dequeue();
+            }, nextStart - now);
+            return;
+        }
+        nextStart = now + interval;
+        active++;
+        waiting.shift()();
+        dequeue();
+    };
+
+    /**
+     * Resolves once the request may start
+     */
+    const acquire = () =>
+        new Promise(resolve => {
+            waiting.push(resolve);
+            dequeue();
+        });
+
+    const release = () => {
+        active--;
+        dequeue();
+    };
+
+    /**
+     * Sends a request once, aborting it after the timeout
+     */
+    const attempt = (operation, url, options, count) => {
+        const event = {operation, method: (options.method || 'GET').toUpperCase(), url, attempt: count + 1};
+        const started = Date.now();
+        onRequest(event);
+        // AbortController is missing before Node 15, where node-fetch's own timeout option is used instead
+        const controller = timeout > 0 && global.AbortController ? new global.AbortController() : null;
+        let timedOut = false;
+        let abortTimer = null;
+        // rejects after the timeout, even when the request can not be aborted
+        const expired = new Promise((resolve, reject) => {
+            if (timeout > 0) {
+                abortTimer = setTimeout(() => {
+                    timedOut = true;
+                    if (controller) {
+                        controller.abort();
+                    }
+                    reject(Error('aborted'));
+                }, timeout);
+            }
+        });
+        let fetchOptions = options;
+        if (controller) {
+            fetchOptions = Object.assign({}, options, {signal: controller.signal});
+        } else if (timeout > 0) {
+            fetchOptions = Object.assign({}, options, {timeout});
+        }
+
+        return Promise.race([fetch(url, fetchOptions), expired]).then(
+            res => {
+                clearTimeout(abortTimer);
+                onResponse(Object.assign({status: res.status, duration: Date.now() - started}, event));
+                return res;
+            },
+            error => {
+                clearTimeout(abortTimer);
+                let networkError;
+                if (timedOut || error.type === 'request-timeout') {
+                    const cause = Object.assign(Error(`Timed out after ${timeout}ms`), {code: 'ETIMEDOUT'});
+                    networkError = new NetworkError(`${operation} request timed out after ${timeout}ms`, {
+                        operation,
+                        cause,
+                    });
+                } else {
+                    const cause = redactError(error, redact);
+                    networkError = new NetworkError(operation + ' request failed: ' + cause.message, {
+                        operation,
+                        cause,
+                    });
+                }
+                onError(Object.assign({duration: Date.now() - started, error: networkError}, event));
+                throw networkError;
+            }
+        );
+    };
+
+    const backoff = retry => {
+        const ms = Math.min(maxRetryDelay, retryDelay * Math.pow(2, retry));
+        return Math.round(ms / 2 + (random() * ms) / 2);
+    };
+
+    return (operation, url, options = {}, {queue = true, retry = true} = {}) => {
+        const method = (options.method || 'GET').toUpperCase();
+        const maxRetries = retry && IDEMPOTENT_METHODS.includes(method) ? retries : 0;
+
+        const run = count => {
+            const done = () => queue && release();
+            const sent = queue
+                ? acquire().then(() => attempt(operation, url, options, count))
+                : attempt(operation, url, options, count);
+            return sent
+                .then(
+                    res => {
+                        done();
+                        return res;
+                    },
+                    error => {
+                        done();
+                        throw error;
+                    }
+                )
+                .then(
+                    res => {
+                        if (count >= maxRetries || !isRetryableStatus(res.status)) {
+                            return res;
+                        }
+                        let wait = backoff(count);
+                        const retryAfter = res.status === 429 && +res.headers.get('retry-after');
+                        if (retryAfter) {
+                            if (retryAfter * 1000 > maxRetryDelay) {
+                                return res;
+                            }
+                            wait = Math.max(wait, retryAfter * 1000);
+                        }
+                        log(`${operation} response status: ${res.status}, retrying in ${wait}ms`);
+                        // the body is dropped, so the connection can be reused
+                        return res
+                            .text()
+                            .catch(() => {})
+                            .then(() => delay(wait))
+                            .then(() => run(count + 1));
+                    },
+                    error => {
+                        if (count >= maxRetries || !TRANSIENT_CODES.includes(error.code)) {
+                            throw error;
+                        }
+                        const wait = backoff(count);
+                        log(`${error.message}, retrying in ${wait}ms`);
+                        return delay(wait).then(() => run(count + 1));
+                    }
+                );
+        };
+        return run(0);
+    };
+};
+
+module.exports = {
+    createRequestPipeline,
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+/**
+ * Session stores persist the session between processes. A store is any object implementing:
+ *
+ * - load(): Promise resolving to the saved session data or null
+ * - save(data): Promise
+ * - clear(): Promise
+ *
+ * Saved data has the shape {id, account, userToken, clientInfo, urls}
+ */
+
+/**
+ * Creates a store which keeps the session in memory. Useful to share a session between clients
+ *
+ * @return {Object} Session store
+ */
+module.exports.createMemoryStore = () => {
+    let saved = null;
+    return {
+        load: () => Promise.resolve(saved && JSON.parse(saved)),
+        save: data => {
+            saved = JSON.stringify(data);
+            return Promise.resolve();
+        },
+        clear: () => {
+            saved = null;
+            return Promise.resolve();
+        },
+    };
+};
+
+/**
+ * Creates a store which keeps the session in a JSON file. The file is readable by its owner only
+ * and replaced atomically, so a crash while saving does not leave a truncated session behind.
+ *
+ * @param {string} filename - Path of the JSON file
+ * @return {Object} Session store
+ */
+module.exports.createFileStore = filename => {
+    const file = path.resolve(filename);
+    return {
+        load: () =>
+            readFile(file, 'utf8')
+                .then(JSON.parse)
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return null;
+                    }
+                    throw error;
+                }),
+        save: data => {
+            const tmp = `${file}.${process.pid}.tmp`;
+            return writeFile(tmp, JSON.stringify(data, null, 2), {mode: 0o600}).then(() => rename(tmp, file));
+        },
+        clear: () =>
+            unlink(file).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }),
+    };
+};
@@ -0,0 +1,245 @@
+const {TaxMethods} = require('./constants');
+const {getZonedParts} = require('./dates');
+const {isNumber} = require('./utils');
+
+// cash movement descriptions, in the languages DeGiro uses
+const DIVIDEND = /dividend/i;
+const WITHHOLDING_TAX = /tax|belasting|steuer|imp[oô]t|impuesto|imposta/i;
+
+const round = value => Math.round(value * 100) / 100;
+
+const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+/**
+ * Returns the total of a transaction in the base currency, always positive. DeGiro gives it, or the rate
+ * (product currency per base currency) to compute it.
+ */
+const baseTotal = ({totalInBaseCurrency, price, quantity, fxRate}) =>
+    Math.abs(isNumber(totalInBaseCurrency) ? totalInBaseCurrency : (price * quantity) / (fxRate || 1));
+
+/**
+ * Returns the fees of a transaction in the base currency, always positive
+ */
+const baseFees = ({totalFeesInBaseCurrency, feeInBaseCurrency, autoFxFeeInBaseCurrency}) =>
+    Math.abs(
+        isNumber(totalFeesInBaseCurrency)
+            ? totalFeesInBaseCurrency
+            : (feeInBaseCurrency || 0) + (autoFxFeeInBaseCurrency || 0)
+    );
+
+const isSell = ({buysell, quantity}) => buysell === 'S' || quantity < 0;
+
+/**
+ * Realised gains of a FIFO position: sales consume the oldest lots first
+ */
+const fifoPosition = () => {
+    const lots = [];
+    return {
+        buy: (quantity, cost) => lots.push({quantity, unitCost: cost / quantity}),
+        sell: quantity => {
+            let left = quantity;
+            let costBasis = 0;
+            while (left > 0 && lots.length) {
+                const lot = lots[0];
+                const used = Math.min(lot.quantity, left);
+                costBasis += used * lot.unitCost;
+                lot.quantity -= used;
+                left -= used;
+                if (!lot.quantity) {
+                    lots.shift();
+                }
+            }
+            return {costBasis, unmatchedQuantity: left};
+        },
+    };
+};
+
+/**
+ * Realised gains of an average cost position: sales take the average cost of the position
+ */
+const averagePosition = () => {
+    let held = 0;
+    let totalCost = 0;
+    return {
+        buy: (quantity, cost) => {
+            held += quantity;
+            totalCost += cost;
+        },
+        sell: quantity => {
+            const used = Math.min(quantity, held);
+            const costBasis = held ? (totalCost * used) / held : 0;
+            held -= used;
+            totalCost -= costBasis;
+            return {costBasis, unmatchedQuantity: quantity - used};
+        },
+    };
+};
+
+/**
+ * Computes the realised gains of every sale, in the base currency. Buy fees are added to the cost, sell fees
+ * deducted from the proceeds. Sales without matching buys (e.g. outside the transactions given) have no cost for
+ * the unmatched quantity, which is reported in `unmatchedQuantity`.
+ *
+ * @param {Object[]} transactions - As returned by getTransactions(), with Date dates
+ * @param {string} method - See TaxMethods. Defaults to fifo
+ * @return {Object[]} Sales as {id, date, productId, quantity, proceeds, fees, costBasis, gain, unmatchedQuantity}
+ */
+const computeRealisedGains = (transactions, method = TaxMethods.fifo) => {
+    if (!TaxMethods[method]) {
+        throw TypeError('Unknown method: ' + method);
+    }
+    const positions = new Map();
+    const sales = [];
+
+    transactions
+        .slice()
+        .sort((a, b) => a.date - b.date)
+        .forEach(transaction => {
+            const productId = String(transaction.productId);
+            if (!positions.has(productId)) {
+                positions.set(productId, method === TaxMethods.fifo ? fifoPosition() : averagePosition());
+            }
+            const position = positions.get(productId);
+            const quantity = Math.abs(transaction.quantity);
+            const total = baseTotal(transaction);
+            const fees = baseFees(transaction);
+
+            if (!isSell(transaction)) {
+                position.buy(quantity, total + fees);
+                return;
+            }
+            const {costBasis, unmatchedQuantity} = position.sell(quantity);
+            const proceeds = total - fees;
+            sales.push({
+                id: transaction.id,
+                date: transaction.date,
+                productId,
+                quantity,
+                proceeds,
+                fees,
+                costBasis,
+                gain: proceeds - costBasis,
+                unmatchedQuantity,
+            });
+        });
+    return sales;
+};
+
+/**
+ * Totals the dividends and withholding taxes of cash movements per country (from the ISIN of the product) and
+ * currency. Amounts are converted to the base currency with the `exchangeRate` of the movement or `fxRates`,
+ * both as units of the currency per unit of base currency.
+ *
+ * @param {Object[]} cashMovements - As returned by getPortfolioMovements()
+ * @param {Object} products - Products by id, as in the getProductsByIds() data
+ * @param {Object} fxRates - e.g. {USD: 1.12}
+ * @param {string} baseCurrency - Amounts in it need no rate
+ * @return {Object[]} [{country, currency, gross, withholdingTax, net, grossInBase, withholdingTaxInBase, netInBase}]
+ */
+const summariseDividends = (cashMovements, products = {}, fxRates = {}, baseCurrency) => {
+    const groups = new Map();
+    cashMovements
+        .filter(({description}) => DIVIDEND.test(description))
+        .forEach(movement => {
+            const product = products[movement.productId];
+            const country = product && product.isin ? product.isin.slice(0, 2) : null;
+            const key = `${country}:${movement.currency}`;
+            if (!groups.has(key)) {
+                groups.set(key, {country, currency: movement.currency, gross: 0, withholdingTax: 0, inBase: []});
+            }
+            const group = groups.get(key);
+            const rate =
+                movement.currency === baseCurrency ? 1 : movement.exchangeRate || fxRates[movement.currency];
+            const field = WITHHOLDING_TAX.test(movement.description) ? 'withholdingTax' : 'gross';
+            // taxes are negative movements, refunds positive
+            const amount = field === 'gross' ? movement.change : -movement.change;
+            group[field] += amount;
+            group.inBase.push({field, amount: rate ? amount / rate : null});
+        });
+
+    return Array.from(groups.values()).map(({country, currency, gross, withholdingTax, inBase}) => {
+        const convertible = inBase.every(({amount}) => amount !== null);
+        const total = field => (convertible ? round(sum(inBase.filter(item => item.field === field), 'amount')) : null);
+        const grossInBase = total('gross');
+        const withholdingTaxInBase = total('withholdingTax');
+        return {
+            country,
+            currency,
+            gross: round(gross),
+            withholdingTax: round(withholdingTax),
+            net: round(gross - withholdingTax),
+            grossInBase,
+            withholdingTaxInBase,
+            netInBase: convertible ? round(grossInBase - withholdingTaxInBase) : null,
+        };
+    });
+};
+
+/**
+ * Builds the yearly tax report: realised gains of the sales of the year (computed from every transaction given,
+ * so earlier buys count), and dividends per country.
+ *
+ * @param {number} options.year
+ * @param {Object[]} options.transactions - Since the first buy of the positions sold in the year
+ * @param {Object[]} options.cashMovements - Of the year
+ * @param {Object} options.products - Products by id, to get the countries of the dividends
+ * @param {string} options.method - See TaxMethods. Defaults to fifo
+ * @param {Object} options.fxRates - See summariseDividends()
+ * @param {string} options.baseCurrency
+ * @return {Object} {year, method, baseCurrency, realised: {...totals, positions, sales}, dividends: {...totals,
+ * byCountry}}. Amounts are in the base currency, except the byCountry ones without `InBase`
+ */
+const createTaxReport = ({
+    year,
+    transactions = [],
+    cashMovements = [],
+    products = {},
+    method = TaxMethods.fifo,
+    fxRates = {},
+    baseCurrency,
+}) => {
+    const inYear = ({date}) => date instanceof Date && getZonedParts(date).year === year;
+    const sales = computeRealisedGains(transactions, method).filter(inYear);
+
+    const positions = new Map();
+    sales.forEach(sale => {
+        const position = positions.get(sale.productId) || {productId: sale.productId, sales: []};
+        position.sales.push(sale);
+        positions.set(sale.productId, position);
+    });
+
+    const totals = items => ({
+        quantity: sum(items, 'quantity'),
+        proceeds: round(sum(items, 'proceeds')),
+        costBasis: round(sum(items, 'costBasis')),
+        fees: round(sum(items, 'fees')),
+        gain: round(sum(items, 'gain')),
+    });
+    const byCountry = summariseDividends(cashMovements.filter(inYear), products, fxRates, baseCurrency);
+    const dividendTotal = field =>
+        byCountry.every(group => group[field] !== null) ? round(sum(byCountry, field)) : null;
+
+    return {
+        year,
+        method,
+        baseCurrency,
+        realised: Object.assign(totals(sales), {
+            positions: Array.from(positions.values()).map(position =>
+                Object.assign({productId: position.productId}, totals(position.sales))
+            ),
+            sales,
+        }),
+        dividends: {
+            gross: dividendTotal('grossInBase'),
+            withholdingTax: dividendTotal('withholdingTaxInBase'),
+            net: dividendTotal('netInBase'),
+            byCountry,
+        },
+    };
+};
+
+module.exports = {
+    computeRealisedGains,
+    summariseDividends,
+    createTaxReport,
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decodes a RFC 4648 base32 string. Case, spaces, dashes and padding are ignored
+ *
+ * @param {string} str
+ * @return {Buffer}
+ */
+const base32Decode = str => {
+    const chars = str.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of chars) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw Error('Invalid base32 character: ' + char);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a RFC 4226 HOTP code
+ *
+ * @param {Buffer} key
+ * @param {number} counter
+ * @param {number} options.digits - Defaults to 6
+ * @param {string} options.algorithm - Defaults to 'sha1'
+ * @return {string}
+ */
+const generateHotp = (key, counter, {digits = 6, algorithm = 'sha1'} = {}) => {
+    const message = Buffer.alloc(8);
+    // counters fit in 53 bits, write them as two 32 bit halves
+    message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    message.writeUInt32BE(counter % 0x100000000, 4);
+
+    const hmac = crypto
+        .createHmac(algorithm, key)
+        .update(message)
+        .digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(code % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * Generates a RFC 6238 TOTP code
+ *
+ * @param {(string|Buffer)} secret - Base32 encoded secret (as shown when enabling 2FA) or raw key
+ * @param {number} options.time - Unix time in ms. Defaults to now
+ * @param {number} options.window - Time steps to add to the current one, e.g. 1 for the next code. Defaults to 0
+ * @param {number} options.step - Time step in seconds. Defaults to 30
+ * @param {number} options.digits - Defaults to 6
+ * @param {string} options.algorithm - Defaults to 'sha1'
+ * @return {string}
+ */
+const generateTotp = (secret, {time = Date.now(), window = 0, step = 30, digits = 6, algorithm = 'sha1'} = {}) => {
+    const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+    const counter = Math.floor(time / 1000 / step) + window;
+    return generateHotp(key, counter, {digits, algorithm});
+};
+
+module.exports = {
+    base32Decode,
+    generateHotp,
+    generateTotp,
+};
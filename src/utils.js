@@ -18,4 +18,37 @@ module.exports.headerToJSON = headers => {
         json[key] = value;
     }
     return json;
-}
\ No newline at end of file
+}
+
+/**
+ * Tells whether a value is a finite number
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+module.exports.isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * Row names of the sections of the update endpoint
+ */
+module.exports.UPDATE_ROW_NAMES = {
+    portfolio: 'positionrow',
+    cashFunds: 'cashFund',
+    orders: 'order',
+    historicalOrders: 'order',
+    transactions: 'transaction',
+};
+
+/**
+ * Converts plain objects to the {name, id, value: [{name, value}]} rows used by the update endpoint
+ *
+ * @param {string} name - Row name, e.g. 'positionrow'
+ * @param {Object[]} items
+ * @return {Object[]}
+ */
+module.exports.toRows = (name, items) =>
+    items.map(item => ({
+        name,
+        id: item.id,
+        value: Object.keys(item).map(key => ({name: key, value: item[key], isAdded: true})),
+    }));
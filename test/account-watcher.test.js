@@ -0,0 +1,135 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer, toRows} = require('../src/mock-server');
+const {createAccountWatcher} = require('../src/account-watcher');
+const {account} = require('./fixtures');
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('account watcher', () => {
+    describe('createAccountWatcher', () => {
+        it('merges deltas and removed rows into the state', () => {
+            const responses = [
+                {portfolio: {lastUpdated: 1, value: toRows('positionrow', [{id: '1', size: 10, price: 5}])}},
+                {
+                    portfolio: {
+                        lastUpdated: 2,
+                        value: [
+                            {id: '1', value: [{name: 'size', value: 12}]},
+                            {id: '2', isAdded: true, value: [{name: 'id', value: '2'}, {name: 'size', value: 1}]},
+                        ],
+                    },
+                },
+                {portfolio: {lastUpdated: 3, value: [{id: '2', isRemoved: true}]}},
+            ];
+            const requests = [];
+            const getData = tokens => {
+                requests.push(tokens);
+                return Promise.resolve(responses.shift() || {});
+            };
+            const watcher = createAccountWatcher({getData, sections: ['portfolio'], interval: 1});
+            const changes = [];
+            watcher.on('positionChanged', change => changes.push(change));
+
+            return once(watcher, 'ready')
+                .then(state => {
+                    assert.deepStrictEqual(state, {portfolio: [{id: '1', size: 10, price: 5}]});
+                    return new Promise(resolve => setTimeout(resolve, 30));
+                })
+                .then(() => {
+                    watcher.close();
+                    assert.deepStrictEqual(requests.slice(0, 3), [{portfolio: 0}, {portfolio: 1}, {portfolio: 2}]);
+                    assert.deepStrictEqual(changes, [
+                        {id: '1', previous: {id: '1', size: 10, price: 5}, current: {id: '1', size: 12, price: 5}},
+                        {id: '2', previous: undefined, current: {id: '2', size: 1}},
+                        {id: '2', previous: {id: '2', size: 1}, current: null},
+                    ]);
+                    assert.deepStrictEqual(watcher.getState(), {portfolio: [{id: '1', size: 12, price: 5}]});
+                });
+        });
+
+        it('emits errors and keeps polling', () => {
+            let calls = 0;
+            const getData = () => (++calls === 1 ? Promise.reject(Error('down')) : Promise.resolve({}));
+            const watcher = createAccountWatcher({getData, interval: 1});
+            const error = once(watcher, 'error');
+            return Promise.all([error, once(watcher, 'ready')]).then(([{message}]) => {
+                watcher.close();
+                assert.strictEqual(message, 'down');
+            });
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+        let watcher;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => {
+            watcher.close();
+            return server.close();
+        });
+
+        it('requests deltas with the previous tokens', () => {
+            watcher = degiro.createAccountWatcher({interval: 10});
+            const changes = [];
+            watcher.on('change', change => changes.push(change));
+            return once(watcher, 'ready')
+                .then(state => {
+                    assert.strictEqual(state.orders[0].id, 'order-a');
+                    assert.ok(state.orders[0].date instanceof Date);
+                    return new Promise(resolve => setTimeout(resolve, 50));
+                })
+                .then(() => {
+                    const updates = server.requests.filter(({path}) => path.includes('/v5/update/'));
+                    assert.ok(updates.length > 1);
+                    assert.notStrictEqual(updates[updates.length - 1].query.orders, '0');
+                    assert.deepStrictEqual(changes, []);
+                });
+        });
+
+        it('emits filled orders and position changes', () => {
+            watcher = degiro.createAccountWatcher({interval: 10});
+            return once(watcher, 'ready').then(() => {
+                const filled = once(watcher, 'orderFilled');
+                const positionChanged = once(watcher, 'positionChanged');
+                const orderChanged = once(watcher, 'orderChanged');
+                server.fillOrder('order-a', 1390);
+                return Promise.all([filled, positionChanged, orderChanged]).then(([fill, position, order]) => {
+                    assert.strictEqual(fill.transaction.orderId, 'order-a');
+                    assert.strictEqual(fill.transaction.price, 1390);
+                    assert.strictEqual(fill.order.id, 'order-a');
+                    assert.strictEqual(position.id, '8066561');
+                    assert.strictEqual(position.previous.size, 10);
+                    assert.strictEqual(position.current.size, 11);
+                    assert.deepStrictEqual([order.id, order.current], ['order-a', null]);
+                    assert.deepStrictEqual(watcher.getState().orders, []);
+                });
+            });
+        });
+
+        it('emits cancelled orders and cash changes', () => {
+            watcher = degiro.createAccountWatcher({interval: 10});
+            return once(watcher, 'ready').then(() => {
+                const cancelled = once(watcher, 'orderCancelled');
+                const cashChanged = once(watcher, 'cashChanged');
+                server.state.cashFunds[0].value = 2000;
+                return degiro
+                    .deleteOrder('order-a')
+                    .then(() => Promise.all([cancelled, cashChanged]))
+                    .then(([{order}, cash]) => {
+                        assert.strictEqual(order.id, 'order-a');
+                        assert.strictEqual(cash.current.value, 2000);
+                    });
+            });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {parseDuration, addDuration, normaliseChart} = require('../src/chart');
+const {account} = require('./fixtures');
+
+describe('chart', () => {
+    describe('parseDuration', () => {
+        it('parses dates and times', () => {
+            assert.deepStrictEqual(parseDuration('P1Y2M1W3D'), {years: 1, months: 2, days: 10, ms: 0});
+            assert.deepStrictEqual(parseDuration('PT1H15M30S'), {years: 0, months: 0, days: 0, ms: 4530000});
+        });
+
+        it('rejects invalid durations', () => {
+            assert.throws(() => parseDuration('1D'), /Invalid duration: 1D/);
+        });
+    });
+
+    describe('addDuration', () => {
+        it('adds calendar months and days', () => {
+            const start = new Date('2020-01-31T00:00:00Z');
+            assert.strictEqual(addDuration(start, 'P1D', 2).toISOString(), '2020-02-02T00:00:00.000Z');
+            assert.strictEqual(addDuration(start, 'P1M', 2).toISOString(), '2020-03-31T00:00:00.000Z');
+            assert.strictEqual(addDuration(start, 'PT15M', 3).toISOString(), '2020-01-31T00:45:00.000Z');
+        });
+    });
+
+    describe('normaliseChart', () => {
+        it('merges the series into candles sorted by date', () => {
+            const chart = normaliseChart({
+                start: '2020-01-02T09:00:00',
+                end: '2020-01-02T09:03:00',
+                resolution: 'PT1M',
+                series: [
+                    {type: 'object', id: 'issueid:1', data: {}},
+                    {type: 'ohlc', id: 'ohlc:issueid:1', times: '2020-01-02T09:00:00/PT1M', data: [[2, 3, 4, 2, 3]]},
+                    {type: 'time', id: 'volume:issueid:1', times: '2020-01-02T09:00:00/PT1M', data: [[0, 7], [2, 9]]},
+                ],
+            });
+            assert.strictEqual(chart.start.toISOString(), '2020-01-02T09:00:00.000Z');
+            assert.strictEqual(chart.resolution, 'PT1M');
+            assert.deepStrictEqual(chart.candles, [
+                {date: new Date('2020-01-02T09:00:00Z'), volume: 7},
+                {date: new Date('2020-01-02T09:02:00Z'), open: 3, high: 4, low: 2, close: 3, volume: 9},
+            ]);
+        });
+    });
+
+    describe('getChart', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('requests the series and returns daily candles', () =>
+            degiro
+                .getChart({vwdId: '350009261', period: DeGiro.ChartPeriods.week})
+                .then(({vwdId, candles}) => {
+                    assert.strictEqual(vwdId, '350009261');
+                    assert.strictEqual(candles.length, 3);
+                    assert.deepStrictEqual(candles[1], {
+                        date: new Date('2020-01-31T00:00:00Z'),
+                        open: 1410,
+                        high: 1450,
+                        low: 1405,
+                        close: 1440,
+                        volume: 1500,
+                    });
+                    const {query} = server.requests[server.requests.length - 1];
+                    assert.deepStrictEqual(query.series, ['ohlc:issueid:350009261', 'volume:issueid:350009261']);
+                    assert.strictEqual(query.period, 'P1W');
+                    assert.strictEqual(query.resolution, 'P1D');
+                    assert.strictEqual(query.userToken, '7654321');
+                }));
+
+        it('returns close prices of the price series', () =>
+            degiro.getChart({vwdId: '350009261', series: ['price']}).then(({candles}) => {
+                assert.deepStrictEqual(candles.map(({close}) => close), [1410, 1440, 1402]);
+                assert.ok(candles.every(candle => !('open' in candle)));
+            }));
+    });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Readable, Writable} = require('stream');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {parseArgs, formatTable, run} = require('../src/cli');
+const {account} = require('./fixtures');
+
+const collector = () => {
+    const chunks = [];
+    const writable = new Writable({
+        write: (chunk, encoding, callback) => {
+            chunks.push(chunk.toString());
+            callback();
+        },
+    });
+    writable.text = () => chunks.join('');
+    return writable;
+};
+
+describe('cli', () => {
+    describe('parseArgs', () => {
+        it('splits the command, positionals and options', () => {
+            assert.deepStrictEqual(parseArgs(['buy', '8066561', '--size', '2', '--yes', '--price=10.5']), {
+                command: 'buy',
+                args: ['8066561'],
+                options: {size: '2', yes: true, price: '10.5'},
+            });
+        });
+
+        it('rejects options without value', () => {
+            assert.throws(() => parseArgs(['search', 'vwrl', '--type']), /Missing value for --type/);
+        });
+    });
+
+    describe('formatTable', () => {
+        it('aligns the columns, numbers to the right', () => {
+            const rows = [{name: 'GOOGL', size: 10}, {name: 'VWRL', size: 2.5, extra: 1}];
+            assert.strictEqual(
+                formatTable(rows, ['name', 'size']),
+                ['name   size', '-----  ----', 'GOOGL    10', 'VWRL    2.5'].join('\n')
+            );
+        });
+    });
+
+    describe('run', () => {
+        let server;
+        let dir;
+        let stdout;
+        let stderr;
+
+        const degiro = (argv, input = '') =>
+            run(argv, {
+                env: {DEGIRO_SESSION_FILE: path.join(dir, 'session.json')},
+                stdin: Readable.from([input]),
+                stdout,
+                stderr,
+                create: options => DeGiro.create(Object.assign(server.clientOptions(), options)),
+            });
+
+        const loginRequests = () => server.requests.filter(({path}) => path === '/login/secure/login');
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'degiro-'));
+            stdout = collector();
+            stderr = collector();
+            server = createMockServer(account());
+            return server.listen();
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+            return server.close();
+        });
+
+        it('reuses the saved session between invocations', () =>
+            degiro(['login'])
+                .then(code => {
+                    assert.strictEqual(code, 0);
+                    assert.strictEqual(stdout.text(), 'Logged in, account 1234567\n');
+                    return degiro(['cash']);
+                })
+                .then(code => {
+                    assert.strictEqual(code, 0);
+                    assert.strictEqual(loginRequests().length, 1);
+                    assert.ok(stdout.text().includes('1935.8'));
+                }));
+
+        it('prints the cash funds with their currency', () =>
+            degiro(['cash']).then(code => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(
+                    stdout.text(),
+                    ['currencyCode   value', '------------  ------', 'EUR           1935.8', 'USD                0']
+                        .map(line => line + '\n')
+                        .join('')
+                );
+            }));
+
+        it('prints every column of the open orders', () =>
+            degiro(['orders']).then(code => {
+                assert.strictEqual(code, 0);
+                const [header, , line] = stdout.text().split('\n');
+                assert.deepStrictEqual(header.split(/\s+/), [
+                    'id',
+                    'date',
+                    'productId',
+                    'product',
+                    'buysell',
+                    'size',
+                    'quantity',
+                    'price',
+                    'stopPrice',
+                ]);
+                assert.ok(/^order-a +\S+ +8066561 +ALPHABET INC\. - CLASS +B +1 +0 +1400 +0$/.test(line), line);
+            }));
+
+        it('logs in when there is no saved session', () =>
+            degiro(['portfolio', '--json']).then(code => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(loginRequests().length, 1);
+                const positions = JSON.parse(stdout.text());
+                assert.deepStrictEqual(positions.map(({id}) => id), ['8066561', 'EUR']);
+                assert.strictEqual(positions[0].symbol, 'GOOGL');
+            }));
+
+        it('searches by product type', () =>
+            degiro(['search', 'a', '--type', 'etfs']).then(code => {
+                assert.strictEqual(code, 0);
+                const lines = stdout.text().split('\n');
+                assert.ok(lines[2].startsWith('4586985  VWRL'));
+                assert.strictEqual(lines.length, 4);
+                const lookup = server.requests.find(({path}) => path.endsWith('/lookup'));
+                assert.strictEqual(lookup.query.productTypeId, '131');
+            }));
+
+        it('prints the latest quote', () =>
+            degiro(['quote', '350009261', '--json']).then(code => {
+                assert.strictEqual(code, 0);
+                const [quote] = JSON.parse(stdout.text());
+                assert.deepStrictEqual([quote.bidPrice, quote.askPrice, quote.lastPrice], [1500.5, 1501, 1500.75]);
+            }));
+
+        it('places an order once confirmed', () =>
+            degiro(['buy', '8066561', '--size', '1', '--price', '1400'], 'y\n').then(code => {
+                assert.strictEqual(code, 0);
+                assert.ok(stderr.text().includes('BUY 1 x 8066561 at 1400, fees: 0.5 EUR'));
+                assert.strictEqual(server.state.orders.length, 2);
+                // the checked order shown is the one confirmed
+                const paths = server.requests.map(({path}) => path);
+                assert.strictEqual(paths.filter(path => path.includes('/v5/checkOrder')).length, 1);
+                assert.strictEqual(paths.filter(path => path.includes('/v5/order/confirmation-')).length, 1);
+            }));
+
+        it('does not place an order without confirmation', () =>
+            degiro(['sell', '8066561', '--size', '1', '--price', '1600'], 'n\n').then(code => {
+                assert.strictEqual(code, 1);
+                assert.ok(stderr.text().endsWith('Order not confirmed\n'));
+                assert.strictEqual(server.state.orders.length, 1);
+            }));
+
+        it('cancels orders', () =>
+            degiro(['cancel', 'order-a']).then(code => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(stdout.text(), 'Order order-a cancelled\n');
+                assert.deepStrictEqual(server.state.orders, []);
+            }));
+
+        it('lists the transactions of a range', () =>
+            degiro(['transactions', '--from', '01/01/2020', '--to', '31/01/2020', '--json']).then(code => {
+                assert.strictEqual(code, 0);
+                assert.deepStrictEqual(JSON.parse(stdout.text()).map(({id}) => id), [1]);
+            }));
+
+        it('prints the usage on invalid command lines', () =>
+            degiro(['buy', '8066561']).then(code => {
+                assert.strictEqual(code, 2);
+                assert.ok(stderr.text().startsWith('Missing --size\n\nUsage: degiro'));
+                assert.strictEqual(loginRequests().length, 0);
+            }));
+    });
+});
@@ -0,0 +1,488 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {account} = require('./fixtures');
+
+describe('client', () => {
+    let server;
+    let degiro;
+
+    beforeEach(() => {
+        server = createMockServer(account());
+        return server.listen().then(() => {
+            degiro = DeGiro.create(server.clientOptions());
+        });
+    });
+
+    afterEach(() => server.close());
+
+    describe('login', () => {
+        it('creates a session and loads the config and client info', () =>
+            degiro.login().then(session => {
+                assert.ok(session.id);
+                assert.strictEqual(session.account, 1234567);
+                assert.strictEqual(session.userToken, 7654321);
+                assert.strictEqual(session.clientInfo.username, 'johndoe');
+            }));
+
+        it('rejects bad credentials with an AuthenticationError', () => {
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {password: 'wrong'}));
+            return degiro.login().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.AuthenticationError);
+                    assert.strictEqual(error.operation, 'login');
+                    assert.strictEqual(error.status, 400);
+                    assert.strictEqual(error.message, 'Authentication: badCredentials');
+                }
+            );
+        });
+
+        it('does not send the password to the log', () => {
+            const lines = [];
+            const consoleLog = console.log;
+            console.log = (...args) => lines.push(args.join(' '));
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {debug: true}));
+            return degiro.login().then(
+                () => {
+                    console.log = consoleLog;
+                    assert.ok(lines.length > 0);
+                    assert.ok(lines.every(line => !line.includes('"password":"1234"')));
+                },
+                error => {
+                    console.log = consoleLog;
+                    throw error;
+                }
+            );
+        });
+    });
+
+    describe('account data', () => {
+        beforeEach(() => degiro.login());
+
+        it('getCashFunds flattens the rows', () =>
+            degiro.getCashFunds().then(({cashFunds}) => {
+                assert.deepStrictEqual(cashFunds[0], {id: 2, value: 1935.8});
+                assert.strictEqual(cashFunds.length, 2);
+            }));
+
+        it('getPortfolio returns the raw positions', () =>
+            degiro.getPortfolio().then(({portfolio}) => {
+                assert.strictEqual(portfolio.length, 2);
+                assert.strictEqual(portfolio[0].name, 'positionrow');
+                assert.deepStrictEqual(portfolio[0].value.find(({name}) => name === 'size').value, 10);
+            }));
+
+        it('getOrders splits open, cancelled and completed orders', () =>
+            degiro.getOrders().then(({openOrders, cancelledOrders, completedOrders}) => {
+                assert.strictEqual(openOrders[0].id, 'order-a');
+                assert.ok(openOrders[0].date instanceof Date);
+                assert.strictEqual(cancelledOrders[0].id, 'order-b');
+                assert.strictEqual(cancelledOrders[0].date.getUTCMonth(), 0);
+                assert.ok(cancelledOrders[0].date <= new Date());
+                assert.deepStrictEqual(completedOrders, []);
+            }));
+
+        it('getOrders rejects unknown date formats', () => {
+            server.state.historicalOrders[0].date = 'yesterday';
+            return degiro.getOrders().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.MalformedResponseError);
+                    assert.strictEqual(error.operation, 'getOrders');
+                }
+            );
+        });
+
+        it('getTasks returns the client tasks', () =>
+            degiro.getTasks().then(({data}) => assert.deepStrictEqual(data, [{id: 1, type: 'kyc'}])));
+
+        it('getClientInfo updates the session', () =>
+            degiro.getClientInfo().then(data => {
+                assert.strictEqual(data.intAccount, 1234567);
+                assert.strictEqual(degiro.session.clientInfo, data);
+            }));
+    });
+
+    describe('reporting', () => {
+        beforeEach(() => degiro.login());
+
+        it('getTransactions returns transactions within the range', () =>
+            degiro.getTransactions('01/01/2020', '31/01/2020', false).then(({data}) => {
+                assert.deepStrictEqual(data.map(({id}) => id), [1]);
+                assert.strictEqual(data[0].date.toISOString(), '2020-01-02T09:00:00.000Z');
+                const {query} = server.requests[server.requests.length - 1];
+                assert.strictEqual(query.groupTransactionsByOrder, 'false');
+            }));
+
+        it('getOrdersHistory returns the order history', () =>
+            degiro.getOrdersHistory('01/01/2020', '31/12/2020').then(({data}) => {
+                assert.strictEqual(data[0].orderId, 'order-c');
+                assert.ok(data[0].created instanceof Date);
+            }));
+
+        it('getPortfolioMovements returns the cash movements', () =>
+            degiro.getPortfolioMovements('01/01/2020', '31/12/2020').then(({data}) => {
+                assert.strictEqual(data.cashMovements[0].description, 'Deposit');
+                assert.strictEqual(data.cashMovements[0].date.toISOString(), '2020-02-02T23:00:00.000Z');
+            }));
+    });
+
+    describe('products', () => {
+        beforeEach(() => degiro.login());
+
+        it('searchProduct filters by text and type', () =>
+            Promise.all([
+                degiro.searchProduct({text: 'goog'}),
+                degiro.searchProduct({text: 'v', productType: DeGiro.ProductTypes.shares}),
+            ]).then(([byText, byType]) => {
+                assert.deepStrictEqual(byText.products.map(({id}) => id), ['8066561']);
+                assert.deepStrictEqual(byType.products, []);
+            }));
+
+        it('getProductsByIds accepts a single id or a list', () =>
+            Promise.all([degiro.getProductsByIds(8066561), degiro.getProductsByIds(['8066561', '4586985'])]).then(
+                ([one, both]) => {
+                    assert.deepStrictEqual(Object.keys(one.data), ['8066561']);
+                    assert.strictEqual(Object.keys(both.data).length, 2);
+                }
+            ));
+
+        it('getAskBidPrice reads the quotecast values', () =>
+            degiro.getAskBidPrice('350009261').then(prices => {
+                assert.deepStrictEqual(prices, {
+                    bidPrice: 1500.5,
+                    askPrice: 1501,
+                    lastPrice: 1500.75,
+                    lastTime: '15:59:59',
+                });
+            }));
+    });
+
+    describe('orders', () => {
+        beforeEach(() => degiro.login());
+
+        it('setOrder checks and confirms the order', () =>
+            degiro
+                .setOrder({
+                    buySell: DeGiro.Actions.buy,
+                    orderType: DeGiro.OrderTypes.limited,
+                    productId: '8066561',
+                    size: 1,
+                    price: 1400,
+                })
+                .then(({orderId}) => {
+                    assert.ok(orderId);
+                    assert.ok(server.state.orders.some(order => order.id === orderId));
+                    const [check, confirm] = server.requests.slice(-2).map(({path}) => path.split(';')[0]);
+                    assert.strictEqual(check, '/trading/secure/v5/checkOrder');
+                    assert.ok(confirm.startsWith('/trading/secure/v5/order/confirmation-'));
+                }));
+
+        it('setOrder rejects with all the business errors', () =>
+            degiro.setOrder({buySell: DeGiro.Actions.buy, productId: 'nope', size: 1, validate: false}).then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.BusinessError);
+                    assert.strictEqual(error.operation, 'checkOrder');
+                    assert.deepStrictEqual(error.errors, [{text: 'Product not found'}]);
+                    assert.strictEqual(error.message, 'Business: Product not found');
+                }
+            ));
+
+        it('setOrder validates the order before sending it', () =>
+            degiro
+                .setOrder({
+                    buySell: DeGiro.Actions.buy,
+                    orderType: DeGiro.OrderTypes.stopLimited,
+                    productId: '8066561',
+                    size: -1,
+                    price: 10,
+                })
+                .then(
+                    () => assert.fail('should reject'),
+                    error => {
+                        assert.ok(error instanceof DeGiro.OrderValidationError);
+                        assert.deepStrictEqual(error.errors.map(({field}) => field), ['size', 'stopPrice']);
+                        assert.strictEqual(server.requests.length, 3);
+                    }
+                ));
+
+        it('setOrder checks the product accepts the order', () => {
+            server.state.products[0].marketAllowed = false;
+            return degiro
+                .setOrder({
+                    buySell: DeGiro.Actions.sell,
+                    orderType: DeGiro.OrderTypes.marketOrder,
+                    productId: '8066561',
+                    size: 1,
+                })
+                .then(
+                    () => assert.fail('should reject'),
+                    error => {
+                        assert.ok(error instanceof DeGiro.OrderValidationError);
+                        assert.deepStrictEqual(error.errors, [
+                            {field: 'orderType', text: 'market orders are not allowed for this product'},
+                        ]);
+                        assert.ok(!server.requests.some(({path}) => path.includes('checkOrder')));
+                    }
+                );
+        });
+
+        it('setOrder only checks the order on dry runs', () =>
+            degiro
+                .setOrder({
+                    buySell: DeGiro.Actions.buy,
+                    orderType: DeGiro.OrderTypes.limited,
+                    productId: '8066561',
+                    size: 1,
+                    price: 1400,
+                    dryRun: true,
+                })
+                .then(result => {
+                    assert.ok(result.confirmationId);
+                    assert.strictEqual(result.freeSpaceNew, 10000);
+                    assert.deepStrictEqual(result.transactionFees, [{id: 2, amount: 0.5, currency: 'EUR'}]);
+                    assert.strictEqual(result.order.price, 1400);
+                    assert.ok(!server.requests.some(({path}) => path.includes('/v5/order/')));
+                    assert.strictEqual(server.state.orders.length, 1);
+                }));
+
+        it('updateOrder changes the given fields of an open order', () =>
+            degiro.updateOrder('order-a', {price: 1450, size: 2}).then(order => {
+                assert.strictEqual(order.price, 1450);
+                assert.strictEqual(order.size, 2);
+                const {method, path, body} = server.requests.find(({method}) => method === 'PUT');
+                assert.strictEqual(path.split(';')[0], '/trading/secure/v5/order/order-a');
+                assert.deepStrictEqual(body, {
+                    buySell: 'BUY',
+                    orderType: 0,
+                    productId: '8066561',
+                    size: 2,
+                    timeType: 3,
+                    price: 1450,
+                    stopPrice: 0,
+                });
+                assert.strictEqual(method, 'PUT');
+            }));
+
+        it('updateOrder rejects orders which are not open', () =>
+            degiro.updateOrder('order-b', {price: 10}).then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.BusinessError);
+                    assert.strictEqual(error.message, 'Business: Order order-b is not open');
+                    assert.ok(!server.requests.some(({method}) => method === 'PUT'));
+                }
+            ));
+
+        it('updateOrder validates the updated order', () =>
+            Promise.all([
+                degiro.updateOrder('order-a', {size: -5}).catch(error => error),
+                degiro.updateOrder('order-a', {price: 0.123456}).catch(error => error),
+            ]).then(errors => {
+                errors.forEach(error => {
+                    assert.ok(error instanceof DeGiro.OrderValidationError);
+                    assert.strictEqual(error.operation, 'updateOrder');
+                });
+                assert.deepStrictEqual(errors.map(({errors}) => errors.map(({field}) => field)), [['size'], ['price']]);
+                assert.ok(!server.requests.some(({method}) => method === 'PUT'));
+            }));
+
+        it('deleteOrder cancels an open order', () =>
+            degiro.deleteOrder('order-a').then(() => {
+                assert.deepStrictEqual(server.state.orders, []);
+                assert.strictEqual(server.state.historicalOrders.length, 2);
+            }));
+    });
+
+    describe('errors', () => {
+        beforeEach(() => {
+            // without retries, so failures surface
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {retries: 0}));
+            return degiro.login();
+        });
+
+        it('throws a RateLimitError on 429', () => {
+            server.failNext(429, '', {'Retry-After': '5'});
+            return degiro.getPortfolio().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.RateLimitError);
+                    assert.strictEqual(error.retryAfter, 5);
+                    assert.strictEqual(error.operation, 'getPortfolio');
+                }
+            );
+        });
+
+        it('throws a MalformedResponseError on non JSON bodies', () => {
+            server.failNext(200, '<html></html>', {'Content-Type': 'text/html'});
+            return degiro.getTasks().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.MalformedResponseError);
+                    assert.strictEqual(error.payload, '<html></html>');
+                }
+            );
+        });
+
+        it('throws a TechnicalError on other failures', () => {
+            server.failNext(503, '');
+            return degiro.getTasks().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.TechnicalError);
+                    assert.strictEqual(error.status, 503);
+                }
+            );
+        });
+
+        it('throws a NetworkError when there is no response', () => {
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {baseUrl: 'http://127.0.0.1:1'}));
+            return degiro.login().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.NetworkError);
+                    assert.strictEqual(error.code, 'ECONNREFUSED');
+                }
+            );
+        });
+    });
+
+    describe('session expiry', () => {
+        beforeEach(() => degiro.login());
+
+        it('logs in again once and replays the requests', () => {
+            const previousId = degiro.session.id;
+            server.expireSessions();
+            return Promise.all([degiro.getPortfolio(), degiro.getCashFunds(), degiro.getTasks()]).then(() => {
+                const logins = server.requests.filter(({path}) => path === '/login/secure/login');
+                assert.strictEqual(logins.length, 2);
+                assert.notStrictEqual(degiro.session.id, previousId);
+            });
+        });
+
+        it('does not replay order confirmations', () => {
+            // expire the session between checking and confirming the order
+            const expiring = (url, options) => {
+                if (url.includes('/v5/order/')) {
+                    server.expireSessions();
+                }
+                return fetch(url, options);
+            };
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {fetch: expiring}));
+            return degiro
+                .login()
+                .then(() => degiro.setOrder({
+                    buySell: DeGiro.Actions.buy,
+                    orderType: DeGiro.OrderTypes.marketOrder,
+                    productId: '8066561',
+                    size: 1,
+                }))
+                .then(() => assert.fail('should reject'), error => error)
+                .then(error => {
+                    assert.ok(error instanceof DeGiro.SessionExpiredError);
+                    assert.strictEqual(error.operation, 'confirmOrder');
+                    assert.strictEqual(server.state.orders.length, 1);
+                    const confirmations = server.requests.filter(({path}) => path.includes('/v5/order/'));
+                    assert.strictEqual(confirmations.length, 1);
+                });
+        });
+
+        it('does not log in again when disabled', () => {
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {autoRelogin: false}));
+            return degiro
+                .login()
+                .then(() => {
+                    server.expireSessions();
+                    return degiro.getTasks();
+                })
+                .then(
+                    () => assert.fail('should reject'),
+                    error => assert.ok(error instanceof DeGiro.SessionExpiredError)
+                );
+        });
+    });
+
+    describe('session store', () => {
+        it('saves the session after login and restores it on create', () => {
+            const sessionStore = DeGiro.createMemorySessionStore();
+            const first = DeGiro.create(Object.assign(server.clientOptions(), {sessionStore}));
+            return first
+                .login()
+                .then(() => {
+                    const second = DeGiro.create(Object.assign(server.clientOptions(), {sessionStore}));
+                    return second.getTasks().then(() => second);
+                })
+                .then(second => {
+                    assert.strictEqual(second.session.id, first.session.id);
+                    const logins = server.requests.filter(({path}) => path === '/login/secure/login');
+                    assert.strictEqual(logins.length, 1);
+                });
+        });
+
+        it('keeps a restored session alive', () => {
+            const sessionStore = DeGiro.createMemorySessionStore();
+            const pings = () => server.requests.filter(({path}) => path === '/pa/secure/client').length;
+            let second;
+            return DeGiro.create(Object.assign(server.clientOptions(), {sessionStore}))
+                .login()
+                .then(() => {
+                    const options = {sessionStore, keepAliveInterval: 10};
+                    second = DeGiro.create(Object.assign(server.clientOptions(), options));
+                    return second.restoreSession();
+                })
+                .then(restored => {
+                    assert.strictEqual(restored, true);
+                    const before = pings();
+                    return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+                        second.stopKeepAlive();
+                        assert.ok(pings() > before);
+                    });
+                });
+        });
+    });
+
+    describe('retries', () => {
+        beforeEach(() => {
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {retryDelay: 1}));
+            return degiro.login();
+        });
+
+        it('retries requests failing with 5xx', () => {
+            server.failNext(503, '');
+            server.failNext(502, '');
+            return degiro.getTasks().then(({data}) => {
+                assert.deepStrictEqual(data, [{id: 1, type: 'kyc'}]);
+                assert.strictEqual(server.requests.filter(({path}) => path === '/pa/secure/clienttasks').length, 3);
+            });
+        });
+
+        it('does not retry orders', () => {
+            server.failNext(503, '');
+            return degiro.deleteOrder('order-a').then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.TechnicalError);
+                    assert.strictEqual(server.requests.filter(({method}) => method === 'DELETE').length, 1);
+                }
+            );
+        });
+    });
+
+    describe('transport', () => {
+        it('uses the given fetch implementation', () => {
+            const urls = [];
+            const spy = (url, options) => {
+                urls.push(url);
+                return fetch(url, options);
+            };
+            degiro = DeGiro.create(Object.assign(server.clientOptions(), {fetch: spy}));
+            return degiro.login().then(() => {
+                assert.ok(urls.length >= 3);
+                assert.ok(urls.every(url => url.startsWith(server.url)));
+            });
+        });
+    });
+});
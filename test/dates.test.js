@@ -0,0 +1,74 @@
+const assert = require('assert');
+const {getZonedParts, fromZonedParts, parseDate, parseDateFields} = require('../src/dates');
+
+const iso = date => date.toISOString();
+
+describe('dates', () => {
+    describe('getZonedParts / fromZonedParts', () => {
+        it('converts between instants and Amsterdam wall clock time', () => {
+            assert.deepStrictEqual(getZonedParts(new Date('2020-07-01T22:30:00Z')), {
+                year: 2020,
+                month: 7,
+                day: 2,
+                hour: 0,
+                minute: 30,
+                second: 0,
+            });
+            const winter = fromZonedParts({year: 2020, month: 1, day: 2, hour: 9});
+            const summer = fromZonedParts({year: 2020, month: 7, day: 2, hour: 9});
+            assert.strictEqual(iso(winter), '2020-01-02T08:00:00.000Z');
+            assert.strictEqual(iso(summer), '2020-07-02T07:00:00.000Z');
+        });
+
+        it('handles daylight saving changes', () => {
+            // 29/03/2020 02:00 CET -> 03:00 CEST, 25/10/2020 03:00 CEST -> 02:00 CET
+            const at = (month, day, hour) => iso(fromZonedParts({year: 2020, month, day, hour}));
+            assert.strictEqual(at(3, 29, 1), '2020-03-29T00:00:00.000Z');
+            assert.strictEqual(at(3, 29, 4), '2020-03-29T02:00:00.000Z');
+            assert.strictEqual(at(10, 25, 4), '2020-10-25T03:00:00.000Z');
+        });
+    });
+
+    describe('parseDate', () => {
+        it('resolves HH:mm to today in Amsterdam', () => {
+            const now = new Date('2020-07-01T23:30:00Z'); // 02/07 01:30 in Amsterdam
+            assert.strictEqual(iso(parseDate('09:30', now)), '2020-07-02T07:30:00.000Z');
+            assert.strictEqual(iso(parseDate('17:05:10', now)), '2020-07-02T15:05:10.000Z');
+        });
+
+        it('resolves dd/MM to the current year', () => {
+            const now = new Date('2020-07-02T10:00:00Z');
+            assert.strictEqual(iso(parseDate('15/01', now)), '2020-01-14T23:00:00.000Z');
+            assert.strictEqual(iso(parseDate('02/07', now)), '2020-07-01T22:00:00.000Z');
+        });
+
+        it('resolves dd/MM after today to the previous year', () => {
+            const now = new Date('2021-01-05T10:00:00Z');
+            assert.strictEqual(iso(parseDate('28/12', now)), '2020-12-27T23:00:00.000Z');
+            assert.strictEqual(iso(parseDate('06/01', now)), '2020-01-05T23:00:00.000Z');
+        });
+
+        it('parses full dates and ISO strings', () => {
+            assert.strictEqual(iso(parseDate('02/01/2020')), '2020-01-01T23:00:00.000Z');
+            assert.strictEqual(iso(parseDate('2020-01-02T10:00:00+01:00')), '2020-01-02T09:00:00.000Z');
+            assert.strictEqual(iso(parseDate('2020-01-02T10:00:00Z')), '2020-01-02T10:00:00.000Z');
+            assert.strictEqual(iso(parseDate('2020-07-02T10:00:00')), '2020-07-02T08:00:00.000Z');
+            assert.strictEqual(iso(parseDate('2020-07-02')), '2020-07-01T22:00:00.000Z');
+        });
+
+        it('rejects unknown formats', () => {
+            assert.throws(() => parseDate('yesterday'), /Unexpected date format: yesterday/);
+        });
+    });
+
+    describe('parseDateFields', () => {
+        it('parses the given fields of a copy', () => {
+            const item = {date: '2020-01-02T10:00:00+01:00', valueDate: '', description: '10:00'};
+            const result = parseDateFields(item, ['date', 'valueDate', 'missing']);
+            assert.strictEqual(iso(result.date), '2020-01-02T09:00:00.000Z');
+            assert.strictEqual(result.valueDate, '');
+            assert.strictEqual(result.description, '10:00');
+            assert.strictEqual(item.date, '2020-01-02T10:00:00+01:00');
+        });
+    });
+});
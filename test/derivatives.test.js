@@ -0,0 +1,128 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {readOptionType, listFutures, buildOptionChain, searchAll} = require('../src/derivatives');
+const {account} = require('./fixtures');
+
+const AEX = 'NL0000000107';
+
+const option = (id, putCall, strikePrice, expirationDate) => ({
+    id,
+    name: `AEX ${putCall}${strikePrice} ${expirationDate}`,
+    productTypeId: 8,
+    exchangeId: '520',
+    underlyingIsin: AEX,
+    vwdId: `v${id}`,
+    putCall,
+    strikePrice,
+    expirationDate,
+    contractSize: 100,
+    currency: 'EUR',
+});
+
+const options = [
+    option('2001', 'C', 700, '18-3-2022'),
+    option('2002', 'P', 700, '18-3-2022'),
+    option('2003', 'C', 650, '18-3-2022'),
+    option('2004', 'P', 650, '17-12-2021'),
+    // without expiry: left out
+    option('2005', 'P', 600, ''),
+];
+
+const futures = [
+    {id: '1002', name: 'AEX Mar 2022', productTypeId: 7, underlyingIsin: AEX, expirationDate: '18-03-2022',
+        contractSize: 200},
+    {id: '1001', name: 'AEX Dec 2021', productTypeId: 7, underlyingIsin: AEX, expirationDate: '17-12-2021',
+        contractSize: 200},
+];
+
+describe('derivatives', () => {
+    describe('readOptionType', () => {
+        it('reads the type from the putCall field or the name', () => {
+            assert.strictEqual(readOptionType({putCall: 'PUT'}), 'put');
+            assert.strictEqual(readOptionType({name: 'ASML C500.00 17DEC21'}), 'call');
+            assert.strictEqual(readOptionType({name: 'ASML NV'}), undefined);
+        });
+    });
+
+    describe('listFutures', () => {
+        it('sorts futures by expiry', () => {
+            assert.deepStrictEqual(listFutures(futures).map(({id, expiry}) => [id, expiry]), [
+                ['1001', '2021-12-17'],
+                ['1002', '2022-03-18'],
+            ]);
+        });
+    });
+
+    describe('buildOptionChain', () => {
+        it('groups calls and puts by expiry and strike', () => {
+            const chain = buildOptionChain(options);
+            assert.deepStrictEqual(chain.map(({expiry}) => expiry), ['2021-12-17', '2022-03-18']);
+            assert.deepStrictEqual(chain[0].strikes.map(({strike, call, put}) => [strike, !!call, put.id]), [
+                [650, false, '2004'],
+            ]);
+            const [low, high] = chain[1].strikes;
+            assert.deepStrictEqual([low.strike, low.call.id, low.put], [650, '2003', null]);
+            assert.deepStrictEqual([high.strike, high.call.id, high.put.id], [700, '2001', '2002']);
+            assert.strictEqual(high.call.vwdId, 'v2001');
+            assert.strictEqual(high.call.type, 'call');
+        });
+
+        it('reads the strike from the name when needed', () => {
+            const product = {id: '1', name: 'ASML C500,50 17DEC21', expirationDate: '17-12-2021'};
+            const [{strikes}] = buildOptionChain([product]);
+            assert.strictEqual(strikes[0].strike, 500.5);
+        });
+    });
+
+    describe('searchAll', () => {
+        it('loads every page', () => {
+            const calls = [];
+            const search = ({limit, offset}) => {
+                calls.push(offset);
+                return Promise.resolve({total: 5, products: options.slice(offset, offset + limit)});
+            };
+            return searchAll(search, {underlyingIsin: AEX}, 2).then(products => {
+                assert.strictEqual(products.length, 5);
+                assert.deepStrictEqual(calls, [0, 2, 4]);
+            });
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            const serverOptions = account();
+            serverOptions.products = serverOptions.products.concat(options, futures);
+            server = createMockServer(serverOptions);
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('lists the futures of an underlying', () =>
+            degiro.getFutures({underlyingIsin: AEX}).then(listed => {
+                assert.deepStrictEqual(listed.map(({id}) => id), ['1001', '1002']);
+                assert.strictEqual(listed[0].contractSize, 200);
+            }));
+
+        it('gets the option chain of an expiry', () =>
+            degiro.getOptionChain({underlyingIsin: AEX, expiry: '2022-03'}).then(chain => {
+                assert.strictEqual(chain.length, 1);
+                assert.deepStrictEqual(chain[0].strikes.map(({strike}) => strike), [650, 700]);
+                const request = server.requests.find(({path}) => path.endsWith('/v5/options'));
+                assert.strictEqual(request.query.limit, '100');
+            }));
+
+        it('requires an underlying', () =>
+            degiro.getOptionChain({}).then(
+                () => assert.fail('should reject'),
+                error => assert.strictEqual(error.message, 'underlyingIsin is required')
+            ));
+    });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const {Writable} = require('stream');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {account} = require('./fixtures');
+
+/**
+ * Writable collecting what is written, slow to drain to exercise the backpressure
+ */
+const collector = () => {
+    const chunks = [];
+    const writable = new Writable({
+        highWaterMark: 16,
+        write: (chunk, encoding, callback) => {
+            chunks.push(chunk.toString());
+            setImmediate(callback);
+        },
+    });
+    writable.text = () => chunks.join('');
+    return writable;
+};
+
+const transactions = [
+    {id: 1, date: new Date('2020-01-02T09:00:00Z'), productId: 8066561, buysell: 'B', quantity: 10, price: 1300.5},
+    {id: 2, date: new Date('2020-03-02T09:00:00Z'), productId: 4586985, buysell: 'S', quantity: -5, price: 80,
+        extra: 'ignored'},
+];
+
+describe('export', () => {
+    describe('exportCsv', () => {
+        it('writes the columns of the type', () => {
+            const writable = collector();
+            return DeGiro.exportCsv(transactions, writable, {type: 'transactions'}).then(count => {
+                assert.strictEqual(count, 2);
+                assert.strictEqual(
+                    writable.text(),
+                    [
+                        DeGiro.ExportColumns.transactions.join(','),
+                        '1,2020-01-02T09:00:00.000Z,,8066561,B,10,1300.5,,,,,',
+                        '2,2020-03-02T09:00:00.000Z,,4586985,S,-5,80,,,,,',
+                        '',
+                    ].join('\n')
+                );
+            });
+        });
+
+        it('uses the delimiter and decimal separator, quoting when needed', () => {
+            const writable = collector();
+            const items = [{price: 1300.5, description: 'Buy; "limit"', size: 3}];
+            const options = {columns: ['description', 'price', 'size'], delimiter: ';', decimalSeparator: ','};
+            return DeGiro.exportCsv(items, writable, Object.assign({header: false}, options)).then(() => {
+                assert.strictEqual(writable.text(), '"Buy; ""limit""";1300,5;3\n');
+            });
+        });
+
+        it('rejects unknown types', () => {
+            assert.throws(() => DeGiro.exportCsv([], collector(), {type: 'nope'}), /Unknown export type: nope/);
+        });
+    });
+
+    describe('exportJsonLines', () => {
+        it('writes one object per line with every column', () => {
+            const writable = collector();
+            return DeGiro.exportJsonLines(transactions, writable, {columns: ['id', 'date', 'orderId']}).then(() => {
+                assert.deepStrictEqual(writable.text().split('\n'), [
+                    '{"id":1,"date":"2020-01-02T09:00:00.000Z","orderId":null}',
+                    '{"id":2,"date":"2020-03-02T09:00:00.000Z","orderId":null}',
+                    '',
+                ]);
+            });
+        });
+
+        it('reads async iterables and ends the stream when asked', () => {
+            const writable = collector();
+            const items = transactions.slice();
+            const iterable = {
+                [Symbol.asyncIterator]: () => ({
+                    next: () => Promise.resolve(items.length ? {value: items.shift(), done: false} : {done: true}),
+                }),
+            };
+            let finished = false;
+            writable.on('finish', () => {
+                finished = true;
+            });
+            return DeGiro.exportJsonLines(iterable, writable, {type: 'transactions', end: true}).then(count => {
+                assert.strictEqual(count, 2);
+                assert.ok(finished);
+                assert.strictEqual(JSON.parse(writable.text().split('\n')[1]).quantity, -5);
+            });
+        });
+    });
+
+    describe('account data', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('exports the cash funds with their currency', () => {
+            const writable = collector();
+            return degiro
+                .getCashFundRows()
+                .then(rows => DeGiro.exportCsv(rows, writable, {type: 'cashFunds'}))
+                .then(() => {
+                    const lines = ['id,currencyCode,value', '2,EUR,1935.8', '9885,USD,0', ''];
+                    assert.strictEqual(writable.text(), lines.join('\n'));
+                });
+        });
+
+        it('exports every column of the open orders', () => {
+            const writable = collector();
+            return degiro
+                .getOrders()
+                .then(({openOrders}) => DeGiro.exportCsv(openOrders, writable, {type: 'orders'}))
+                .then(() => {
+                    const [header, line] = writable.text().split('\n');
+                    assert.strictEqual(header, DeGiro.ExportColumns.orders.join(','));
+                    const cells = line.split(',');
+                    assert.ok(cells.every(cell => cell !== ''), line);
+                    const fields = ['id', 'productId', 'size', 'quantity', 'price'];
+                    const values = fields.map(field => cells[DeGiro.ExportColumns.orders.indexOf(field)]);
+                    assert.deepStrictEqual(values, ['order-a', '8066561', '1', '0', '1400']);
+                });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const products = [
+    {
+        id: '8066561',
+        name: 'ALPHABET INC. - CLASS',
+        isin: 'US02079K3059',
+        symbol: 'GOOGL',
+        productTypeId: 1,
+        productType: 'STOCK',
+        currency: 'USD',
+        exchangeId: '663',
+        vwdId: '350009261',
+        tradable: true,
+    },
+    {
+        id: '4586985',
+        name: 'VANGUARD FTSE ALL-WORLD UCITS ETF',
+        isin: 'IE00B3RBWM25',
+        symbol: 'VWRL',
+        productTypeId: 131,
+        productType: 'ETF',
+        currency: 'EUR',
+        exchangeId: '200',
+        vwdId: '360114899',
+        tradable: true,
+    },
+];
+
+/**
+ * Mock server options with a small account
+ *
+ * @return {Object}
+ */
+const account = () => ({
+    products: products.map(product => Object.assign({}, product)),
+    portfolio: [
+        {id: '8066561', positionType: 'PRODUCT', size: 10, price: 1500, value: 15000, breakEvenPrice: 1300},
+        {id: 'EUR', positionType: 'CASH', size: 1935.8, price: 1, value: 1935.8},
+    ],
+    cashFunds: [
+        {id: 2, currencyCode: 'EUR', value: 1935.8, handling: null},
+        {id: 9885, currencyCode: 'USD', value: 0, handling: null},
+    ],
+    orders: [
+        {
+            id: 'order-a',
+            date: '09:30',
+            productId: 8066561,
+            product: 'ALPHABET INC. - CLASS',
+            buysell: 'B',
+            size: 1,
+            quantity: 0,
+            price: 1400,
+            stopPrice: 0,
+            orderTypeId: 0,
+            orderTimeTypeId: 3,
+            isModifiable: true,
+            isDeletable: true,
+        },
+    ],
+    historicalOrders: [{id: 'order-b', date: '15/01', productId: 4586985, buysell: 'S', size: 2}],
+    transactions: [],
+    tasks: [{id: 1, type: 'kyc'}],
+    reports: {
+        orderHistory: [{orderId: 'order-c', created: '2020-01-02T10:00:00+01:00', productId: 8066561}],
+        transactions: [
+            {id: 1, productId: 8066561, date: '2020-01-02T10:00:00+01:00', buysell: 'B', quantity: 10, price: 1300},
+            {id: 2, productId: 4586985, date: '2020-03-02T10:00:00+01:00', buysell: 'B', quantity: 5, price: 80},
+        ],
+        cashMovements: [{date: '2020-02-03T00:00:00+01:00', description: 'Deposit', currency: 'EUR', change: 1000}],
+    },
+    charts: {
+        '350009261': {
+            start: '2020-01-30T00:00:00',
+            resolution: 'P1D',
+            candles: [[1400, 1420, 1390, 1410, 1000], [1410, 1450, 1405, 1440, 1500], [1440, 1445, 1400, 1402, 900]],
+        },
+    },
+    quotes: {
+        '350009261': {BidPrice: 1500.5, AskPrice: 1501, LastPrice: 1500.75, LastTime: '15:59:59'},
+        '360114899': {BidPrice: 85.1, AskPrice: 85.2, LastPrice: 85.16, LastTime: '15:59:58'},
+    },
+});
+
+module.exports = {
+    products,
+    account,
+};
@@ -0,0 +1,212 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {createGuardRails} = require('../src/guard-rails');
+const {Actions, OrderTypes, TimeTypes} = require('../src/constants');
+const {BusinessError, NetworkError} = require('../src/errors');
+const {account} = require('./fixtures');
+
+const VWRL = '4586985';
+
+const order = fields =>
+    Object.assign(
+        {buySell: Actions.buy, orderType: OrderTypes.limited, productId: VWRL, size: 10, timeType: TimeTypes.day},
+        fields
+    );
+
+/**
+ * Resolves to the rule of the RiskLimitError the promise rejects with
+ */
+const ruleOf = promise =>
+    promise.then(
+        () => assert.fail('should reject'),
+        error => {
+            assert.ok(error instanceof DeGiro.RiskLimitError);
+            return error.rule;
+        }
+    );
+
+describe('guard rails', () => {
+    describe('createGuardRails', () => {
+        let time;
+        let confirmed;
+
+        const guard = limits =>
+            createGuardRails({
+                limits,
+                getQuote: () => Promise.resolve({bidPrice: 85.1, askPrice: 85.2, lastPrice: 85.16}),
+                getPortfolio: () => Promise.resolve({total: 10000, values: {[VWRL]: 1500}}),
+                getCurrency: productId => Promise.resolve(productId === VWRL ? 'EUR' : 'USD'),
+                now: () => time,
+            });
+
+        const confirm = () => {
+            confirmed++;
+            return Promise.resolve({orderId: 'order-' + confirmed});
+        };
+
+        beforeEach(() => {
+            time = new Date('2021-03-01T10:00:00Z');
+            confirmed = 0;
+        });
+
+        it('confirms the orders within the limits', () =>
+            guard({maxOrderSize: 10, maxOrderValue: 1000, priceBand: 0.05})
+                .enforce(order({price: 85}), confirm)
+                .then(result => assert.deepStrictEqual(result, {orderId: 'order-1'})));
+
+        it('names the rule an order breaks', () => {
+            const checks = [
+                [{killSwitch: true}, order({price: 85}), 'killSwitch'],
+                [{allowedProductIds: ['8066561']}, order({price: 85}), 'allowedProductIds'],
+                [{deniedProductIds: [4586985]}, order({price: 85}), 'deniedProductIds'],
+                [{maxOrderSize: 5}, order({price: 85}), 'maxOrderSize'],
+                [{maxOrderValue: 800}, order({price: 85}), 'maxOrderValue'],
+                [{maxOrderValue: 800}, order({orderType: OrderTypes.marketOrder}), 'maxOrderValue'],
+                [{priceBand: 0.05}, order({price: 95}), 'priceBand'],
+                [{maxDailyNotional: 500}, order({price: 85}), 'maxDailyNotional'],
+                [{maxPositionWeight: 0.2}, order({price: 85}), 'maxPositionWeight'],
+            ];
+            return Promise.all(checks.map(([limits, checked]) => ruleOf(guard(limits).enforce(checked, confirm)))).then(
+                rules => {
+                    assert.deepStrictEqual(rules, checks.map(([, , rule]) => rule));
+                    assert.strictEqual(confirmed, 0);
+                }
+            );
+        });
+
+        it('lets sells reduce a position over the maximum weight', () =>
+            guard({maxPositionWeight: 0.1}).enforce(order({buySell: Actions.sell, price: 85}), confirm));
+
+        it('counts the orders of the day', () => {
+            const guardRails = guard({maxDailyOrders: 2, maxDailyNotional: 2000});
+            return guardRails
+                .enforce(order({price: 85}), confirm)
+                .then(() =>
+                    guardRails.enforce(order({size: 1, price: 85}), () => Promise.reject(new BusinessError('rejected')))
+                )
+                .catch(error => assert.strictEqual(error.message, 'rejected'))
+                .then(() => guardRails.enforce(order({size: 11, price: 85}), confirm))
+                .then(() => {
+                    assert.deepStrictEqual(guardRails.getUsage(), {orders: 2, notional: 1785});
+                    return ruleOf(guardRails.enforce(order({size: 1, price: 85}), confirm));
+                })
+                .then(rule => {
+                    assert.strictEqual(rule, 'maxDailyOrders');
+                    time = new Date('2021-03-02T10:00:00Z');
+                    return guardRails.enforce(order({size: 1, price: 85}), confirm);
+                })
+                .then(() => assert.deepStrictEqual(guardRails.getUsage(), {orders: 1, notional: 85}));
+        });
+
+        it('keeps counting the orders whose confirmation timed out', () => {
+            const guardRails = guard({maxDailyOrders: 1});
+            const timedOut = new NetworkError('confirmOrder request timed out after 30000ms', {
+                cause: Object.assign(Error('Timed out'), {code: 'ETIMEDOUT'}),
+            });
+            return guardRails
+                .enforce(order({price: 85}), () => Promise.reject(timedOut))
+                .then(
+                    () => assert.fail('should reject'),
+                    error => {
+                        assert.strictEqual(error, timedOut);
+                        assert.deepStrictEqual(guardRails.getUsage(), {orders: 1, notional: 850});
+                        return ruleOf(guardRails.enforce(order({price: 85}), confirm));
+                    }
+                )
+                .then(rule => assert.strictEqual(rule, 'maxDailyOrders'));
+        });
+
+        it('rejects orders in another currency when limits are in the base currency', () => {
+            const usd = order({productId: '8066561', price: 85});
+            return Promise.all([
+                ruleOf(guard({maxDailyNotional: 5000}).enforce(usd, confirm)),
+                ruleOf(guard({maxPositionWeight: 0.5}).enforce(usd, confirm)),
+                guard({maxPositionWeight: 0.5}).enforce(Object.assign({}, usd, {buySell: Actions.sell}), confirm),
+                guard({maxOrderValue: 1000}).enforce(usd, confirm),
+            ]).then(([notionalRule, weightRule]) => {
+                assert.deepStrictEqual([notionalRule, weightRule], ['maxDailyNotional', 'maxPositionWeight']);
+                assert.strictEqual(confirmed, 2);
+            });
+        });
+
+        it('rejects orders it can not value without a quote', () => {
+            const guardRails = createGuardRails({
+                limits: {maxOrderValue: 1000},
+                getQuote: () => Promise.resolve(null),
+            });
+            return ruleOf(guardRails.enforce(order({orderType: OrderTypes.marketOrder}), confirm)).then(rule =>
+                assert.strictEqual(rule, 'maxOrderValue')
+            );
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                const options = {riskLimits: {maxOrderValue: 1000, priceBand: 0.05, maxPositionWeight: 0.5}};
+                degiro = DeGiro.create(Object.assign(server.clientOptions(), options));
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        const confirmations = () => server.requests.filter(({path}) => /\/v5\/order\/confirmation-/.test(path));
+
+        it('checks the limits before confirming orders', () =>
+            ruleOf(degiro.setOrder(order({price: 120})))
+                .then(rule => {
+                    assert.strictEqual(rule, 'priceBand');
+                    assert.strictEqual(confirmations().length, 0);
+                    return degiro.setOrder(order({price: 85.2}));
+                })
+                .then(({orderId}) => {
+                    assert.ok(orderId);
+                    assert.strictEqual(confirmations().length, 1);
+                }));
+
+        it('leaves dry runs alone and turns the kill switch on', () =>
+            degiro
+                .setOrder(order({size: 100, price: 85.2, dryRun: true}))
+                .then(({confirmationId}) => {
+                    assert.ok(confirmationId);
+                    degiro.guardRails.setLimits({killSwitch: true});
+                    return ruleOf(degiro.setOrder(order({size: 1, price: 85.2})));
+                })
+                .then(rule => {
+                    assert.strictEqual(rule, 'killSwitch');
+                    assert.strictEqual(degiro.guardRails.getLimits().killSwitch, true);
+                }));
+
+        it('checks the limits before updating orders', () => {
+            const updates = () => server.requests.filter(({method}) => method === 'PUT');
+            degiro.guardRails.setLimits({maxOrderSize: 5, maxOrderValue: null, maxPositionWeight: null});
+            server.setQuote('350009261', {BidPrice: 1399, AskPrice: 1401, LastPrice: 1400});
+            return ruleOf(degiro.updateOrder('order-a', {size: 10}))
+                .then(rule => {
+                    assert.strictEqual(rule, 'maxOrderSize');
+                    return ruleOf(degiro.updateOrder('order-a', {price: 1}));
+                })
+                .then(rule => {
+                    assert.strictEqual(rule, 'priceBand');
+                    degiro.guardRails.setLimits({killSwitch: true});
+                    return ruleOf(degiro.updateOrder('order-a', {price: 1400}));
+                })
+                .then(rule => {
+                    assert.strictEqual(rule, 'killSwitch');
+                    assert.strictEqual(updates().length, 0);
+                    degiro.guardRails.setLimits({killSwitch: false});
+                    return degiro.updateOrder('order-a', {size: 2, price: 1402});
+                })
+                .then(order => {
+                    assert.strictEqual(order.size, 2);
+                    assert.strictEqual(updates().length, 1);
+                });
+        });
+    });
+});
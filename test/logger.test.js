@@ -0,0 +1,186 @@
+const assert = require('assert');
+const net = require('net');
+const fetch = require('node-fetch');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {redact, createLogger} = require('../src/logger');
+const {account} = require('./fixtures');
+
+/**
+ * Logger keeping the records it is given
+ */
+const memoryLogger = () => {
+    const records = [];
+    const keep = record => records.push(record);
+    return {records, debug: keep, info: keep, warn: keep, error: keep};
+};
+
+describe('logger', () => {
+    describe('redact', () => {
+        it('hides session, account and credential parameters of urls', () => {
+            assert.strictEqual(
+                redact('https://trader/v5/update/1234567;jsessionid=ABC.1?intAccount=1234567&sessionId=ABC.1&x=1'),
+                'https://trader/v5/update/1234567;jsessionid=[REDACTED]?intAccount=[REDACTED]&sessionId=[REDACTED]&x=1'
+            );
+            assert.strictEqual(redact('Cookie: JSESSIONID=ABC.1; Path=/'), 'Cookie: JSESSIONID=[REDACTED]; Path=/');
+        });
+
+        it('hides secret fields of objects and JSON strings', () => {
+            assert.deepStrictEqual(redact({username: 'johndoe', nested: [{intAccount: 1, size: 2}]}), {
+                username: '[REDACTED]',
+                nested: [{intAccount: '[REDACTED]', size: 2}],
+            });
+            assert.strictEqual(
+                redact('{"password":"1234","userToken":7654321,"name":"x"}'),
+                '{"password":"[REDACTED]","userToken":"[REDACTED]","name":"x"}'
+            );
+        });
+
+        it('hides known secret values wherever they appear', () => {
+            assert.strictEqual(
+                redact('/v5/update/1234567;x and 12345678', ['1234567']),
+                '/v5/update/[REDACTED];x and 12345678'
+            );
+        });
+    });
+
+    describe('createLogger', () => {
+        it('writes the records of the level and above', () => {
+            const target = memoryLogger();
+            const logger = createLogger({logger: target, level: 'warn', secrets: () => ['s3cr3t']});
+            logger.info('hidden');
+            logger.warn('login with s3cr3t', {operation: 'login'});
+            assert.strictEqual(target.records.length, 1);
+            const [{time, level, message, operation}] = target.records;
+            assert.ok(time);
+            assert.deepStrictEqual([level, message, operation], ['warn', 'login with [REDACTED]', 'login']);
+        });
+
+        it('rejects unknown levels', () => {
+            assert.throws(() => createLogger({level: 'verbose'}), /Unknown log level: verbose/);
+        });
+    });
+
+    describe('client', () => {
+        let server;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen();
+        });
+
+        afterEach(() => server.close());
+
+        it('logs every request without secrets', () => {
+            const target = memoryLogger();
+            const degiro = DeGiro.create(Object.assign(server.clientOptions(), {logger: target, logLevel: 'debug'}));
+            return degiro
+                .login()
+                .then(() => Promise.all([degiro.getPortfolio(), degiro.getAskBidPrice('350009261')]))
+                .then(() => {
+                    const text = JSON.stringify(target.records);
+                    const {id, account, userToken} = degiro.session;
+                    [id, String(account), String(userToken), 'johndoe', 'vwd-'].forEach(secret =>
+                        assert.ok(!text.includes(secret), secret + ' is logged')
+                    );
+                    const response = target.records.find(
+                        ({level, operation}) => level === 'info' && operation === 'getPortfolio'
+                    );
+                    assert.deepStrictEqual(Object.keys(response).sort(), [
+                        'attempt',
+                        'duration',
+                        'level',
+                        'message',
+                        'method',
+                        'operation',
+                        'status',
+                        'time',
+                        'url',
+                    ]);
+                    assert.strictEqual(response.method, 'GET');
+                    assert.strictEqual(response.status, 200);
+                    assert.ok(response.url.includes('jsessionid=[REDACTED]'));
+                });
+        });
+
+        it('calls the request hooks', () => {
+            const events = [];
+            const degiro = DeGiro.create(
+                Object.assign(server.clientOptions(), {
+                    onRequest: event => events.push(['request', event.operation]),
+                    onResponse: ({operation, status, duration}) => {
+                        events.push(['response', operation, status, typeof duration]);
+                        throw Error('broken hook');
+                    },
+                })
+            );
+            return degiro.login().then(() => {
+                assert.deepStrictEqual(events.slice(0, 2), [
+                    ['request', 'login'],
+                    ['response', 'login', 200, 'number'],
+                ]);
+            });
+        });
+
+        it('calls the error hook when there is no response', () => {
+            const errors = [];
+            const degiro = DeGiro.create(
+                Object.assign(server.clientOptions(), {
+                    retries: 0,
+                    fetch: () => Promise.reject(Object.assign(Error('socket hang up'), {code: 'ECONNRESET'})),
+                    onError: ({operation, url, error}) => errors.push([operation, url, error.code]),
+                })
+            );
+            return degiro.login().then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.ok(error instanceof DeGiro.NetworkError);
+                    const url = `${server.clientOptions().baseUrl}/login/secure/login`;
+                    assert.deepStrictEqual(errors, [['login', url, 'ECONNRESET']]);
+                }
+            );
+        });
+
+        it('redacts the errors of dropped connections', () => {
+            // accepts the connections and drops them right away
+            const dropper = net.createServer(socket => socket.destroy());
+            const hookErrors = [];
+            let dropping = false;
+            let degiro;
+            return new Promise(resolve => dropper.listen(0, '127.0.0.1', resolve))
+                .then(() => {
+                    const {baseUrl} = server.clientOptions();
+                    const dropperUrl = `http://127.0.0.1:${dropper.address().port}`;
+                    degiro = DeGiro.create(
+                        Object.assign(server.clientOptions(), {
+                            retries: 0,
+                            fetch: (url, options) => fetch(dropping ? url.replace(baseUrl, dropperUrl) : url, options),
+                            onError: ({error}) => hookErrors.push(error),
+                        })
+                    );
+                    return degiro.login();
+                })
+                .then(() => {
+                    dropping = true;
+                    return degiro.getPortfolio();
+                })
+                .then(
+                    () => assert.fail('should reject'),
+                    error => {
+                        assert.ok(error instanceof DeGiro.NetworkError);
+                        assert.strictEqual(error.code, 'ECONNRESET');
+                        assert.strictEqual(hookErrors[0], error);
+                        const {id, account} = degiro.session;
+                        [error.message, error.stack, error.cause.message, error.cause.stack].forEach(text => {
+                            assert.ok(text.includes('jsessionid=[REDACTED]'), text);
+                            assert.ok(!text.includes(id) && !text.includes(String(account)), text);
+                        });
+                    }
+                )
+                .then(
+                    () => new Promise(resolve => dropper.close(resolve)),
+                    error => new Promise(resolve => dropper.close(resolve)).then(() => Promise.reject(error))
+                );
+        });
+    });
+});
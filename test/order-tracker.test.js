@@ -0,0 +1,110 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {formatReportDate} = require('../src/dates');
+const {account} = require('./fixtures');
+
+const order = {
+    buySell: DeGiro.Actions.buy,
+    orderType: DeGiro.OrderTypes.limited,
+    productId: '8066561',
+    size: 3,
+    price: 1400,
+};
+
+describe('order tracker', () => {
+    let server;
+    let degiro;
+
+    beforeEach(() => {
+        server = createMockServer(account());
+        return server.listen().then(() => {
+            degiro = DeGiro.create(server.clientOptions());
+            return degiro.login();
+        });
+    });
+
+    afterEach(() => server.close());
+
+    it('follows an order until it is filled', () => {
+        const statuses = [];
+        const onStatus = ({orderId, status}) => {
+            statuses.push(status);
+            if (status === 'open') {
+                server.fillOrder(orderId, 1390, 1);
+            } else if (status === 'partiallyFilled') {
+                server.fillOrder(orderId, 1396);
+            }
+        };
+        return degiro.placeAndTrack(order, {pollInterval: 5, onStatus}).then(result => {
+            assert.deepStrictEqual(statuses, ['open', 'partiallyFilled', 'filled']);
+            assert.strictEqual(result.status, 'filled');
+            assert.strictEqual(result.timedOut, false);
+            assert.strictEqual(result.order.id, result.orderId);
+            assert.deepStrictEqual(result.fills.map(({quantity, price}) => [quantity, price]), [[1, 1390], [2, 1396]]);
+            assert.strictEqual(result.filledQuantity, 3);
+            assert.strictEqual(result.averagePrice, 1394);
+            assert.strictEqual(result.fees, 1);
+        });
+    });
+
+    it('cancels the order on timeout when asked', () =>
+        degiro
+            .placeAndTrack(order, {
+                timeoutMs: 30,
+                pollInterval: 5,
+                cancelOnTimeout: true,
+                onStatus: ({orderId, status}) => status === 'open' && server.fillOrder(orderId, 1390, 1),
+            })
+            .then(result => {
+                assert.strictEqual(result.status, 'cancelled');
+                assert.strictEqual(result.timedOut, true);
+                assert.strictEqual(result.filledQuantity, 1);
+                assert.ok(server.requests.some(({method}) => method === 'DELETE'));
+            }));
+
+    it('leaves the order open on timeout by default', () =>
+        degiro.placeAndTrack(order, {timeoutMs: 20, pollInterval: 5}).then(result => {
+            assert.strictEqual(result.status, 'open');
+            assert.strictEqual(result.timedOut, true);
+            assert.strictEqual(server.state.orders.length, 2);
+            assert.ok(!server.requests.some(({method}) => method === 'DELETE'));
+        }));
+
+    it('looks for orders gone from the update in the reporting', () => {
+        const today = formatReportDate(new Date())
+            .split('/')
+            .reverse()
+            .join('-');
+        const onStatus = ({orderId, status}) => {
+            if (status === 'open') {
+                server.state.orders = server.state.orders.filter(({id}) => id !== orderId);
+                server.state.reports.transactions.push({
+                    id: 10,
+                    orderId,
+                    date: `${today}T12:00:00+01:00`,
+                    quantity: 3,
+                    price: 1399,
+                    totalFeesInBaseCurrency: -2,
+                });
+            }
+        };
+        return degiro.placeAndTrack(order, {pollInterval: 5, onStatus}).then(result => {
+            assert.strictEqual(result.status, 'filled');
+            assert.strictEqual(result.fees, 2);
+            assert.ok(result.fills[0].date instanceof Date);
+        });
+    });
+
+    it('rejects orders gone without fills', () => {
+        const onStatus = ({orderId, status}) => {
+            if (status === 'open') {
+                server.state.orders = server.state.orders.filter(({id}) => id !== orderId);
+            }
+        };
+        return degiro.placeAndTrack(order, {pollInterval: 5, onStatus}).then(result => {
+            assert.strictEqual(result.status, 'rejected');
+            assert.deepStrictEqual(result.fills, []);
+        });
+    });
+});
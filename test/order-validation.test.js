@@ -0,0 +1,83 @@
+const assert = require('assert');
+const {Actions, OrderTypes, TimeTypes} = require('../src/constants');
+const {validateOrder, validateProductOrder} = require('../src/order-validation');
+
+const order = changes =>
+    Object.assign(
+        {
+            buySell: Actions.buy,
+            orderType: OrderTypes.limited,
+            productId: '8066561',
+            size: 10,
+            timeType: TimeTypes.day,
+            price: 900,
+        },
+        changes
+    );
+
+const fields = problems => problems.map(({field}) => field);
+
+describe('order validation', () => {
+    describe('validateOrder', () => {
+        it('accepts valid orders', () => {
+            assert.deepStrictEqual(validateOrder(order()), []);
+            assert.deepStrictEqual(validateOrder(order({orderType: OrderTypes.marketOrder, price: undefined})), []);
+            assert.deepStrictEqual(validateOrder(order({orderType: OrderTypes.stopLimited, stopPrice: 850})), []);
+        });
+
+        it('rejects unknown constants', () => {
+            const problems = validateOrder(order({buySell: 'HOLD', orderType: 9, timeType: 2}));
+            assert.deepStrictEqual(fields(problems), ['buySell', 'orderType', 'timeType']);
+        });
+
+        it('requires a product id', () => {
+            assert.deepStrictEqual(fields(validateOrder(order({productId: ''}))), ['productId']);
+        });
+
+        it('requires positive integer sizes', () => {
+            [0, -1, 1.5, '10', undefined].forEach(size => {
+                assert.deepStrictEqual(fields(validateOrder(order({size}))), ['size']);
+            });
+        });
+
+        it('requires the prices of each order type', () => {
+            assert.deepStrictEqual(fields(validateOrder(order({price: undefined}))), ['price']);
+            assert.deepStrictEqual(fields(validateOrder(order({orderType: OrderTypes.stopLoss}))), ['stopPrice']);
+            assert.deepStrictEqual(fields(validateOrder(order({orderType: OrderTypes.stopLimited, price: null}))), [
+                'price',
+                'stopPrice',
+            ]);
+        });
+
+        it('rejects prices which are not positive or have too many decimals', () => {
+            assert.deepStrictEqual(fields(validateOrder(order({price: -5}))), ['price']);
+            assert.deepStrictEqual(fields(validateOrder(order({price: NaN}))), ['price']);
+            assert.deepStrictEqual(fields(validateOrder(order({price: 12.123456}))), ['price']);
+            assert.deepStrictEqual(validateOrder(order({price: 0.1 + 0.2})), []);
+        });
+    });
+
+    describe('validateProductOrder', () => {
+        const product = {id: '8066561', tradable: true, marketAllowed: true, gtcAllowed: true};
+
+        it('accepts orders the product allows', () => {
+            assert.deepStrictEqual(validateProductOrder(order(), product), []);
+        });
+
+        it('rejects missing and untradable products', () => {
+            assert.deepStrictEqual(validateProductOrder(order(), undefined), [
+                {field: 'productId', text: 'product 8066561 not found'},
+            ]);
+            assert.deepStrictEqual(fields(validateProductOrder(order(), {tradable: false})), ['productId']);
+        });
+
+        it('rejects order and time types the product does not allow', () => {
+            const restricted = {tradable: true, stoplossAllowed: false, gtcAllowed: false};
+            const problems = validateProductOrder(
+                order({orderType: OrderTypes.stopLoss, timeType: TimeTypes.permanent}),
+                restricted
+            );
+            assert.deepStrictEqual(fields(problems), ['orderType', 'timeType']);
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {computeFee, matchOrder, createPaperBroker} = require('../src/paper-trading');
+const {createFileStore} = require('../src/session-store');
+const {Actions, OrderTypes, TimeTypes} = require('../src/constants');
+const {account, products} = require('./fixtures');
+
+const VWRL = '4586985';
+
+const getProduct = id => Promise.resolve(products.find(product => product.id === id));
+
+const order = (buySell, orderType, fields) =>
+    Object.assign({buySell, orderType, productId: VWRL, size: 10, timeType: TimeTypes.permanent}, fields);
+
+/**
+ * Checks and confirms an order, as setOrder() does
+ */
+const place = (broker, fields) => broker.checkOrder(fields).then(broker.confirmOrder);
+
+describe('paper trading', () => {
+    describe('matchOrder', () => {
+        const quote = {bidPrice: 99, askPrice: 101, lastPrice: 100};
+
+        it('fills market and limit orders at the ask or bid price', () => {
+            assert.deepStrictEqual(matchOrder({buysell: 'B', orderTypeId: OrderTypes.marketOrder}, quote), {
+                price: 101,
+                triggered: false,
+            });
+            const limited = {orderTypeId: OrderTypes.limited};
+            assert.strictEqual(matchOrder(Object.assign({buysell: 'B', price: 100}, limited), quote).price, null);
+            assert.strictEqual(matchOrder(Object.assign({buysell: 'S', price: 98}, limited), quote).price, 99);
+        });
+
+        it('fills stop orders once their stop price is reached', () => {
+            const stopLoss = {buysell: 'S', orderTypeId: OrderTypes.stopLoss, stopPrice: 95};
+            assert.strictEqual(matchOrder(stopLoss, quote).price, null);
+            assert.deepStrictEqual(matchOrder(stopLoss, {bidPrice: 94, lastPrice: 94.5}), {price: 94, triggered: true});
+
+            const stopLimited = {buysell: 'S', orderTypeId: OrderTypes.stopLimited, stopPrice: 95, price: 94};
+            assert.deepStrictEqual(matchOrder(stopLimited, {bidPrice: 93, lastPrice: 93}), {
+                price: null,
+                triggered: true,
+            });
+            const triggered = Object.assign({stopTriggered: true}, stopLimited);
+            assert.strictEqual(matchOrder(triggered, {bidPrice: 94.5, lastPrice: 96}).price, 94.5);
+        });
+    });
+
+    describe('computeFee', () => {
+        it('computes fixed and proportional fees with limits', () => {
+            assert.strictEqual(computeFee(undefined, {value: 1000}), 0);
+            assert.strictEqual(computeFee({fixed: 2, rate: 0.001}, {value: 1000}), 3);
+            assert.strictEqual(computeFee({rate: 0.001, minimum: 5}, {value: 1000}), 5);
+            assert.strictEqual(computeFee(({size}) => size * 0.1, {size: 20, value: 1000}), 2);
+        });
+    });
+
+    describe('createPaperBroker', () => {
+        let time;
+        let broker;
+
+        beforeEach(() => {
+            time = new Date('2021-03-01T10:00:00Z');
+            broker = createPaperBroker({cash: {EUR: 1000}, fees: {fixed: 1}, getProduct, now: () => time});
+        });
+
+        it('fills orders against the fed quotes', () =>
+            broker
+                .setQuote(VWRL, {bidPrice: 84.9, askPrice: 85, lastPrice: 85})
+                .then(() => place(broker, order(Actions.buy, OrderTypes.marketOrder)))
+                .then(() => place(broker, order(Actions.sell, OrderTypes.limited, {size: 4, price: 90})))
+                .then(() => broker.getLedger())
+                .then(ledger => {
+                    assert.strictEqual(ledger.cash.EUR, 1000 - 850 - 1);
+                    assert.deepStrictEqual(ledger.positions.map(({id, size}) => [id, size]), [[VWRL, 10]]);
+                    assert.strictEqual(ledger.orders.length, 1);
+                    return broker.setQuote(VWRL, {bidPrice: 90.5, askPrice: 90.6, lastPrice: 90.5});
+                })
+                .then(fills => {
+                    assert.deepStrictEqual(fills.map(({quantity, price}) => [quantity, price]), [[-4, 90.5]]);
+                    return broker.getData({portfolio: 0, cashFunds: 0, orders: 0, transactions: 0});
+                })
+                .then(data => {
+                    assert.strictEqual(data.orders.value.length, 0);
+                    assert.strictEqual(data.transactions.value.length, 2);
+                    const position = data.portfolio.value[0].value;
+                    assert.deepStrictEqual(position.find(({name}) => name === 'size').value, 6);
+                    assert.deepStrictEqual(data.cashFunds.value[0].value.find(({name}) => name === 'value').value,
+                        1000 - 850 - 1 + 362 - 1);
+                }));
+
+        it('rejects orders not covered by cash or position', () =>
+            place(broker, order(Actions.buy, OrderTypes.limited, {price: 100}))
+                .then(() => assert.fail('should reject'), error => {
+                    assert.ok(error instanceof DeGiro.BusinessError);
+                    assert.strictEqual(error.message, 'Business: Insufficient funds');
+                })
+                .then(() => place(broker, order(Actions.sell, OrderTypes.marketOrder)))
+                .then(() => assert.fail('should reject'), error => {
+                    assert.strictEqual(error.message, 'Business: Not enough position to sell');
+                }));
+
+        it('cancels day orders at the end of the day', () =>
+            place(broker, order(Actions.buy, OrderTypes.limited, {size: 1, price: 80, timeType: TimeTypes.day}))
+                .then(() => place(broker, order(Actions.buy, OrderTypes.limited, {size: 1, price: 80})))
+                .then(() => {
+                    time = new Date('2021-03-02T08:00:00Z');
+                    return broker.getData({orders: 0, historicalOrders: 0});
+                })
+                .then(({orders, historicalOrders}) => {
+                    assert.strictEqual(orders.value.length, 1);
+                    assert.strictEqual(historicalOrders.value.length, 1);
+                }));
+
+        it('deletes and modifies open orders', () =>
+            place(broker, order(Actions.buy, OrderTypes.limited, {size: 1, price: 80}))
+                .then(({orderId}) =>
+                    broker
+                        .modifyOrder(orderId, order(Actions.buy, OrderTypes.limited, {size: 2, price: 81}))
+                        .then(() => broker.getLedger())
+                        .then(({orders}) => {
+                            assert.deepStrictEqual([orders[0].size, orders[0].price], [2, 81]);
+                            return broker.deleteOrder(orderId);
+                        })
+                )
+                .then(() => broker.getLedger())
+                .then(({orders, historicalOrders}) => {
+                    assert.strictEqual(orders.length, 0);
+                    assert.strictEqual(historicalOrders[0].status, 'CANCELLED');
+                    return broker.deleteOrder('paper-order-9');
+                })
+                .then(() => assert.fail('should reject'), error => {
+                    assert.strictEqual(error.message, 'Business: Order not found');
+                }));
+
+        describe('with a file store', () => {
+            let dir;
+
+            beforeEach(() => {
+                dir = fs.mkdtempSync(path.join(os.tmpdir(), 'degiro-'));
+            });
+
+            afterEach(() => {
+                fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+                fs.rmdirSync(dir);
+            });
+
+            it('keeps the ledger between brokers', () => {
+                const file = path.join(dir, 'paper.json');
+                const options = {getProduct, store: createFileStore(file)};
+                return place(createPaperBroker(options), order(Actions.buy, OrderTypes.limited, {size: 1, price: 80}))
+                    .then(() => createPaperBroker(options).getLedger())
+                    .then(ledger => {
+                        assert.strictEqual(ledger.orders.length, 1);
+                        assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).orders.length, 1);
+                    });
+            });
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.createPaper(Object.assign(server.clientOptions(), {paper: {cash: {EUR: 5000}}}));
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('places orders on the paper ledger with live quotes', () =>
+            degiro
+                .setOrder({buySell: Actions.buy, orderType: OrderTypes.marketOrder, productId: VWRL, size: 10})
+                .then(({orderId}) => {
+                    assert.ok(orderId.startsWith('paper-order-'));
+                    const paths = server.requests.map(({path}) => path);
+                    assert.ok(!paths.some(path => path.includes('/checkOrder')));
+                    return Promise.all([
+                        degiro.getOrders(),
+                        degiro.getPortfolio({normalise: true}),
+                        degiro.getCashFunds(),
+                    ]);
+                })
+                .then(([orders, {portfolio}, {cashFunds}]) => {
+                    assert.strictEqual(orders.openOrders.length, 0);
+                    assert.strictEqual(orders.completedOrders[0].price, 85.2);
+                    assert.ok(orders.completedOrders[0].date instanceof Date);
+                    assert.deepStrictEqual(portfolio.map(({id, size}) => [id, size]), [
+                        [VWRL, 10],
+                        ['EUR', 5000 - 852],
+                    ]);
+                    assert.deepStrictEqual(cashFunds, [{id: 'EUR', value: 5000 - 852}]);
+                    // the live account is left alone
+                    assert.strictEqual(server.state.orders.length, 1);
+                }));
+
+        it('cancels paper orders', () =>
+            degiro
+                .setOrder({buySell: Actions.buy, orderType: OrderTypes.limited, productId: VWRL, size: 1, price: 80})
+                .then(({orderId}) => degiro.deleteOrder(orderId))
+                .then(() => degiro.getOrders())
+                .then(({openOrders, cancelledOrders}) => {
+                    assert.strictEqual(openOrders.length, 0);
+                    assert.strictEqual(cancelledOrders.length, 1);
+                }));
+    });
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer, toRows} = require('../src/mock-server');
+const {normalisePortfolio} = require('../src/portfolio');
+const {account, products} = require('./fixtures');
+
+const productsById = {
+    '8066561': products[0],
+    '4586985': products[1],
+};
+
+describe('portfolio', () => {
+    describe('normalisePortfolio', () => {
+        const rows = toRows('positionrow', [
+            {id: '8066561', positionType: 'PRODUCT', size: 10, price: 1500, value: 13500, breakEvenPrice: 1300},
+            {id: '4586985', positionType: 'PRODUCT', size: 0, price: 85, value: 0, breakEvenPrice: 0},
+            {id: 'EUR', positionType: 'CASH', size: 1500, price: 1, value: 1500},
+        ]);
+
+        it('flattens the rows and computes values and weights', () => {
+            const [googl, eur] = normalisePortfolio(rows);
+            assert.strictEqual(googl.id, '8066561');
+            assert.strictEqual(googl.marketValue, 13500);
+            assert.strictEqual(googl.unrealisedPl, 2000);
+            assert.strictEqual(googl.weight, 0.9);
+            assert.strictEqual(eur.unrealisedPl, null);
+            assert.strictEqual(eur.weight, 0.1);
+        });
+
+        it('keeps closed positions on demand', () => {
+            assert.deepStrictEqual(normalisePortfolio(rows, {includeClosed: true}).map(({id}) => id), [
+                '8066561',
+                '4586985',
+                'EUR',
+            ]);
+        });
+
+        it('adds product details and filters by product type', () => {
+            const positions = normalisePortfolio(rows, {
+                products: productsById,
+                includeClosed: true,
+                productTypes: [DeGiro.ProductTypes.etfs],
+            });
+            assert.strictEqual(positions.length, 1);
+            assert.strictEqual(positions[0].symbol, 'VWRL');
+            assert.strictEqual(positions[0].isin, 'IE00B3RBWM25');
+            assert.strictEqual(positions[0].vwdId, '360114899');
+        });
+
+        it('revalues positions at the latest prices, keeping the exchange rate', () => {
+            const [googl] = normalisePortfolio(rows, {products: productsById, prices: {'350009261': 1600}});
+            assert.strictEqual(googl.price, 1600);
+            assert.strictEqual(googl.marketValue, 14400);
+            assert.strictEqual(googl.unrealisedPl, 3000);
+            assert.strictEqual(googl.weight, 14400 / 15900);
+        });
+    });
+
+    describe('getPortfolio', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('returns normalised positions with product details', () =>
+            degiro.getPortfolio({normalise: true, enrich: true}).then(({portfolio}) => {
+                assert.deepStrictEqual(portfolio.map(({id}) => id), ['8066561', 'EUR']);
+                assert.strictEqual(portfolio[0].name, 'ALPHABET INC. - CLASS');
+                assert.strictEqual(portfolio[0].currency, 'USD');
+                assert.strictEqual(portfolio[0].unrealisedPl, 2000);
+                assert.strictEqual(portfolio[1].name, undefined);
+            }));
+
+        it('does not request products unless needed', () =>
+            degiro.getPortfolio({normalise: true}).then(({portfolio}) => {
+                assert.strictEqual(portfolio[0].symbol, undefined);
+                assert.ok(!server.requests.some(({path}) => path.endsWith('/products/info')));
+            }));
+
+        it('uses the latest prices', () =>
+            degiro.getPortfolio({normalise: true, prices: true}).then(({portfolio}) => {
+                assert.strictEqual(portfolio[0].price, 1500.75);
+                assert.strictEqual(portfolio[0].marketValue, 15007.5);
+            }));
+    });
+});
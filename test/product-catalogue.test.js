@@ -0,0 +1,153 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {createProductBatcher, createProductCatalogue} = require('../src/product-catalogue');
+const {account, products} = require('./fixtures');
+
+const byId = fromProducts => {
+    const found = {};
+    fromProducts.forEach(product => {
+        found[product.id] = product;
+    });
+    return found;
+};
+
+/**
+ * Product info request answering from the fixtures, recording the ids asked
+ */
+const fakeFetch = () => {
+    const requests = [];
+    const fetchProducts = ids => {
+        requests.push(ids);
+        return Promise.resolve(byId(products.filter(({id}) => ids.includes(id))));
+    };
+    fetchProducts.requests = requests;
+    return fetchProducts;
+};
+
+describe('product catalogue', () => {
+    describe('createProductBatcher', () => {
+        it('merges the calls of a tick into one request', () => {
+            const fetchProducts = fakeFetch();
+            const load = createProductBatcher({fetchProducts});
+            return Promise.all([load('8066561'), load(['4586985', 8066561]), load('1')]).then(results => {
+                assert.deepStrictEqual(fetchProducts.requests, [['8066561', '4586985', '1']]);
+                assert.deepStrictEqual(Object.keys(results[1]), ['4586985', '8066561']);
+                assert.deepStrictEqual(results[2], {});
+            });
+        });
+
+        it('splits large batches', () => {
+            const fetchProducts = fakeFetch();
+            const load = createProductBatcher({fetchProducts, maxBatchSize: 2});
+            return load(['1', '2', '3', '4', '5']).then(() => {
+                assert.deepStrictEqual(fetchProducts.requests, [['1', '2'], ['3', '4'], ['5']]);
+            });
+        });
+
+        it('rejects every caller of a failed request', () => {
+            const load = createProductBatcher({fetchProducts: () => Promise.reject(Error('down'))});
+            return Promise.all([load('1').catch(error => error.message), load('2').catch(error => error.message)])
+                .then(messages => assert.deepStrictEqual(messages, ['down', 'down']));
+        });
+    });
+
+    describe('createProductCatalogue', () => {
+        let time;
+        let getProducts;
+        let searches;
+        let catalogue;
+
+        beforeEach(() => {
+            time = 0;
+            getProducts = fakeFetch();
+            searches = [];
+            const searchProducts = ({text}) => {
+                searches.push(text);
+                return Promise.resolve(products.filter(({isin, symbol}) => isin === text || symbol === text));
+            };
+            catalogue = createProductCatalogue({getProducts, searchProducts, ttl: 1000, now: () => time});
+        });
+
+        it('only requests the products not cached', () =>
+            catalogue
+                .getProducts('8066561')
+                .then(() => catalogue.getProducts(['8066561', '4586985']))
+                .then(found => {
+                    assert.deepStrictEqual(Object.keys(found).sort(), ['4586985', '8066561']);
+                    assert.deepStrictEqual(getProducts.requests, [['8066561'], ['4586985']]);
+                    time = 1000;
+                    return catalogue.getProducts('8066561');
+                })
+                .then(() => assert.deepStrictEqual(getProducts.requests[2], ['8066561'])));
+
+        it('finds and caches products by ISIN and symbol', () =>
+            catalogue
+                .findByIsin('us02079k3059')
+                .then(found => {
+                    assert.deepStrictEqual(Object.keys(found), ['8066561']);
+                    return catalogue.findByIsin('US02079K3059');
+                })
+                .then(() => catalogue.findBySymbol('VWRL', '200'))
+                .then(found => {
+                    assert.deepStrictEqual(Object.keys(found), ['4586985']);
+                    return catalogue.findBySymbol('VWRL', '663');
+                })
+                .then(found => {
+                    assert.deepStrictEqual(found, {});
+                    assert.deepStrictEqual(searches, ['US02079K3059', 'VWRL', 'VWRL']);
+                    // found products are cached by id as well
+                    return catalogue.getProducts(['8066561', '4586985']);
+                })
+                .then(() => assert.deepStrictEqual(getProducts.requests, [])));
+
+        it('finds cached products by VWD id', () =>
+            catalogue
+                .getProducts(['8066561', '4586985'])
+                .then(() => catalogue.findByVwdId(360114899))
+                .then(found => {
+                    assert.deepStrictEqual(Object.keys(found), ['4586985']);
+                    catalogue.clear();
+                    return catalogue.findByVwdId('360114899');
+                })
+                .then(found => assert.deepStrictEqual(found, {})));
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        const infoRequests = () => server.requests.filter(({path}) => path.endsWith('/products/info'));
+
+        beforeEach(() => {
+            server = createMockServer(account());
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('batches concurrent getProductsByIds calls', () =>
+            Promise.all([degiro.getProductsByIds('8066561'), degiro.getProductsByIds(['4586985'])]).then(
+                ([first, second]) => {
+                    assert.deepStrictEqual(Object.keys(first.data), ['8066561']);
+                    assert.deepStrictEqual(Object.keys(second.data), ['4586985']);
+                    assert.strictEqual(infoRequests().length, 1);
+                    assert.deepStrictEqual(infoRequests()[0].body, ['8066561', '4586985']);
+                }
+            ));
+
+        it('enriches portfolios from the catalogue', () =>
+            degiro
+                .getPortfolio({normalise: true, enrich: true})
+                .then(() => degiro.getPortfolio({normalise: true, enrich: true}))
+                .then(({portfolio}) => {
+                    assert.strictEqual(portfolio[0].symbol, 'GOOGL');
+                    assert.strictEqual(infoRequests().length, 1);
+                    return degiro.catalogue.findBySymbol('GOOGL');
+                })
+                .then(found => assert.deepStrictEqual(Object.keys(found), ['8066561'])));
+    });
+});
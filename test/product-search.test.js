@@ -0,0 +1,145 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {buildSearchParams, filterExpiry, normaliseDictionary} = require('../src/product-search');
+const {account} = require('./fixtures');
+
+const dictionary = {
+    exchanges: [
+        {id: 663, code: 'NSDQ', hiqAbbr: 'NDQ', micCode: 'XNAS', name: 'Nasdaq', country: 'US'},
+        {id: 200, code: 'EAM', hiqAbbr: 'EAM', micCode: 'XAMS', name: 'Euronext Amsterdam', country: 'NL'},
+        {id: 520, code: 'EOE', hiqAbbr: 'EOE', micCode: 'XEUE', name: 'Euronext Amsterdam Derivatives', country: 'NL'},
+    ],
+    productTypes: [{id: 1, name: 'STOCK', translation: 'Stock'}, {id: 131, name: 'ETF', translation: 'ETF'}],
+    regions: [{id: 1, name: 'europe'}],
+    etfAggregateTypes: ['issuerId'],
+};
+
+const derivatives = [
+    {id: '1001', name: 'AEX Dec 2021', productTypeId: 7, exchangeId: '520', underlyingIsin: 'NL0000000107',
+        expirationDate: '17-12-2021'},
+    {id: '1002', name: 'AEX Mar 2022', productTypeId: 7, exchangeId: '520', underlyingIsin: 'NL0000000107',
+        expirationDate: '18-03-2022'},
+    {id: '1003', name: 'ASML Dec 2021', productTypeId: 7, exchangeId: '520', underlyingIsin: 'NL0010273215',
+        expirationDate: '17-12-2021'},
+];
+
+describe('product search', () => {
+    describe('buildSearchParams', () => {
+        it('maps the filters to the parameters of the type', () => {
+            assert.deepStrictEqual(buildSearchParams('bonds', {text: 'bund', exchangeId: 5, issuerTypeId: 2}), {
+                searchText: 'bund',
+                sortColumns: undefined,
+                sortTypes: undefined,
+                limit: 10,
+                offset: 0,
+                requireTotal: true,
+                bondExchangeId: 5,
+                bondIssuerTypeId: 2,
+            });
+            const leveraged = buildSearchParams('leveragedProducts', {issuerId: 3, underlyingProductId: 8066561});
+            assert.strictEqual(leveraged.inputAggregateTypes, 'issuerId,underlyingProductId');
+            assert.strictEqual(leveraged.inputAggregateValues, '3,8066561');
+        });
+
+        it('rejects unknown types and filters', () => {
+            assert.throws(() => buildSearchParams('warrants'), /Unknown search type: warrants/);
+            assert.throws(() => buildSearchParams('etfs', {countryId: 1}), /Unsupported filter for etfs: countryId/);
+        });
+    });
+
+    describe('filterExpiry', () => {
+        it('keeps the derivatives of a month or day', () => {
+            assert.deepStrictEqual(filterExpiry(derivatives, '2021-12').map(({id}) => id), ['1001', '1003']);
+            assert.deepStrictEqual(filterExpiry(derivatives, '2022-03-18').map(({id}) => id), ['1002']);
+            assert.strictEqual(filterExpiry(derivatives).length, 3);
+        });
+    });
+
+    describe('dictionary', () => {
+        const normalised = normaliseDictionary(dictionary);
+
+        it('indexes the sections by id', () => {
+            assert.strictEqual(normalised.exchanges['200'].name, 'Euronext Amsterdam');
+            assert.strictEqual(normalised.regions['1'].name, 'europe');
+            assert.deepStrictEqual(normalised.etfAggregateTypes, ['issuerId']);
+        });
+
+        it('finds ids by name or code', () => {
+            assert.strictEqual(DeGiro.findDictionaryId(normalised, 'exchanges', 'xams'), '200');
+            assert.strictEqual(DeGiro.findDictionaryId(normalised, 'exchanges', 'Nasdaq'), '663');
+            assert.strictEqual(DeGiro.findDictionaryId(normalised, 'exchanges', 'XLON'), undefined);
+            assert.strictEqual(DeGiro.findDictionaryId(normalised, 'countries', 'NL'), undefined);
+        });
+
+        it('labels products', () => {
+            const [labelled] = DeGiro.labelProducts([{id: '1', exchangeId: '663', productTypeId: 1}], normalised);
+            assert.deepStrictEqual(labelled, {
+                id: '1',
+                exchangeId: '663',
+                productTypeId: 1,
+                exchangeName: 'Nasdaq',
+                exchangeCode: 'NDQ',
+                country: 'US',
+                productTypeName: 'Stock',
+            });
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            const options = account();
+            options.products = options.products.concat(derivatives);
+            options.dictionary = dictionary;
+            server = createMockServer(options);
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('searches each type on its endpoint', () =>
+            Promise.all([degiro.searchStocks({text: 'alpha', exchangeId: 663}), degiro.searchEtfs({text: 'a'})]).then(
+                ([stocks, etfs]) => {
+                    assert.deepStrictEqual(stocks.products.map(({id}) => id), ['8066561']);
+                    assert.strictEqual(stocks.total, 1);
+                    assert.deepStrictEqual(etfs.products.map(({id}) => id), ['4586985']);
+                    const paths = server.requests.map(({path}) => path);
+                    assert.ok(paths.includes('/product_search/secure/v5/stocks'));
+                    assert.ok(paths.includes('/product_search/secure/v5/etfs'));
+                }
+            ));
+
+        it('filters futures by underlying and expiry', () =>
+            degiro.searchFutures({underlyingIsin: 'NL0000000107', expiry: '2022-03'}).then(({products}) => {
+                assert.deepStrictEqual(products.map(({id}) => id), ['1002']);
+                const request = server.requests.find(({path}) => path.endsWith('/v5/futures'));
+                assert.strictEqual(request.query.underlyingIsin, 'NL0000000107');
+                assert.strictEqual(request.query.expiry, undefined);
+            }));
+
+        it('rejects unsupported filters', () =>
+            degiro.searchFunds({exchangeId: 200}).then(
+                () => assert.fail('should reject'),
+                error => assert.strictEqual(error.message, 'Unsupported filter for funds: exchangeId')
+            ));
+
+        it('loads the dictionary once', () =>
+            Promise.all([degiro.getProductDictionary(), degiro.getProductDictionary()])
+                .then(([first, second]) => {
+                    assert.strictEqual(first, second);
+                    const exchangeId = DeGiro.findDictionaryId(first, 'exchanges', 'XNAS');
+                    return degiro.searchStocks({exchangeId});
+                })
+                .then(({products}) => {
+                    assert.deepStrictEqual(products.map(({symbol}) => symbol), ['GOOGL']);
+                    const loads = server.requests.filter(({path}) => path.endsWith('/config/dictionary/'));
+                    assert.strictEqual(loads.length, 1);
+                }));
+    });
+});
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {createQuoteStream} = require('../src/quote-stream');
+const {account} = require('./fixtures');
+
+const {bid, ask, last} = DeGiro.QuoteFields;
+
+/**
+ * Resolves to the next 'quote' event matching the predicate
+ */
+const nextQuote = (stream, predicate = () => true) =>
+    new Promise(resolve => {
+        const listener = event => {
+            if (predicate(event)) {
+                stream.removeListener('quote', listener);
+                resolve(event);
+            }
+        };
+        stream.on('quote', listener);
+    });
+
+describe('quote stream', () => {
+    let server;
+    let degiro;
+    let stream;
+
+    beforeEach(() => {
+        server = createMockServer(Object.assign(account(), {quotecastPollTimeout: 50}));
+        return server.listen().then(() => {
+            degiro = DeGiro.create(server.clientOptions());
+            return degiro.login();
+        });
+    });
+
+    afterEach(() => {
+        stream.close();
+        return server.close();
+    });
+
+    const sessionRequests = () => server.requests.filter(({path}) => path === '/CORS/request_session');
+
+    it('streams the current values and their updates', () => {
+        stream = degiro.createQuoteStream({fields: [bid, ask, last]});
+        const first = nextQuote(stream);
+        stream.subscribe('350009261');
+        return first
+            .then(({issueId, quote}) => {
+                assert.strictEqual(issueId, '350009261');
+                assert.deepStrictEqual(quote, {issueId, bidPrice: 1500.5, askPrice: 1501, lastPrice: 1500.75});
+                const update = nextQuote(stream);
+                server.setQuote('350009261', {LastPrice: 1502});
+                return update;
+            })
+            .then(({changes, quote}) => {
+                assert.deepStrictEqual(changes, {lastPrice: 1502});
+                assert.strictEqual(quote.bidPrice, 1500.5);
+                assert.strictEqual(stream.getQuote('350009261').lastPrice, 1502);
+            });
+    });
+
+    it('uses a single session for every subscription', () => {
+        stream = degiro.createQuoteStream({fields: [last]});
+        const quotes = Promise.all([
+            nextQuote(stream, ({issueId}) => issueId === '350009261'),
+            nextQuote(stream, ({issueId}) => issueId === '360114899'),
+        ]);
+        stream.subscribe('350009261');
+        stream.subscribe(['360114899']);
+        return quotes.then(([first, second]) => {
+            assert.strictEqual(first.quote.lastPrice, 1500.75);
+            assert.strictEqual(second.quote.lastPrice, 85.16);
+            assert.strictEqual(sessionRequests().length, 1);
+        });
+    });
+
+    it('stops streaming unsubscribed issues', () => {
+        stream = degiro.createQuoteStream({fields: [last]});
+        return stream
+            .subscribe(['350009261', '360114899'])
+            .then(() => stream.unsubscribe('350009261'))
+            .then(() => {
+                const bodies = server.requests
+                    .filter(({method, path}) => method === 'POST' && path.startsWith('/CORS/vwd-'))
+                    .map(({body}) => body.controlData);
+                assert.deepStrictEqual(bodies, [
+                    'req(350009261.LastPrice);req(360114899.LastPrice);',
+                    'rem(350009261.LastPrice);',
+                ]);
+                const update = nextQuote(stream);
+                server.setQuote('350009261', {LastPrice: 1});
+                server.setQuote('360114899', {LastPrice: 2});
+                return update;
+            })
+            .then(({issueId}) => {
+                assert.strictEqual(issueId, '360114899');
+                assert.strictEqual(stream.getQuote('350009261'), undefined);
+            });
+    });
+
+    it('opens a new session and subscribes again when the session is lost', () => {
+        stream = degiro.createQuoteStream({fields: [last], reconnectDelay: 10});
+        return stream
+            .subscribe('350009261')
+            .then(() => {
+                const reconnected = new Promise(resolve => stream.once('connect', resolve));
+                server.dropQuotecastSessions();
+                return reconnected;
+            })
+            .then(() => {
+                const update = nextQuote(stream, ({quote}) => quote.lastPrice === 1499);
+                server.setQuote('350009261', {LastPrice: 1499});
+                return update;
+            })
+            .then(() => {
+                assert.strictEqual(sessionRequests().length, 2);
+            });
+    });
+
+    it('is an async iterable of quotes', () => {
+        stream = degiro.createQuoteStream({fields: [bid]});
+        const iterator = stream[Symbol.asyncIterator]();
+        stream.subscribe('350009261');
+        return iterator
+            .next()
+            .then(({value, done}) => {
+                assert.strictEqual(done, false);
+                assert.strictEqual(value.quote.bidPrice, 1500.5);
+                const next = iterator.next();
+                stream.close();
+                return next;
+            })
+            .then(({done}) => assert.strictEqual(done, true));
+    });
+
+    it('decodes empty values and ignores unknown indexes', () => {
+        const polls = [
+            [{m: 'a_req', v: ['1.BidPrice', 7]}, {m: 'un', v: [7, 10]}, {m: 'un', v: [8, 11]}],
+            [{m: 'ue', v: [7]}],
+        ];
+        stream = createQuoteStream({
+            openSession: () => Promise.resolve('s'),
+            control: () => Promise.resolve(),
+            poll: () => (polls.length ? Promise.resolve(polls.shift()) : new Promise(() => {})),
+        });
+        const events = [];
+        const second = new Promise(resolve =>
+            stream.on('quote', event => {
+                events.push(event.changes);
+                if (events.length === 2) {
+                    resolve();
+                }
+            })
+        );
+        stream.subscribe('1', ['BidPrice']);
+        return second.then(() => assert.deepStrictEqual(events, [{bidPrice: 10}, {bidPrice: null}]));
+    });
+});
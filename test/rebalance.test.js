@@ -0,0 +1,135 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {isIsin, planRebalance} = require('../src/rebalance');
+const {Actions, OrderTypes, TimeTypes} = require('../src/constants');
+const {account} = require('./fixtures');
+
+const VWRL = '4586985';
+const ASML = '1000';
+
+const asml = {
+    id: ASML,
+    name: 'ASML HOLDING',
+    isin: 'NL0010273215',
+    symbol: 'ASML',
+    productTypeId: 1,
+    currency: 'EUR',
+    exchangeId: '200',
+    vwdId: '360015751',
+    tradable: true,
+};
+
+const prices = {
+    [VWRL]: {bidPrice: 85.1, askPrice: 85.2, lastPrice: 85.16},
+    [ASML]: {bidPrice: 499, askPrice: 500, lastPrice: 499.5},
+};
+
+describe('rebalance', () => {
+    describe('isIsin', () => {
+        it('tells ISINs from product ids', () => {
+            assert.strictEqual(isIsin('IE00B3RBWM25'), true);
+            assert.strictEqual(isIsin('4586985'), false);
+        });
+    });
+
+    describe('planRebalance', () => {
+        const plan = options =>
+            planRebalance(
+                Object.assign(
+                    {
+                        targets: {[VWRL]: 0.5, [ASML]: 0.4},
+                        positions: [{id: VWRL, size: 100, value: 8516}],
+                        prices,
+                        cash: 1484,
+                    },
+                    options
+                )
+            );
+
+        it('sells before buying whole shares with the cash left', () => {
+            const {total, cashAfter, trades} = plan({cashBuffer: 100, fees: {fixed: 2}});
+            assert.strictEqual(total, 10000);
+            const limited = {orderType: OrderTypes.limited, timeType: TimeTypes.day};
+            assert.deepStrictEqual(trades.map(({order}) => order), [
+                Object.assign({buySell: Actions.sell, productId: VWRL, size: 41, price: 85.1}, limited),
+                Object.assign({buySell: Actions.buy, productId: ASML, size: 7, price: 500}, limited),
+            ]);
+            assert.deepStrictEqual(trades.map(({currentSize, targetSize}) => [currentSize, targetSize]), [
+                [100, 59],
+                [0, 7],
+            ]);
+            assert.strictEqual(Math.round(cashAfter * 100) / 100, 1469.1);
+        });
+
+        it('buys no more than the cash allows, fees included', () => {
+            const {trades} = plan({targets: {[ASML]: 1}, positions: [], cash: 1000, fees: {fixed: 1}});
+            assert.deepStrictEqual(trades.map(({order}) => order.size), [1]);
+        });
+
+        it('leaves out small orders', () => {
+            const {trades} = plan({minOrderValue: 5000});
+            assert.deepStrictEqual(trades, []);
+        });
+
+        it('rejects invalid targets', () => {
+            assert.throws(() => plan({targets: {[VWRL]: 0.7, [ASML]: 0.4}}), /add up to more than 1/);
+            assert.throws(() => plan({targets: {'123': 0.1}}), /No price for 123/);
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            const options = account();
+            options.products.push(asml);
+            options.portfolio = [{id: VWRL, positionType: 'PRODUCT', size: 100, price: 85.16, value: 8516}];
+            options.cashFunds[0].value = 1484;
+            options.quotes[asml.vwdId] = {BidPrice: 499, AskPrice: 500, LastPrice: 499.5, LastTime: '15:59:58'};
+            server = createMockServer(options);
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('plans with the account data and places the orders', () =>
+            degiro
+                .planRebalance({IE00B3RBWM25: 0.5, [ASML]: 0.4}, {cashBuffer: 100})
+                .then(plan => {
+                    assert.deepStrictEqual(plan.trades.map(({order}) => [order.buySell, order.productId, order.size]), [
+                        [Actions.sell, VWRL, 41],
+                        [Actions.buy, ASML, 7],
+                    ]);
+                    return degiro.executeRebalance(plan);
+                })
+                .then(results => {
+                    assert.deepStrictEqual(results.map(({status}) => status), ['placed', 'placed']);
+                    const placed = server.state.orders.slice(1).map(({id}) => id);
+                    assert.deepStrictEqual(placed, results.map(({orderId}) => orderId));
+                }));
+
+        it('skips the orders after a failure', () =>
+            degiro
+                .planRebalance({[VWRL]: 0.5, [ASML]: 0.4})
+                .then(plan => {
+                    server.failNext(400, {errors: [{text: 'Market closed'}]});
+                    return degiro.executeRebalance(plan);
+                })
+                .then(results => {
+                    assert.deepStrictEqual(results.map(({status}) => status), ['failed', 'skipped']);
+                    assert.strictEqual(results[0].error.message, 'Business: Market closed');
+                    assert.strictEqual(server.state.orders.length, 1);
+                }));
+
+        it('rejects targets in another currency', () =>
+            degiro.planRebalance({'8066561': 0.5}).then(
+                () => assert.fail('should reject'),
+                error => assert.strictEqual(error.message, 'Product 8066561 not found or not traded in EUR')
+            ));
+    });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {splitRange, mapLimit, mergeItems} = require('../src/reporting');
+const {account} = require('./fixtures');
+
+describe('reporting', () => {
+    describe('splitRange', () => {
+        it('splits a range in windows of days', () => {
+            assert.deepStrictEqual(splitRange('30/12/2019', '05/01/2020', 3), [
+                ['30/12/2019', '01/01/2020'],
+                ['02/01/2020', '04/01/2020'],
+                ['05/01/2020', '05/01/2020'],
+            ]);
+        });
+
+        it('accepts dates, as days in Amsterdam', () => {
+            // 23:30 UTC is already the next day in Amsterdam
+            assert.deepStrictEqual(splitRange(new Date('2020-03-28T23:30:00Z'), new Date('2020-03-30T12:00:00Z'), 10), [
+                ['29/03/2020', '30/03/2020'],
+            ]);
+        });
+
+        it('returns no windows for reversed ranges and rejects invalid dates', () => {
+            assert.deepStrictEqual(splitRange('02/01/2020', '01/01/2020', 10), []);
+            assert.throws(() => splitRange('2020-01-01', '01/01/2020', 10), /Invalid report date: 2020-01-01/);
+        });
+    });
+
+    describe('mapLimit', () => {
+        it('keeps the order of the results and bounds the concurrency', () => {
+            let running = 0;
+            let maxRunning = 0;
+            const fn = (value, index) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                return new Promise(resolve => setTimeout(resolve, (5 - index) * 2)).then(() => {
+                    running--;
+                    return value * 2;
+                });
+            };
+            return mapLimit([1, 2, 3, 4, 5], 2, fn).then(results => {
+                assert.deepStrictEqual(results, [2, 4, 6, 8, 10]);
+                assert.strictEqual(maxRunning, 2);
+            });
+        });
+    });
+
+    describe('mergeItems', () => {
+        it('removes duplicates and sorts by date', () => {
+            const a = {id: 1, date: new Date('2020-01-02')};
+            const b = {id: 2, date: new Date('2020-01-01')};
+            const c = {orderId: 'x', created: new Date('2020-01-03')};
+            assert.deepStrictEqual(mergeItems([[a, b], [b, Object.assign({}, a)]], 'date'), [b, a]);
+            assert.strictEqual(mergeItems([[c], [Object.assign({}, c)]], 'created').length, 1);
+        });
+    });
+
+    describe('client', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            const options = account();
+            options.reportMaxDays = 31;
+            options.reports.transactions.push({id: 3, productId: 8066561, date: '2020-02-15T10:00:00+01:00'});
+            server = createMockServer(options);
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        const reportRequests = () => server.requests.filter(({path}) => path.startsWith('/reporting/'));
+
+        it('splits long ranges and merges the results', () =>
+            degiro
+                .getTransactions(new Date('2020-01-01T12:00:00Z'), '31/03/2020', false, {chunkDays: 31})
+                .then(({data}) => {
+                    assert.deepStrictEqual(data.map(({id}) => id), [1, 3, 2]);
+                    // windows are requested two at a time, so they may arrive in any order
+                    const windows = reportRequests()
+                        .map(({query}) => [query.fromDate, query.toDate])
+                        .sort(([a], [b]) => (a.split('/').reverse() > b.split('/').reverse() ? 1 : -1));
+                    assert.deepStrictEqual(windows, [
+                        ['01/01/2020', '31/01/2020'],
+                        ['01/02/2020', '02/03/2020'],
+                        ['03/03/2020', '31/03/2020'],
+                    ]);
+                }));
+
+        it('surfaces the rejection of too long windows', () =>
+            degiro.getPortfolioMovements('01/01/2020', '31/12/2020', {chunkDays: 60}).then(
+                () => assert.fail('should reject'),
+                error => assert.ok(error instanceof DeGiro.BusinessError)
+            ));
+
+        it('rejects invalid dates', () =>
+            degiro.getOrdersHistory('yesterday', new Date()).then(
+                () => assert.fail('should reject'),
+                error => assert.ok(error instanceof TypeError)
+            ));
+
+        it('iterates over the windows one at a time', () => {
+            const iterator = degiro.iterateTransactions('01/01/2020', '31/03/2020', false, {chunkDays: 31});
+            const ids = [];
+            const next = () =>
+                iterator[Symbol.asyncIterator]()
+                    .next()
+                    .then(({value, done}) => {
+                        if (done) {
+                            return;
+                        }
+                        ids.push(value.id);
+                        if (ids.length === 1) {
+                            assert.strictEqual(reportRequests().length, 1);
+                        }
+                        return next();
+                    });
+            return next().then(() => {
+                assert.deepStrictEqual(ids, [1, 3, 2]);
+                assert.strictEqual(reportRequests().length, 3);
+            });
+        });
+    });
+});
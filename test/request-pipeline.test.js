@@ -0,0 +1,174 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createRequestPipeline} = require('../src/request-pipeline');
+
+const response = (status, headers = {}) => ({
+    status,
+    ok: status < 400,
+    headers: {get: name => headers[name.toLowerCase()]},
+    text: () => Promise.resolve(''),
+});
+
+/**
+ * fetch answering with the given responses (or errors) in turn, recording the calls
+ */
+const fakeFetch = results => {
+    const calls = [];
+    const fetch = (url, options) => {
+        calls.push({url, options, time: Date.now()});
+        const result = results.length > 1 ? results.shift() : results[0];
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+    };
+    fetch.calls = calls;
+    return fetch;
+};
+
+const networkError = code => Object.assign(Error('socket hang up'), {code});
+
+describe('request pipeline', () => {
+    it('retries idempotent requests on 429 and 5xx with a growing delay', () => {
+        const fetch = fakeFetch([response(500), response(429), response(200)]);
+        const send = createRequestPipeline({fetch, retries: 3, retryDelay: 20, random: () => 1});
+        return send('getTasks', 'http://x/tasks').then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(fetch.calls.length, 3);
+            const [first, second, third] = fetch.calls.map(({time}) => time);
+            assert.ok(second - first >= 18);
+            assert.ok(third - second >= 38);
+        });
+    });
+
+    it('resolves to the last response once the retries are exhausted', () => {
+        const fetch = fakeFetch([response(503)]);
+        const send = createRequestPipeline({fetch, retries: 2, retryDelay: 1});
+        return send('getTasks', 'http://x/tasks').then(res => {
+            assert.strictEqual(res.status, 503);
+            assert.strictEqual(fetch.calls.length, 3);
+        });
+    });
+
+    it('does not retry other methods, statuses or requests asking not to', () => {
+        const fetch = fakeFetch([response(503), response(503), response(404)]);
+        const send = createRequestPipeline({fetch, retries: 2, retryDelay: 1});
+        return send('checkOrder', 'http://x/order', {method: 'POST'})
+            .then(res => assert.strictEqual(res.status, 503))
+            .then(() => send('quoteStream', 'http://x/poll', {}, {retry: false}))
+            .then(res => assert.strictEqual(res.status, 503))
+            .then(() => send('getTasks', 'http://x/tasks'))
+            .then(res => {
+                assert.strictEqual(res.status, 404);
+                assert.strictEqual(fetch.calls.length, 3);
+            });
+    });
+
+    it('gives up on 429 when Retry-After is over the longest delay', () => {
+        const fetch = fakeFetch([response(429, {'retry-after': '60'}), response(200)]);
+        const send = createRequestPipeline({fetch, retries: 2, retryDelay: 1, maxRetryDelay: 1000});
+        return send('getTasks', 'http://x/tasks').then(res => {
+            assert.strictEqual(res.status, 429);
+            assert.strictEqual(fetch.calls.length, 1);
+        });
+    });
+
+    it('retries dropped connections only', () => {
+        const fetch = fakeFetch([networkError('ECONNRESET'), networkError('ENOTFOUND')]);
+        const send = createRequestPipeline({fetch, retries: 3, retryDelay: 1});
+        return send('getTasks', 'http://x/tasks').then(
+            () => assert.fail('should reject'),
+            error => {
+                assert.ok(error instanceof DeGiro.NetworkError);
+                assert.strictEqual(error.code, 'ENOTFOUND');
+                assert.strictEqual(error.operation, 'getTasks');
+                assert.strictEqual(fetch.calls.length, 2);
+            }
+        );
+    });
+
+    it('aborts requests after the timeout', () => {
+        // without AbortController (before Node 15) there is no signal, and the request is left pending
+        const fetch = (url, {signal}) =>
+            new Promise((resolve, reject) => {
+                if (signal) {
+                    signal.addEventListener('abort', () => reject(Error('aborted')));
+                }
+            });
+        const send = createRequestPipeline({fetch, timeout: 20});
+        return send('getTasks', 'http://x/tasks').then(
+            () => assert.fail('should reject'),
+            error => {
+                assert.ok(error instanceof DeGiro.NetworkError);
+                assert.strictEqual(error.code, 'ETIMEDOUT');
+                assert.strictEqual(error.message, 'getTasks request timed out after 20ms');
+            }
+        );
+    });
+
+    describe('without AbortController', () => {
+        const {AbortController} = global;
+
+        beforeEach(() => {
+            delete global.AbortController;
+        });
+
+        afterEach(() => {
+            if (AbortController) {
+                global.AbortController = AbortController;
+            }
+        });
+
+        it('times out requests', () => {
+            let fetchOptions;
+            // node-fetch 2 rejects on its own once the timeout option is over, this fetch never settles
+            const fetch = (url, options) => {
+                fetchOptions = options;
+                return new Promise(() => {});
+            };
+            const send = createRequestPipeline({fetch, timeout: 20});
+            return send('getTasks', 'http://x/tasks').then(
+                () => assert.fail('should reject'),
+                error => {
+                    assert.strictEqual(fetchOptions.timeout, 20);
+                    assert.strictEqual(fetchOptions.signal, undefined);
+                    assert.strictEqual(error.code, 'ETIMEDOUT');
+                    assert.strictEqual(error.message, 'getTasks request timed out after 20ms');
+                }
+            );
+        });
+    });
+
+    it('limits the requests in flight', () => {
+        let active = 0;
+        let maxActive = 0;
+        const fetch = () => {
+            maxActive = Math.max(maxActive, ++active);
+            return new Promise(resolve =>
+                setTimeout(() => {
+                    active--;
+                    resolve(response(200));
+                }, 5)
+            );
+        };
+        const send = createRequestPipeline({fetch, maxConcurrency: 2});
+        const requests = [1, 2, 3, 4, 5].map(id => send('getProductsByIds', `http://x/${id}`));
+        return Promise.all(requests).then(responses => {
+            assert.strictEqual(responses.length, 5);
+            assert.strictEqual(maxActive, 2);
+        });
+    });
+
+    it('spaces the requests to the rate', () => {
+        const fetch = fakeFetch([response(200)]);
+        const send = createRequestPipeline({fetch, requestsPerSecond: 50});
+        return Promise.all([1, 2, 3, 4].map(id => send('getProductsByIds', `http://x/${id}`))).then(() => {
+            const times = fetch.calls.map(({time}) => time);
+            assert.ok(times[3] - times[0] >= 55);
+        });
+    });
+
+    it('lets requests skip the queue', () => {
+        const fetch = url => (url === 'http://x/poll' ? new Promise(() => {}) : Promise.resolve(response(200)));
+        const send = createRequestPipeline({fetch, maxConcurrency: 1});
+        send('quoteStream', 'http://x/poll', {}, {queue: false});
+        return send('getTasks', 'http://x/tasks').then(res => assert.strictEqual(res.status, 200));
+    });
+});
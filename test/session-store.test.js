@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {createFileStore, createMemoryStore} = require('../src/session-store');
+
+const session = {id: 'abc', account: 1, userToken: 2, clientInfo: {id: 2}, urls: {paUrl: 'https://pa/'}};
+
+describe('session stores', () => {
+    describe('createMemoryStore', () => {
+        it('saves, loads and clears a copy of the session', () => {
+            const store = createMemoryStore();
+            return store
+                .save(session)
+                .then(store.load)
+                .then(loaded => {
+                    assert.deepStrictEqual(loaded, session);
+                    assert.notStrictEqual(loaded, session);
+                })
+                .then(store.clear)
+                .then(store.load)
+                .then(loaded => assert.strictEqual(loaded, null));
+        });
+    });
+
+    describe('createFileStore', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'degiro-'));
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('loads null when there is no file', () =>
+            createFileStore(path.join(dir, 'missing.json'))
+                .load()
+                .then(loaded => assert.strictEqual(loaded, null)));
+
+        it('saves the session to a file readable by its owner only', () => {
+            const file = path.join(dir, 'session.json');
+            const store = createFileStore(file);
+            return store
+                .save(session)
+                .then(() => {
+                    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), session);
+                    if (process.platform !== 'win32') {
+                        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+                    }
+                    assert.deepStrictEqual(fs.readdirSync(dir), ['session.json']);
+                })
+                .then(store.load)
+                .then(loaded => assert.deepStrictEqual(loaded, session))
+                .then(store.clear)
+                .then(() => assert.ok(!fs.existsSync(file)))
+                .then(store.clear);
+        });
+    });
+});
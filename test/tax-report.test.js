@@ -0,0 +1,180 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {createMockServer} = require('../src/mock-server');
+const {computeRealisedGains, summariseDividends, createTaxReport} = require('../src/tax-report');
+const {account, products} = require('./fixtures');
+
+const transactions = [
+    {id: 3, productId: 1, date: new Date('2020-03-01T10:00:00Z'), buysell: 'S', quantity: -15, price: 130,
+        totalFeesInBaseCurrency: -3},
+    {id: 1, productId: 1, date: new Date('2019-01-10T10:00:00Z'), buysell: 'B', quantity: 10, price: 100,
+        totalFeesInBaseCurrency: -2},
+    {id: 2, productId: 1, date: new Date('2019-06-01T10:00:00Z'), buysell: 'B', quantity: 10, price: 120,
+        totalFeesInBaseCurrency: -2},
+];
+
+const productsById = {
+    '8066561': products[0],
+    '4586985': products[1],
+};
+
+const cashMovements = [
+    {date: new Date('2020-05-01T10:00:00Z'), productId: 8066561, description: 'Dividend', currency: 'USD', change: 10},
+    {date: new Date('2020-05-01T10:00:00Z'), productId: 8066561, description: 'Dividendbelasting', currency: 'USD',
+        change: -1.5},
+    {date: new Date('2020-06-01T10:00:00Z'), productId: 4586985, description: 'Dividend', currency: 'EUR', change: 4},
+    {date: new Date('2020-02-03T10:00:00Z'), description: 'Deposit', currency: 'EUR', change: 1000},
+];
+
+describe('tax report', () => {
+    describe('computeRealisedGains', () => {
+        it('matches sales with the oldest buys first (fifo)', () => {
+            const [sale] = computeRealisedGains(transactions, DeGiro.TaxMethods.fifo);
+            assert.strictEqual(sale.id, 3);
+            assert.strictEqual(sale.quantity, 15);
+            assert.strictEqual(sale.proceeds, 1947);
+            assert.strictEqual(sale.fees, 3);
+            // 10 at (1000 + 2) / 10 and 5 at (1200 + 2) / 10
+            assert.strictEqual(sale.costBasis, 1603);
+            assert.strictEqual(sale.gain, 344);
+            assert.strictEqual(sale.unmatchedQuantity, 0);
+        });
+
+        it('uses the average cost of the position (average)', () => {
+            const [sale] = computeRealisedGains(transactions, DeGiro.TaxMethods.average);
+            assert.strictEqual(Math.round(sale.costBasis * 100) / 100, 1653);
+            assert.strictEqual(Math.round(sale.gain * 100) / 100, 294);
+        });
+
+        it('converts to the base currency with the rates of the transactions', () => {
+            const [sale] = computeRealisedGains([
+                {id: 1, productId: 2, date: new Date('2020-01-01'), buysell: 'B', quantity: 10, price: 125,
+                    fxRate: 1.25},
+                {id: 2, productId: 2, date: new Date('2020-02-01'), buysell: 'S', quantity: -10, price: 130,
+                    totalInBaseCurrency: 1200},
+            ]);
+            assert.strictEqual(sale.costBasis, 1000);
+            assert.strictEqual(sale.gain, 200);
+        });
+
+        it('reports sales without buys as unmatched', () => {
+            const [sale] = computeRealisedGains([
+                {id: 1, productId: 2, date: new Date('2020-01-01'), buysell: 'S', quantity: -5, price: 10},
+            ]);
+            assert.strictEqual(sale.unmatchedQuantity, 5);
+            assert.strictEqual(sale.gain, 50);
+        });
+
+        it('rejects unknown methods', () => {
+            assert.throws(() => computeRealisedGains([], 'lifo'), /Unknown method: lifo/);
+        });
+    });
+
+    describe('summariseDividends', () => {
+        it('totals dividends and withholding taxes per country and currency', () => {
+            assert.deepStrictEqual(summariseDividends(cashMovements, productsById, {USD: 1.25}, 'EUR'), [
+                {
+                    country: 'US',
+                    currency: 'USD',
+                    gross: 10,
+                    withholdingTax: 1.5,
+                    net: 8.5,
+                    grossInBase: 8,
+                    withholdingTaxInBase: 1.2,
+                    netInBase: 6.8,
+                },
+                {
+                    country: 'IE',
+                    currency: 'EUR',
+                    gross: 4,
+                    withholdingTax: 0,
+                    net: 4,
+                    grossInBase: 4,
+                    withholdingTaxInBase: 0,
+                    netInBase: 4,
+                },
+            ]);
+        });
+
+        it('leaves the base amounts empty without rate', () => {
+            const [us] = summariseDividends(cashMovements, productsById, {}, 'EUR');
+            assert.strictEqual(us.gross, 10);
+            assert.strictEqual(us.grossInBase, null);
+        });
+    });
+
+    describe('createTaxReport', () => {
+        it('summarises a year', () => {
+            const report = createTaxReport({
+                year: 2020,
+                transactions,
+                cashMovements,
+                products: productsById,
+                fxRates: {USD: 1.25},
+                baseCurrency: 'EUR',
+            });
+            assert.strictEqual(report.method, 'fifo');
+            assert.deepStrictEqual(report.realised.positions, [
+                {productId: '1', quantity: 15, proceeds: 1947, costBasis: 1603, fees: 3, gain: 344},
+            ]);
+            assert.strictEqual(report.realised.gain, 344);
+            assert.deepStrictEqual(
+                [report.dividends.gross, report.dividends.withholdingTax, report.dividends.net],
+                [12, 1.2, 10.8]
+            );
+        });
+
+        it('leaves out the sales of other years', () => {
+            const report = createTaxReport({year: 2019, transactions});
+            assert.deepStrictEqual(report.realised.sales, []);
+            assert.strictEqual(report.realised.gain, 0);
+            assert.deepStrictEqual(report.dividends.byCountry, []);
+        });
+    });
+
+    describe('getTaxReport', () => {
+        let server;
+        let degiro;
+
+        beforeEach(() => {
+            const options = account();
+            options.reports.transactions.push({
+                id: 4,
+                productId: 8066561,
+                date: '2020-06-02T10:00:00+02:00',
+                buysell: 'S',
+                quantity: -4,
+                price: 1400,
+                totalFeesInBaseCurrency: -1,
+            });
+            options.reports.cashMovements.push({
+                id: 5,
+                productId: 8066561,
+                date: '2020-05-01T00:00:00+02:00',
+                description: 'Dividend',
+                currency: 'USD',
+                change: 10,
+            });
+            server = createMockServer(options);
+            return server.listen().then(() => {
+                degiro = DeGiro.create(server.clientOptions());
+                return degiro.login();
+            });
+        });
+
+        afterEach(() => server.close());
+
+        it('builds the report from the transactions and movements', () =>
+            degiro.getTaxReport({year: 2020, fxRates: {USD: 1.25}}).then(report => {
+                assert.strictEqual(report.baseCurrency, 'EUR');
+                assert.deepStrictEqual(report.realised.positions, [
+                    {productId: '8066561', quantity: 4, proceeds: 5599, costBasis: 5200, fees: 1, gain: 399},
+                ]);
+                const {byCountry} = report.dividends;
+                assert.deepStrictEqual(byCountry.map(({country, net}) => [country, net]), [['US', 10]]);
+                assert.strictEqual(report.dividends.net, 8);
+                const transactionRequest = server.requests.find(({path}) => path.endsWith('/transactions'));
+                assert.strictEqual(transactionRequest.query.fromDate, '01/01/2000');
+            }));
+    });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const DeGiro = require('..');
+const {base32Decode, generateTotp} = require('../src/totp');
+const {createMockServer} = require('../src/mock-server');
+
+// RFC 6238 appendix B
+const vectors = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826'],
+];
+
+const keys = {
+    sha1: Buffer.from('12345678901234567890'),
+    sha256: Buffer.from('12345678901234567890123456789012'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'),
+};
+
+describe('totp', () => {
+    describe('generateTotp', () => {
+        vectors.forEach(([seconds, ...codes]) => {
+            ['sha1', 'sha256', 'sha512'].forEach((algorithm, i) => {
+                it(`matches the RFC 6238 ${algorithm} code at ${seconds}`, () => {
+                    const code = generateTotp(keys[algorithm], {time: seconds * 1000, digits: 8, algorithm});
+                    assert.strictEqual(code, codes[i]);
+                });
+            });
+        });
+
+        it('accepts base32 secrets', () => {
+            const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+            assert.strictEqual(generateTotp(secret, {time: 59000}), '287082');
+        });
+
+        it('generates the code of the next window', () => {
+            const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+            assert.strictEqual(generateTotp(secret, {time: 29000, window: 1}), generateTotp(secret, {time: 59000}));
+        });
+    });
+
+    describe('base32Decode', () => {
+        it('ignores case, spaces and padding', () => {
+            assert.strictEqual(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+        });
+
+        it('rejects invalid characters', () => {
+            assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character: 1/);
+        });
+    });
+
+    describe('login', () => {
+        const totpSecret = 'JBSWY3DPEHPK3PXP';
+        let server;
+
+        beforeEach(() => {
+            server = createMockServer({totpSecret});
+            return server.listen();
+        });
+
+        afterEach(() => server.close());
+
+        it('logs in with a generated one time password', () =>
+            DeGiro.create(server.clientOptions())
+                .login()
+                .then(session => {
+                    assert.ok(session.id);
+                    const [login] = server.requests;
+                    assert.strictEqual(login.path, '/login/secure/login/totp');
+                    assert.strictEqual(login.body.oneTimePassword.length, 6);
+                }));
+
+        it('retries with the next one time password when rejected', () => {
+            server.failNext(400, {status: 12, statusText: 'badOneTimePassword'});
+            return DeGiro.create(server.clientOptions())
+                .login()
+                .then(() => {
+                    const logins = server.requests.filter(({path}) => path === '/login/secure/login/totp');
+                    assert.strictEqual(logins.length, 2);
+                    assert.notStrictEqual(logins[0].body.oneTimePassword, logins[1].body.oneTimePassword);
+                });
+        });
+
+        it('does not retry when the credentials are rejected', () =>
+            DeGiro.create(Object.assign(server.clientOptions(), {password: 'wrong'}))
+                .login()
+                .then(
+                    () => assert.fail('should reject'),
+                    error => {
+                        assert.ok(error instanceof DeGiro.AuthenticationError);
+                        assert.strictEqual(error.message, 'Authentication: badCredentials');
+                        assert.strictEqual(server.requests.length, 1);
+                    }
+                ));
+    });
+});